@@ -6,13 +6,37 @@
  */
 
 // Define the cache name. Increment this version whenever you make changes to cached assets.
-const CACHE_NAME = 'webx-journal-cache-v1';
+const CACHE_NAME = 'webx-journal-cache-v2';
 
 // List of files to cache (your app shell). These are the core assets needed for the app to function offline.
 const urlsToCache = [
     '/', // The root path, typically resolves to index.html
     '/index.html',
     '/src/main.js',
+    // Every module main.js imports, and the crypto worker, so the app also starts offline
+    '/src/argon2.js',
+    '/src/attachments.js',
+    '/src/auth.js',
+    '/src/autolock.js',
+    '/src/autosave.js',
+    '/src/backup.js',
+    '/src/crypto.js',
+    '/src/cryptoWorker.js',
+    '/src/dates.js',
+    '/src/diff.js',
+    '/src/entryCrypto.js',
+    '/src/importer.js',
+    '/src/markdown.js',
+    '/src/migrations.js',
+    '/src/privacy.js',
+    '/src/search.js',
+    '/src/settings.js',
+    '/src/storage.js',
+    '/src/tabSync.js',
+    '/src/tags.js',
+    '/src/ui.js',
+    '/src/utils.js',
+    '/src/wordlist.js',
     '/manifest.json',
     // Placeholder for icons. You will need to create these images.
     // Example: create an 'icons' directory at the root and place your icon files there.
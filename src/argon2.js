@@ -0,0 +1,455 @@
+// src/argon2.js
+
+/**
+ * @fileoverview Self-contained Argon2id (RFC 9106, version 0x13) and BLAKE2b implementation.
+ * The Web Crypto API has no memory-hard KDF, and the app ships without a build step,
+ * so the hash is implemented here on 32-bit word pairs instead of pulling in a library.
+ * Has no DOM dependencies so it can also run inside a worker.
+ */
+
+const ARGON2_VERSION = 0x13;
+const ARGON2_TYPE_ID = 2;      // Argon2id
+const SYNC_POINTS = 4;         // Slices per lane
+const BLOCK_WORDS = 256;       // 1024-byte block as 32-bit words
+const ADDRESSES_IN_BLOCK = 128;
+
+// BLAKE2b IV as [low, high] 32-bit word pairs
+const BLAKE2B_IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+    0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+    0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+const BLAKE2B_SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+
+// Scratch buffers shared by the compression functions
+const blakeV = new Uint32Array(32);
+const blakeM = new Uint32Array(32);
+const blockR = new Uint32Array(BLOCK_WORDS);
+const blockT = new Uint32Array(BLOCK_WORDS);
+
+// 32-bit word offsets of the 16 64-bit words fed to each round of the Argon2 permutation:
+// first the eight rows of the 8x8 block matrix, then the eight columns.
+const PERMUTATION_OFFSETS = (() => {
+    const tables = [];
+    for (let i = 0; i < 8; i++) {
+        const row = new Int32Array(16);
+        for (let j = 0; j < 16; j++) {
+            row[j] = (16 * i + j) * 2;
+        }
+        tables.push(row);
+    }
+    for (let i = 0; i < 8; i++) {
+        const column = new Int32Array(16);
+        for (let j = 0; j < 8; j++) {
+            column[2 * j] = (2 * i + 16 * j) * 2;
+            column[2 * j + 1] = (2 * i + 16 * j + 1) * 2;
+        }
+        tables.push(column);
+    }
+    return tables;
+})();
+
+/**
+ * Writes a 32-bit unsigned integer in little-endian order.
+ * @param {number} value - The value to encode.
+ * @returns {Uint8Array} - The 4-byte encoding.
+ */
+function le32(value) {
+    return new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff]);
+}
+
+/**
+ * Concatenates byte arrays.
+ * @param {Array<Uint8Array>} parts - The arrays to join.
+ * @returns {Uint8Array} - The joined bytes.
+ */
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/**
+ * Adds the 64-bit word at `b` into the 64-bit word at `a` (both in `v`).
+ */
+function add64(v, a, b) {
+    const lo = v[a] + v[b];
+    v[a + 1] = v[a + 1] + v[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+    v[a] = lo;
+}
+
+/**
+ * Adds the 64-bit word `m[b]` into `v[a]`.
+ */
+function add64From(v, a, m, b) {
+    const lo = v[a] + m[b];
+    v[a + 1] = v[a + 1] + m[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+    v[a] = lo;
+}
+
+/**
+ * Sets `v[d] = rotr64(v[d] ^ v[a], shift)` for the shifts used by BLAKE2b (32, 24, 16, 63).
+ */
+function xorRotr(v, d, a, shift) {
+    const lo = v[d] ^ v[a];
+    const hi = v[d + 1] ^ v[a + 1];
+    switch (shift) {
+        case 32:
+            v[d] = hi;
+            v[d + 1] = lo;
+            break;
+        case 24:
+            v[d] = (lo >>> 24) | (hi << 8);
+            v[d + 1] = (hi >>> 24) | (lo << 8);
+            break;
+        case 16:
+            v[d] = (lo >>> 16) | (hi << 16);
+            v[d + 1] = (hi >>> 16) | (lo << 16);
+            break;
+        default: // 63, i.e. rotate left by one
+            v[d] = (lo << 1) | (hi >>> 31);
+            v[d + 1] = (hi << 1) | (lo >>> 31);
+            break;
+    }
+}
+
+/**
+ * Returns the high 32 bits of the 64-bit product of two 32-bit unsigned integers.
+ */
+function mulHi(x, y) {
+    const x0 = x & 0xffff, x1 = x >>> 16, y0 = y & 0xffff, y1 = y >>> 16;
+    const p00 = x0 * y0, p01 = x0 * y1, p10 = x1 * y0, p11 = x1 * y1;
+    const mid = (p00 >>> 16) + (p01 & 0xffff) + (p10 & 0xffff);
+    return (p11 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16)) >>> 0;
+}
+
+/**
+ * Argon2's multiply-hardened addition: v[a] = v[a] + v[b] + 2 * lo32(v[a]) * lo32(v[b]).
+ */
+function fBlaMka(v, a, b) {
+    const x = v[a], y = v[b];
+    const x0 = x & 0xffff, x1 = x >>> 16, y0 = y & 0xffff, y1 = y >>> 16;
+    const p00 = x0 * y0, p01 = x0 * y1, p10 = x1 * y0, p11 = x1 * y1;
+    const mid = (p00 >>> 16) + (p01 & 0xffff) + (p10 & 0xffff);
+    const productLo = ((mid << 16) | (p00 & 0xffff)) >>> 0;
+    const productHi = (p11 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16)) >>> 0;
+    const doubleLo = (productLo << 1) >>> 0;
+    const doubleHi = ((productHi << 1) | (productLo >>> 31)) >>> 0;
+
+    const lo = x + y + doubleLo;
+    v[a + 1] = v[a + 1] + v[b + 1] + doubleHi + Math.floor(lo / 0x100000000);
+    v[a] = lo;
+}
+
+/**
+ * Argon2's variant of the BLAKE2b G function, operating on 64-bit words of `v`.
+ */
+function mixBlaMka(v, a, b, c, d) {
+    fBlaMka(v, a, b);
+    xorRotr(v, d, a, 32);
+    fBlaMka(v, c, d);
+    xorRotr(v, b, c, 24);
+    fBlaMka(v, a, b);
+    xorRotr(v, d, a, 16);
+    fBlaMka(v, c, d);
+    xorRotr(v, b, c, 63);
+}
+
+/**
+ * BLAKE2b compression of one 128-byte block into the state `h`.
+ */
+function blake2bCompress(h, block, offset, counter, last) {
+    const v = blakeV, m = blakeM;
+    for (let i = 0; i < 16; i++) {
+        v[i] = h[i];
+        v[i + 16] = BLAKE2B_IV[i];
+    }
+    v[24] ^= counter >>> 0;
+    v[25] ^= Math.floor(counter / 0x100000000);
+    if (last) {
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+    }
+    for (let i = 0; i < 32; i++) {
+        const j = offset + i * 4;
+        m[i] = block[j] | (block[j + 1] << 8) | (block[j + 2] << 16) | (block[j + 3] << 24);
+    }
+
+    const mix = (a, b, c, d, x, y) => {
+        add64(v, a, b);
+        add64From(v, a, m, x * 2);
+        xorRotr(v, d, a, 32);
+        add64(v, c, d);
+        xorRotr(v, b, c, 24);
+        add64(v, a, b);
+        add64From(v, a, m, y * 2);
+        xorRotr(v, d, a, 16);
+        add64(v, c, d);
+        xorRotr(v, b, c, 63);
+    };
+
+    for (let round = 0; round < 12; round++) {
+        const s = BLAKE2B_SIGMA[round % 10];
+        mix(0, 8, 16, 24, s[0], s[1]);
+        mix(2, 10, 18, 26, s[2], s[3]);
+        mix(4, 12, 20, 28, s[4], s[5]);
+        mix(6, 14, 22, 30, s[6], s[7]);
+        mix(0, 10, 20, 30, s[8], s[9]);
+        mix(2, 12, 22, 24, s[10], s[11]);
+        mix(4, 14, 16, 26, s[12], s[13]);
+        mix(6, 8, 18, 28, s[14], s[15]);
+    }
+
+    for (let i = 0; i < 16; i++) {
+        h[i] ^= v[i] ^ v[i + 16];
+    }
+}
+
+/**
+ * Computes an unkeyed BLAKE2b digest.
+ * @param {Uint8Array} input - The data to hash.
+ * @param {number} outputLength - Digest length in bytes (1-64).
+ * @returns {Uint8Array} - The digest.
+ */
+export function blake2b(input, outputLength = 64) {
+    const h = new Uint32Array(BLAKE2B_IV);
+    h[0] ^= 0x01010000 ^ outputLength;
+
+    let offset = 0;
+    while (input.length - offset > 128) {
+        blake2bCompress(h, input, offset, offset + 128, false);
+        offset += 128;
+    }
+    const lastBlock = new Uint8Array(128);
+    lastBlock.set(input.subarray(offset));
+    blake2bCompress(h, lastBlock, 0, input.length, true);
+
+    const out = new Uint8Array(outputLength);
+    for (let i = 0; i < outputLength; i++) {
+        out[i] = h[i >> 2] >>> (8 * (i & 3));
+    }
+    return out;
+}
+
+/**
+ * Argon2's variable-length hash H'.
+ * @param {Uint8Array} input - The data to hash.
+ * @param {number} outputLength - Desired output length in bytes.
+ * @returns {Uint8Array} - The digest.
+ */
+function hashLong(input, outputLength) {
+    const prefixed = concatBytes([le32(outputLength), input]);
+    if (outputLength <= 64) {
+        return blake2b(prefixed, outputLength);
+    }
+
+    const out = new Uint8Array(outputLength);
+    const blocks = Math.ceil(outputLength / 32) - 2;
+    let v = blake2b(prefixed, 64);
+    out.set(v.subarray(0, 32), 0);
+    for (let i = 1; i < blocks; i++) {
+        v = blake2b(v, 64);
+        out.set(v.subarray(0, 32), i * 32);
+    }
+    out.set(blake2b(v, outputLength - 32 * blocks), 32 * blocks);
+    return out;
+}
+
+/**
+ * Argon2 compression G: out = P(x ^ y) ^ (x ^ y) [^ out when `withXor`].
+ */
+function compressBlock(out, outOffset, x, xOffset, y, yOffset, withXor) {
+    const r = blockR, t = blockT;
+    for (let k = 0; k < BLOCK_WORDS; k++) {
+        r[k] = x[xOffset + k] ^ y[yOffset + k];
+    }
+    if (withXor) {
+        for (let k = 0; k < BLOCK_WORDS; k++) {
+            t[k] = r[k] ^ out[outOffset + k];
+        }
+    } else {
+        t.set(r);
+    }
+
+    for (const o of PERMUTATION_OFFSETS) {
+        mixBlaMka(r, o[0], o[4], o[8], o[12]);
+        mixBlaMka(r, o[1], o[5], o[9], o[13]);
+        mixBlaMka(r, o[2], o[6], o[10], o[14]);
+        mixBlaMka(r, o[3], o[7], o[11], o[15]);
+        mixBlaMka(r, o[0], o[5], o[10], o[15]);
+        mixBlaMka(r, o[1], o[6], o[11], o[12]);
+        mixBlaMka(r, o[2], o[7], o[8], o[13]);
+        mixBlaMka(r, o[3], o[4], o[9], o[14]);
+    }
+
+    for (let k = 0; k < BLOCK_WORDS; k++) {
+        out[outOffset + k] = t[k] ^ r[k];
+    }
+}
+
+/**
+ * Derives a hash with Argon2id.
+ * @param {object} options
+ * @param {Uint8Array} options.password - The password bytes.
+ * @param {Uint8Array} options.salt - The salt (at least 8 bytes).
+ * @param {number} options.memory - Memory cost in KiB.
+ * @param {number} options.iterations - Number of passes over memory.
+ * @param {number} options.parallelism - Number of lanes.
+ * @param {number} [options.hashLength=32] - Output length in bytes.
+ * @returns {Uint8Array} - The derived hash.
+ */
+export function argon2id({ password, salt, memory, iterations, parallelism, hashLength = 32 }) {
+    if (parallelism < 1 || iterations < 1 || memory < 8 * parallelism) {
+        throw new Error('Invalid Argon2id parameters.');
+    }
+    if (salt.length < 8) {
+        throw new Error('Argon2id salt must be at least 8 bytes.');
+    }
+
+    const lanes = parallelism;
+    const memoryBlocks = 4 * lanes * Math.floor(memory / (4 * lanes));
+    const laneLength = memoryBlocks / lanes;
+    const segmentLength = laneLength / SYNC_POINTS;
+    const mem = new Uint32Array(memoryBlocks * BLOCK_WORDS);
+
+    const h0 = blake2b(concatBytes([
+        le32(lanes), le32(hashLength), le32(memory), le32(iterations),
+        le32(ARGON2_VERSION), le32(ARGON2_TYPE_ID),
+        le32(password.length), password,
+        le32(salt.length), salt,
+        le32(0), le32(0) // No secret or associated data
+    ]), 64);
+
+    const writeBlock = (index, bytes) => {
+        const base = index * BLOCK_WORDS;
+        for (let k = 0; k < BLOCK_WORDS; k++) {
+            const j = k * 4;
+            mem[base + k] = bytes[j] | (bytes[j + 1] << 8) | (bytes[j + 2] << 16) | (bytes[j + 3] << 24);
+        }
+    };
+    for (let lane = 0; lane < lanes; lane++) {
+        writeBlock(lane * laneLength, hashLong(concatBytes([h0, le32(0), le32(lane)]), 1024));
+        writeBlock(lane * laneLength + 1, hashLong(concatBytes([h0, le32(1), le32(lane)]), 1024));
+    }
+
+    const zeroBlock = new Uint32Array(BLOCK_WORDS);
+    const inputBlock = new Uint32Array(BLOCK_WORDS);
+    const addressBlock = new Uint32Array(BLOCK_WORDS);
+
+    const nextAddresses = () => {
+        inputBlock[12]++; // 64-bit counter in word 6
+        compressBlock(addressBlock, 0, zeroBlock, 0, inputBlock, 0, false);
+        compressBlock(addressBlock, 0, zeroBlock, 0, addressBlock, 0, false);
+    };
+
+    const referenceIndex = (pass, slice, index, pseudoRand, sameLane) => {
+        let areaSize;
+        if (pass === 0) {
+            if (slice === 0) {
+                areaSize = index - 1;
+            } else if (sameLane) {
+                areaSize = slice * segmentLength + index - 1;
+            } else {
+                areaSize = slice * segmentLength + (index === 0 ? -1 : 0);
+            }
+        } else if (sameLane) {
+            areaSize = laneLength - segmentLength + index - 1;
+        } else {
+            areaSize = laneLength - segmentLength + (index === 0 ? -1 : 0);
+        }
+        const relative = areaSize - 1 - mulHi(areaSize, mulHi(pseudoRand, pseudoRand));
+        const start = pass === 0 || slice === SYNC_POINTS - 1 ? 0 : (slice + 1) * segmentLength;
+        return (start + relative) % laneLength;
+    };
+
+    const fillSegment = (pass, slice, lane) => {
+        const dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+        if (dataIndependent) {
+            inputBlock.fill(0);
+            inputBlock[0] = pass;
+            inputBlock[2] = lane;
+            inputBlock[4] = slice;
+            inputBlock[6] = memoryBlocks;
+            inputBlock[8] = iterations;
+            inputBlock[10] = ARGON2_TYPE_ID;
+        }
+
+        let startIndex = 0;
+        if (pass === 0 && slice === 0) {
+            startIndex = 2;
+            if (dataIndependent) {
+                nextAddresses();
+            }
+        }
+
+        let current = lane * laneLength + slice * segmentLength + startIndex;
+        let previous = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
+
+        for (let i = startIndex; i < segmentLength; i++, current++, previous++) {
+            if (current % laneLength === 1) {
+                previous = current - 1;
+            }
+
+            let randLo, randHi;
+            if (dataIndependent) {
+                if (i % ADDRESSES_IN_BLOCK === 0) {
+                    nextAddresses();
+                }
+                const a = (i % ADDRESSES_IN_BLOCK) * 2;
+                randLo = addressBlock[a];
+                randHi = addressBlock[a + 1];
+            } else {
+                randLo = mem[previous * BLOCK_WORDS];
+                randHi = mem[previous * BLOCK_WORDS + 1];
+            }
+
+            const refLane = pass === 0 && slice === 0 ? lane : randHi % lanes;
+            const refIndex = referenceIndex(pass, slice, i, randLo, refLane === lane);
+            compressBlock(
+                mem, current * BLOCK_WORDS,
+                mem, previous * BLOCK_WORDS,
+                mem, (refLane * laneLength + refIndex) * BLOCK_WORDS,
+                pass !== 0
+            );
+        }
+    };
+
+    for (let pass = 0; pass < iterations; pass++) {
+        for (let slice = 0; slice < SYNC_POINTS; slice++) {
+            for (let lane = 0; lane < lanes; lane++) {
+                fillSegment(pass, slice, lane);
+            }
+        }
+    }
+
+    const finalBlock = new Uint32Array(BLOCK_WORDS);
+    for (let lane = 0; lane < lanes; lane++) {
+        const base = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+        for (let k = 0; k < BLOCK_WORDS; k++) {
+            finalBlock[k] ^= mem[base + k];
+        }
+    }
+    const finalBytes = new Uint8Array(1024);
+    for (let k = 0; k < BLOCK_WORDS; k++) {
+        finalBytes.set(le32(finalBlock[k]), k * 4);
+    }
+    return hashLong(finalBytes, hashLength);
+}
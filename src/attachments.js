@@ -0,0 +1,336 @@
+// src/attachments.js
+
+/**
+ * @fileoverview Encrypted file attachments.
+ *
+ * An attachment record holds the file's metadata (name, type, size) as encrypted JSON and
+ * the file itself, plus a small thumbnail for images, as encrypted binary stored in Blobs:
+ *
+ *   { id, entryId, owner, schemaVersion, timestamp,
+ *     meta: {ciphertext: Uint8Array, iv}, data: {ciphertext: Blob, iv}, thumbnail: {ciphertext: Blob, iv} | null }
+ *
+ * The id is random, so an attachment keeps it across export and import.
+ *
+ * From record schema version 4 on, `meta`, `data` and `thumbnail` are encrypted with AES-GCM
+ * associated data naming the profile, the entry, the attachment id, the field and the schema
+ * version, like the fields of entries (see entryCrypto.js). An attachment whose record is moved
+ * to another entry or profile then fails to decrypt. A record that changes any of these is
+ * re-encrypted with `reencryptAttachment`.
+ *
+ * In privacy mode (see privacy.js) an attachment is sealed:
+ *
+ *   { id, owner, schemaVersion, sealed: true, meta, data, thumbnail }
+ *
+ * Its entry id, the time it was added and the sizes of the file and thumbnail are kept in
+ * `meta`, which is padded like sealed entries; the file and thumbnail are padded with zero bytes
+ * to a size bucket. The fields are bound to the profile, the attachment id and the field.
+ */
+
+import { encrypt, decrypt, encryptBytes, decryptBytes } from './crypto.js';
+import { RECORD_SCHEMA_VERSION } from './migrations.js';
+import { bucketSize, padJson } from './privacy.js';
+
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024; // 25 MB per file
+export const ATTACHMENT_BINDING_VERSION = 4; // The first record schema version whose attachments are bound
+const THUMBNAIL_SIZE = 320; // Longest side in pixels
+const THUMBNAIL_TYPE = 'image/jpeg';
+const THUMBNAIL_QUALITY = 0.8;
+
+/**
+ * Checks whether a file type can be shown as an inline thumbnail.
+ * SVG is left out: it is a document, not a bitmap, and is only ever downloaded.
+ * @param {string} type - The MIME type.
+ * @returns {boolean} - True for raster images.
+ */
+export function isImageType(type) {
+    return /^image\//.test(type || '') && type !== 'image/svg+xml';
+}
+
+/**
+ * Scales an image down to a JPEG thumbnail.
+ * @param {Blob} image - The image file.
+ * @returns {Promise<Blob|null>} - The thumbnail, or null if the browser cannot decode the image.
+ */
+async function createThumbnail(image) {
+    try {
+        const bitmap = await createImageBitmap(image);
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return await new Promise(resolve => canvas.toBlob(resolve, THUMBNAIL_TYPE, THUMBNAIL_QUALITY));
+    } catch (error) {
+        console.warn('Could not create a thumbnail:', error);
+        return null;
+    }
+}
+
+/**
+ * Builds the associated data that binds an encrypted field of an attachment to its record.
+ * @param {object} attachment - The attachment record; its id, entry, owner and schema version must be set.
+ * @param {string} field - 'meta', 'data' or 'thumbnail'.
+ * @returns {string|null} - The associated data, or null for records encrypted without it.
+ */
+function attachmentAssociatedData(attachment, field) {
+    if (attachment.sealed) {
+        return JSON.stringify(['webx-sealed-attachment', attachment.owner, attachment.id, field]);
+    }
+    const schemaVersion = attachment.schemaVersion || 1;
+    if (schemaVersion < ATTACHMENT_BINDING_VERSION) {
+        return null;
+    }
+    return JSON.stringify(['webx-journal-attachment', attachment.owner, attachment.entryId, attachment.id, field, schemaVersion]);
+}
+
+/**
+ * Encrypts bytes and wraps the ciphertext in a Blob for storage.
+ */
+async function encryptToBlob(bytes, key, associatedData) {
+    const { ciphertext, iv } = await encryptBytes(bytes, key, associatedData);
+    return { ciphertext: new Blob([ciphertext]), iv };
+}
+
+/**
+ * Decrypts data stored by `encryptToBlob`.
+ */
+async function decryptFromBlob(encrypted, key, associatedData) {
+    return decryptBytes({ ciphertext: new Uint8Array(await encrypted.ciphertext.arrayBuffer()), iv: encrypted.iv }, key, associatedData);
+}
+
+/**
+ * Pads bytes with zeros to their size bucket; the real size is kept in the sealed metadata.
+ */
+function padBytes(bytes) {
+    const padded = new Uint8Array(bucketSize(bytes.byteLength));
+    padded.set(new Uint8Array(bytes));
+    return padded;
+}
+
+/**
+ * Decrypts one field of an attachment: the metadata as a string, the file or thumbnail as bytes.
+ * @param {object} attachment - The stored attachment.
+ * @param {string} field - 'meta', 'data' or 'thumbnail'.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<string|Uint8Array>} - The plaintext.
+ * @throws {Error} - If the field cannot be decrypted, or does not belong to this record.
+ */
+async function decryptAttachmentField(attachment, field, key) {
+    const associatedData = attachmentAssociatedData(attachment, field);
+    try {
+        return field === 'meta'
+            ? await decrypt(attachment.meta, key, associatedData)
+            : await decryptFromBlob(attachment[field], key, associatedData);
+    } catch (error) {
+        throw new Error(associatedData
+            ? `Attachment ${attachment.id} failed verification: it was altered or does not belong to this entry.`
+            : `Attachment ${attachment.id} could not be decrypted.`);
+    }
+}
+
+/**
+ * Encrypts an attachment's metadata, file and thumbnail into the record it is stored as.
+ * @param {object} record - The record without its encrypted fields: `id`, `owner`, `schemaVersion`,
+ *     `entryId` and `timestamp`, and `sealed: true` in privacy mode.
+ * @param {{name: string, type: string, size: number}} info - The file's metadata.
+ * @param {ArrayBuffer|Uint8Array} data - The file.
+ * @param {ArrayBuffer|Uint8Array|null} thumbnail - The thumbnail image, if there is one.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<object>} - The attachment record, ready to be stored.
+ */
+async function encryptAttachmentRecord(record, info, data, thumbnail, key) {
+    const { entryId, timestamp, sealed, ...fields } = record;
+    const attachment = sealed ? { ...fields, sealed: true } : { ...fields, entryId, timestamp };
+    const meta = sealed
+        ? padJson(JSON.stringify({ ...info, entryId, timestamp, thumbnailSize: thumbnail ? thumbnail.byteLength : null }))
+        : JSON.stringify(info);
+    const pad = (bytes) => sealed ? padBytes(bytes) : bytes;
+    // The fields are bound to the record, so they are encrypted once it is complete
+    attachment.meta = await encrypt(meta, key, attachmentAssociatedData(attachment, 'meta'));
+    attachment.data = await encryptToBlob(pad(data), key, attachmentAssociatedData(attachment, 'data'));
+    attachment.thumbnail = thumbnail
+        ? await encryptToBlob(pad(thumbnail), key, attachmentAssociatedData(attachment, 'thumbnail'))
+        : null;
+    return attachment;
+}
+
+/**
+ * Encrypts a file into an attachment record.
+ * @param {File} file - The file to attach.
+ * @param {number} entryId - The entry it belongs to.
+ * @param {string} owner - The profile that owns the entry.
+ * @param {KeyHandle} key - The journal key.
+ * @param {boolean} [sealed=false] - True to store it sealed, in privacy mode.
+ * @returns {Promise<object>} - The attachment record, ready to be stored.
+ */
+export async function encryptAttachment(file, entryId, owner, key, sealed = false) {
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+        throw new Error(`"${file.name}" is larger than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB.`);
+    }
+    const type = file.type || 'application/octet-stream';
+    const thumbnail = isImageType(type) ? await createThumbnail(file) : null;
+
+    const record = {
+        id: window.crypto.randomUUID(),
+        entryId,
+        owner,
+        schemaVersion: RECORD_SCHEMA_VERSION,
+        timestamp: Date.now(),
+        sealed
+    };
+    return encryptAttachmentRecord(record, { name: file.name, type, size: file.size },
+        await file.arrayBuffer(), thumbnail ? await thumbnail.arrayBuffer() : null, key);
+}
+
+/**
+ * Decrypts an attachment's metadata, with what a sealed attachment keeps there instead of in
+ * its record.
+ * @param {object} attachment - The stored attachment.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<{name: string, type: string, size: number, entryId: number, timestamp: number,
+ *     thumbnailSize: number|null|undefined}>} - The metadata; only sealed attachments know their thumbnail's size.
+ */
+async function readAttachmentMeta(attachment, key) {
+    const meta = JSON.parse(await decryptAttachmentField(attachment, 'meta', key));
+    return attachment.sealed ? meta : { ...meta, entryId: attachment.entryId, timestamp: attachment.timestamp };
+}
+
+/**
+ * Decrypts an attachment's file or thumbnail, without the padding of a sealed one.
+ * @param {object} attachment - The stored attachment.
+ * @param {string} field - 'data' or 'thumbnail'.
+ * @param {number|null|undefined} size - The size from the metadata of a sealed attachment.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<Uint8Array>} - The bytes.
+ */
+async function readAttachmentBytes(attachment, field, size, key) {
+    const bytes = await decryptAttachmentField(attachment, field, key);
+    return attachment.sealed ? bytes.subarray(0, size) : bytes;
+}
+
+/**
+ * Decrypts an attachment's metadata.
+ * @param {object} attachment - The stored attachment.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<{id: string, entryId: number, timestamp: number, name: string, type: string, size: number,
+ *     hasThumbnail: boolean}>} - The metadata.
+ */
+export async function decryptAttachmentInfo(attachment, key) {
+    const { entryId, timestamp, name, type, size } = await readAttachmentMeta(attachment, key);
+    return { id: attachment.id, entryId, timestamp, name, type, size, hasThumbnail: !!attachment.thumbnail };
+}
+
+/**
+ * Tells which entry an attachment belongs to. A sealed attachment keeps it in its metadata.
+ * @param {object} attachment - The stored attachment.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<number|null>} - The entry id, or null if a sealed attachment cannot be decrypted.
+ */
+export async function getAttachmentEntryId(attachment, key) {
+    if (!attachment.sealed) {
+        return attachment.entryId;
+    }
+    try {
+        return (await readAttachmentMeta(attachment, key)).entryId;
+    } catch (error) {
+        console.warn(error.message);
+        return null;
+    }
+}
+
+/**
+ * Decrypts an attachment's file.
+ * @param {object} attachment - The stored attachment.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<Blob>} - The file contents, typed with the original MIME type.
+ */
+export async function decryptAttachmentData(attachment, key) {
+    const { type, size } = await readAttachmentMeta(attachment, key);
+    return new Blob([await readAttachmentBytes(attachment, 'data', size, key)], { type });
+}
+
+/**
+ * Decrypts an attachment's thumbnail.
+ * @param {object} attachment - The stored attachment.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<Blob|null>} - The thumbnail image, or null if it has none.
+ */
+export async function decryptAttachmentThumbnail(attachment, key) {
+    if (!attachment.thumbnail) {
+        return null;
+    }
+    const { thumbnailSize } = attachment.sealed ? await readAttachmentMeta(attachment, key) : {};
+    return new Blob([await readAttachmentBytes(attachment, 'thumbnail', thumbnailSize, key)], { type: THUMBNAIL_TYPE });
+}
+
+/**
+ * Re-encrypts an attachment, from one key to another and bound to its record as it will be
+ * stored (e.g. with a new id, entry or owner after an import, or sealed or unsealed when privacy
+ * mode changes). Throws if it cannot be decrypted.
+ * @param {object} attachment - The stored attachment.
+ * @param {KeyHandle} oldKey - The key it is currently encrypted with.
+ * @param {KeyHandle} newKey - The key to encrypt it with (may be the same key).
+ * @param {object} [changes={}] - New values of `id`, `entryId`, `owner`, `sealed` or `schemaVersion`;
+ *     the schema version is otherwise brought to `RECORD_SCHEMA_VERSION`.
+ * @returns {Promise<object>} - The re-encrypted attachment.
+ */
+export async function reencryptAttachment(attachment, oldKey, newKey, changes = {}) {
+    const { entryId, timestamp, thumbnailSize, ...info } = await readAttachmentMeta(attachment, oldKey);
+    const data = await readAttachmentBytes(attachment, 'data', info.size, oldKey);
+    const thumbnail = attachment.thumbnail ? await readAttachmentBytes(attachment, 'thumbnail', thumbnailSize, oldKey) : null;
+    const { meta, data: storedData, thumbnail: storedThumbnail, ...fields } = attachment;
+    const record = { ...fields, entryId, timestamp, schemaVersion: RECORD_SCHEMA_VERSION, ...changes };
+    return encryptAttachmentRecord(record, info, data, thumbnail, newKey);
+}
+
+/**
+ * Re-encrypts attachments for a new schema version, binding them to their record as that
+ * version does. Attachments hold whole files, so they are done one at a time. An attachment
+ * with a field that cannot be decrypted is returned as it is, at its old version, where the
+ * fields that can be read still open.
+ * @param {Array<object>} attachments - The attachments, at their current version.
+ * @param {KeyHandle} key - The journal key.
+ * @param {number} schemaVersion - The version the attachments are brought to.
+ * @returns {Promise<Array<object>>} - The attachments, those that could be converted at the new version.
+ */
+export async function rebindAttachments(attachments, key, schemaVersion) {
+    const rebound = [];
+    for (const attachment of attachments) {
+        try {
+            rebound.push(await reencryptAttachment(attachment, key, key, { schemaVersion }));
+        } catch (error) {
+            console.warn(error.message);
+            rebound.push(attachment);
+        }
+    }
+    return rebound;
+}
+
+/**
+ * Converts an attachment for a backup: the encrypted Blobs become byte arrays.
+ * @param {object} attachment - The stored attachment.
+ * @returns {Promise<object>} - The attachment with its ciphertexts as Uint8Arrays.
+ */
+export async function serializeAttachment(attachment) {
+    const toBytes = async (encrypted) => encrypted
+        ? { ciphertext: new Uint8Array(await encrypted.ciphertext.arrayBuffer()), iv: encrypted.iv }
+        : null;
+    return { ...attachment, data: await toBytes(attachment.data), thumbnail: await toBytes(attachment.thumbnail) };
+}
+
+/**
+ * Converts an attachment read from a backup back into a storable record, checking its shape.
+ * @param {object} attachment - The attachment from the backup.
+ * @returns {object} - The attachment with its ciphertexts as Blobs.
+ */
+export function deserializeAttachment(attachment) {
+    const isEncrypted = (field) => field && field.ciphertext instanceof Uint8Array && field.iv instanceof Uint8Array;
+    if (!attachment || typeof attachment.id !== 'string' || !(attachment.sealed === true || Number.isFinite(attachment.entryId)) ||
+        !isEncrypted(attachment.meta) || !isEncrypted(attachment.data) ||
+        (attachment.thumbnail !== null && attachment.thumbnail !== undefined && !isEncrypted(attachment.thumbnail))) {
+        throw new Error('An attachment in the backup is malformed.');
+    }
+    const toBlob = (encrypted) => encrypted ? { ciphertext: new Blob([encrypted.ciphertext]), iv: encrypted.iv } : null;
+    return { ...attachment, data: toBlob(attachment.data), thumbnail: toBlob(attachment.thumbnail) };
+}
@@ -3,10 +3,22 @@
 // Import individual functions from storage.js
 import {
     getUserProfile,
+    getAllUsernames,
     addUserProfile,
+    updateUserProfile,
+    modifyUserProfile,
+    getAllJournalEntries,
+    getAllRevisions,
+    getAllAttachments,
+    getDrafts,
+    saveUserProfileAndEntries,
+    deleteUserData,
     clearStore,
-    USER_PROFILE_STORE
+    USER_PROFILE_STORE,
+    ENCRYPTED_ENTRY_FIELDS
 } from './storage.js';
+import { reencryptAttachment } from './attachments.js';
+import { getEntryAssociatedData } from './entryCrypto.js';
 // Import individual functions from crypto.js
 import {
     deriveKey,
@@ -15,13 +27,54 @@ import {
     generateSalt,
     bytesToBase64,
     base64ToBytes,
-    exportCryptoKey,
-    importCryptoKey
+    createDataKey,
+    unwrapDataKey,
+    rewrapDataKey,
+    setPin,
+    getPinStatus,
+    unwrapDataKeyWithPin,
+    resetPinAttempts,
+    forgetPin,
+    generateRecoveryPhrase,
+    normalizeRecoveryPhrase,
+    reencryptRecords,
+    releaseKeys,
+    isKdfOutdated,
+    DEFAULT_KDF_PARAMS,
+    LEGACY_KDF_PARAMS
 } from './crypto.js';
 
+// Profile versions:
+//   1 - PBKDF2 key from `kdfSalt` encrypts entries directly, `encryptedIdentity` proves the password
+//   2 - as 1, but the KDF and its parameters are recorded in `kdf`
+//   3 - a random data key encrypts entries; `wrappedKey` holds it wrapped by the password-derived key
+const PROFILE_VERSION = 3;
+const IDENTITY_CHECK = 'identity_check';
+const RECOVERY_WORD_COUNT = 12;
+const MAX_USERNAME_LENGTH = 32;
+const PIN_PATTERN = /^\d{4,8}$/;
+const MAX_PIN_ATTEMPTS = 5; // Wrong PINs before the PIN is dropped and the master password is needed
+const FREE_LOGIN_ATTEMPTS = 3; // Failed logins before the back-off starts
+const LOGIN_BACKOFF_BASE_MS = 30 * 1000; // The first wait, doubled after every further failure
+const LOGIN_BACKOFF_MAX_MS = 60 * 60 * 1000;
 
-let encryptionKey = null; // Stored in memory after successful authentication
+
+let encryptionKey = null; // Handle of the data key, held by the crypto worker after successful authentication
 let currentUsername = null;
+// The quick-unlock PIN of the session is kept by the crypto worker (see `setPin` in crypto.js), only in
+// memory, so it lasts until logout or reload at most.
+
+/**
+ * Makes `key` the session's journal key and has the worker forget the one it replaces.
+ * @param {KeyHandle|null} key - The new key, or null to drop it.
+ */
+async function setSessionKey(key) {
+    const previousKey = encryptionKey;
+    encryptionKey = key;
+    if (previousKey && previousKey !== key) {
+        await releaseKeys(previousKey);
+    }
+}
 
 /**
  * Initializes the authentication state.
@@ -30,12 +83,11 @@ let currentUsername = null;
  */
 export async function init() {
     try {
-        const userProfile = await getUserProfile('qwerty'); // Assuming 'qwerty' is the fixed username
-        if (userProfile && userProfile.encryptedIdentity) {
-            // Attempt to re-derive key from stored salt and master password if available in session
-            // For simplicity, we won't auto-login without user interaction
-            // A more robust app might try to use a session key or prompt for password
-            console.log('User profile found. Ready for login.');
+        const usernames = await getAllUsernames();
+        if (usernames.length > 0) {
+            // We won't auto-login without user interaction: the key only exists after
+            // the master password is entered.
+            console.log(`${usernames.length} user profile(s) found. Ready for login.`);
             return false; // User profile exists, but not auto-logged in
         } else {
             console.log('No user profile found. Ready for registration.');
@@ -48,55 +100,266 @@ export async function init() {
 }
 
 /**
- * Registers a new user with a master password.
- * @param {string} masterPassword - The user's master password.
- * @returns {Promise<void>}
+ * Lists the local profiles that can log in on this device.
+ * @returns {Promise<Array<string>>} - The usernames.
+ */
+export async function listUsernames() {
+    return getAllUsernames();
+}
+
+/**
+ * Trims and validates a username entered at registration.
+ * @param {string} username - The username as typed.
+ * @returns {string} - The trimmed username.
+ * @throws {Error} - If the username is empty or too long.
  */
-export async function registerUser(masterPassword) {
-    if (await getUserProfile('qwerty')) {
-        throw new Error('User already registered.');
+function normalizeUsername(username) {
+    const trimmed = (username || '').trim();
+    if (!trimmed) {
+        throw new Error('Please choose a username.');
+    }
+    if (trimmed.length > MAX_USERNAME_LENGTH) {
+        throw new Error(`Usernames can be at most ${MAX_USERNAME_LENGTH} characters.`);
     }
+    return trimmed;
+}
 
-    const salt = generateSalt();
-    const encryptionKeyRaw = await deriveKey(masterPassword, salt);
-    const exportedKey = await exportCryptoKey(encryptionKeyRaw);
+/**
+ * Fails if a profile was written by a newer version of the app, whose key setup this
+ * version may not understand. Profiles without a version are version 1.
+ * @param {object} userProfile - The profile record.
+ * @param {string} source - What the profile comes from, for the message (e.g. 'This profile').
+ */
+function requireKnownProfileVersion(userProfile, source) {
+    if ((userProfile.version || 1) > PROFILE_VERSION) {
+        throw new Error(`${source} was saved by a newer version of WebX Journal. Please reload the app while online to update it.`);
+    }
+}
 
-    // Encrypt a dummy value to create an 'identity' that proves key derivation works
-    const identityText = 'identity_check';
-    const encryptedIdentity = await encrypt(identityText, encryptionKeyRaw);
+/**
+ * Loads a profile for login, failing with a user-facing message if it does not exist
+ * or is newer than this version of the app.
+ * @param {string} username - The username to load.
+ * @returns {Promise<object>} - The stored user profile.
+ */
+async function requireUserProfile(username) {
+    const userProfile = username ? await getUserProfile(username) : undefined;
+    if (!userProfile) {
+        throw new Error('User not registered. Please register first.');
+    }
+    requireKnownProfileVersion(userProfile, 'This profile');
+    return userProfile;
+}
 
-    const userProfile = {
-        username: 'qwerty', // Fixed username for simplicity
-        kdfSalt: bytesToBase64(salt),
-        encryptedIdentity: {
-            ciphertext: bytesToBase64(encryptedIdentity.ciphertext),
-            iv: bytesToBase64(encryptedIdentity.iv)
+/**
+ * Picks a fresh salt for each secret the data key is to be wrapped with.
+ * @param {Array<string>} secrets - The secrets (master password, recovery phrase, PIN).
+ * @returns {Array<{secret: string, salt: Uint8Array, params: object}>} - What the crypto worker wraps with.
+ */
+function withFreshSalts(secrets) {
+    return secrets.map(secret => ({ secret, salt: generateSalt(), params: DEFAULT_KDF_PARAMS }));
+}
+
+/**
+ * Turns keys wrapped by the crypto worker into the records stored in a profile.
+ * @param {Array<{salt: Uint8Array}>} secrets - The secrets they were wrapped with, from `withFreshSalts`.
+ * @param {Array<{ciphertext: Uint8Array, iv: Uint8Array}>} wrappedKeys - The wrapped keys, in the same order.
+ * @returns {Array<{kdf: object, wrappedKey: object}>} - The KDF records and wrapped keys, base64-encoded.
+ */
+function toWrappedKeyRecords(secrets, wrappedKeys) {
+    return wrappedKeys.map((wrappedKey, index) => ({
+        kdf: {
+            ...DEFAULT_KDF_PARAMS,
+            salt: bytesToBase64(secrets[index].salt)
         },
-        version: 1
+        wrappedKey: {
+            ciphertext: bytesToBase64(wrappedKey.ciphertext),
+            iv: bytesToBase64(wrappedKey.iv)
+        }
+    }));
+}
+
+/**
+ * Decodes a wrapped key stored by `toWrappedKeyRecords`.
+ * @param {{wrappedKey: object}} record - The KDF record and wrapped key.
+ * @returns {{ciphertext: Uint8Array, iv: Uint8Array}} - The wrapped key.
+ */
+function decodeWrappedKey(record) {
+    return {
+        ciphertext: base64ToBytes(record.wrappedKey.ciphertext),
+        iv: base64ToBytes(record.wrappedKey.iv)
     };
+}
 
-    await addUserProfile(userProfile);
-    console.log('User registered successfully.');
+/**
+ * Creates a data key and wraps it with a key derived from each of `secrets`.
+ * @param {Array<string>} secrets - The secrets to wrap it with.
+ * @returns {Promise<{dataKey: KeyHandle, records: Array<{kdf: object, wrappedKey: object}>}>} - The
+ *     data key, and its wrapped copies in the order of `secrets`.
+ */
+async function createKeyWithSecrets(secrets) {
+    const salted = withFreshSalts(secrets);
+    const { key, wrappedKeys } = await createDataKey(salted);
+    return { dataKey: key, records: toWrappedKeyRecords(salted, wrappedKeys) };
 }
 
 /**
- * Logs in a user with the master password.
- * @param {string} masterPassword - The user's master password.
- * @returns {Promise<boolean>} - True if login is successful, false otherwise.
+ * Unwraps a data key stored by `toWrappedKeyRecords`.
+ * @param {{kdf: object, wrappedKey: object}} record - The KDF record and wrapped key.
+ * @param {string} secret - The master password or recovery phrase.
+ * @returns {Promise<KeyHandle>} - The data key.
+ * @throws {Error} - If the secret is wrong or the record was altered.
  */
-export async function loginUser(masterPassword) {
-    const userProfile = await getUserProfile('qwerty');
-    if (!userProfile) {
-        throw new Error('User not registered. Please register first.');
+async function unwrapKeyWithSecret(record, secret) {
+    const { params, salt } = getProfileKdf(record);
+    return unwrapDataKey(decodeWrappedKey(record), secret, salt, params);
+}
+
+/**
+ * Wraps the data key of a record again, with other secrets. The key stays in the crypto worker.
+ * @param {{kdf: object, wrappedKey: object}} record - The KDF record and wrapped key.
+ * @param {string} secret - The master password or recovery phrase that opens it.
+ * @param {Array<string>} secrets - The secrets to wrap it with.
+ * @returns {Promise<Array<{kdf: object, wrappedKey: object}>>} - The new records, in the order of `secrets`.
+ * @throws {Error} - If the secret is wrong or the record was altered.
+ */
+async function rewrapKeyWithSecret(record, secret, secrets) {
+    const { params, salt } = getProfileKdf(record);
+    const salted = withFreshSalts(secrets);
+    return toWrappedKeyRecords(salted, await rewrapDataKey(decodeWrappedKey(record), secret, salt, params, salted));
+}
+
+/**
+ * Builds a user profile around the data key wrapped by the master password.
+ * @param {string} username - The profile's username.
+ * @param {{kdf: object, wrappedKey: object}} passwordKey - The data key wrapped by the master password.
+ * @returns {object} - The profile record.
+ */
+function buildUserProfile(username, passwordKey) {
+    return {
+        username: username,
+        ...passwordKey,
+        version: PROFILE_VERSION
+    };
+}
+
+/**
+ * Reads the KDF parameters and salt recorded in a profile.
+ * Version 1 profiles predate the `kdf` field and always used PBKDF2.
+ * @param {object} userProfile - The stored user profile.
+ * @returns {{params: object, salt: Uint8Array}} - The KDF parameters and decoded salt.
+ */
+function getProfileKdf(userProfile) {
+    if (userProfile.kdf) {
+        const { salt, ...params } = userProfile.kdf;
+        return { params, salt: base64ToBytes(salt) };
     }
+    return { params: LEGACY_KDF_PARAMS, salt: base64ToBytes(userProfile.kdfSalt) };
+}
 
-    const salt = base64ToBytes(userProfile.kdfSalt);
+/**
+ * Re-encrypts records from one key to another in the crypto worker.
+ * Throws if any record cannot be decrypted, so callers never persist a partially re-keyed journal.
+ * @param {Array<object>} records - The records to re-encrypt.
+ * @param {Array<string>} fields - The encrypted fields of the records.
+ * @param {KeyHandle} oldKey - The key the records are currently encrypted with.
+ * @param {KeyHandle} newKey - The key to encrypt the records with.
+ * @param {Function} [onProgress] - Receives (done, total).
+ * @param {Array<object>|null} [associatedData=null] - For each record, the associated data its fields
+ *     are bound with; it stays the same, as only the key changes.
+ * @returns {Promise<Array<object>>} - The re-encrypted records, ready to be stored.
+ */
+async function reencryptJournalRecords(records, fields, oldKey, newKey, onProgress, associatedData = null) {
+    const reencrypted = await reencryptRecords(records, fields, oldKey, newKey,
+        { oldAssociatedData: associatedData, newAssociatedData: associatedData, onProgress });
+    if (reencrypted.includes(null)) {
+        throw new Error('Part of the journal could not be decrypted, so it was not re-encrypted.');
+    }
+    return reencrypted;
+}
+
+/**
+ * Stores the profile under a (possibly new) master password with the default KDF.
+ * Envelope profiles only need their data key re-wrapped, which takes the secret that opens it.
+ * Older profiles encrypted entries with the password-derived key itself, so they get a fresh
+ * data key and every entry, revision, attachment and draft is re-encrypted; all of it is
+ * committed in one transaction, so an interrupted migration leaves the journal readable with
+ * the old password.
+ * @param {object} userProfile - The stored user profile.
+ * @param {string} masterPassword - The master password to protect the profile with.
+ * @param {KeyHandle} currentKey - The key the journal is currently encrypted with.
+ * @param {{record: object, secret: string}} unlockedWith - The wrapped key that was opened to get
+ *     `currentKey` (the profile or its `recovery` record) and the secret that opened it.
+ * @param {Function} [onProgress] - Receives (done, total) while records are re-encrypted.
+ * @returns {Promise<KeyHandle>} - The data key the journal is encrypted with afterwards.
+ */
+async function saveProfileForPassword(userProfile, masterPassword, currentKey, unlockedWith, onProgress = null) {
+    // Drop the fields only older profile versions carry, and failed logins: the password was just proven
+    const { kdfSalt, encryptedIdentity, failedLogins, ...otherFields } = userProfile;
+
+    if (userProfile.wrappedKey) {
+        const [passwordKey] = await rewrapKeyWithSecret(unlockedWith.record, unlockedWith.secret, [masterPassword]);
+        await updateUserProfile({ ...otherFields, ...buildUserProfile(userProfile.username, passwordKey) });
+        return currentKey;
+    }
+
+    const username = userProfile.username;
+    const [storedEntries, storedRevisions, storedAttachments, storedDrafts] = await Promise.all([
+        getAllJournalEntries(username), getAllRevisions(username), getAllAttachments(username), getDrafts(username)
+    ]);
+    // One progress bar across all four kinds of record
+    const total = storedEntries.length + storedRevisions.length + storedAttachments.length + storedDrafts.length;
+    let finished = 0;
+    const reportProgress = (done) => onProgress && onProgress(finished + done, total);
+
+    const { dataKey, records: [passwordKey] } = await createKeyWithSecrets([masterPassword]);
+    try {
+        const entries = await reencryptJournalRecords(storedEntries, ENCRYPTED_ENTRY_FIELDS, currentKey, dataKey, reportProgress,
+            storedEntries.map(entry => getEntryAssociatedData(entry, ENCRYPTED_ENTRY_FIELDS)));
+        finished += entries.length;
+        const revisions = await reencryptJournalRecords(storedRevisions, ENCRYPTED_ENTRY_FIELDS, currentKey, dataKey, reportProgress,
+            storedRevisions.map(revision => getEntryAssociatedData(revision, ENCRYPTED_ENTRY_FIELDS)));
+        finished += revisions.length;
+        const attachments = [];
+        for (const attachment of storedAttachments) {
+            attachments.push(await reencryptAttachment(attachment, currentKey, dataKey));
+            reportProgress(attachments.length);
+        }
+        finished += attachments.length;
+        const drafts = await reencryptJournalRecords(storedDrafts, ['draft'], currentKey, dataKey, reportProgress);
+        await saveUserProfileAndEntries({ ...otherFields, ...buildUserProfile(username, passwordKey) }, entries, revisions, attachments, drafts);
+    } catch (error) {
+        await releaseKeys(dataKey);
+        throw error;
+    }
+    return dataKey;
+}
+
+/**
+ * Derives the password key for a profile and uses it to unlock the journal key.
+ * For envelope profiles that is the unwrapped data key; older profiles are checked
+ * against their encrypted identity and use the derived key directly.
+ * @param {object} userProfile - The stored user profile.
+ * @param {string} masterPassword - The password to check.
+ * @returns {Promise<KeyHandle|null>} - The journal key, or null if the password is wrong.
+ */
+async function verifyMasterPassword(userProfile, masterPassword) {
+    if (userProfile.wrappedKey) {
+        try {
+            return await unwrapKeyWithSecret(userProfile, masterPassword);
+        } catch (error) {
+            console.error('Unwrapping the data key failed:', error);
+            return null; // Wrong password, or the wrapped key was altered
+        }
+    }
+
+    const { params, salt } = getProfileKdf(userProfile);
     let derivedKey;
     try {
-        derivedKey = await deriveKey(masterPassword, salt);
+        derivedKey = await deriveKey(masterPassword, salt, params);
     } catch (e) {
         console.error("Key derivation failed:", e);
-        return false; // Password likely incorrect or derivation issue
+        return null; // Password likely incorrect or derivation issue
     }
 
     try {
@@ -104,34 +367,476 @@ export async function loginUser(masterPassword) {
         const ciphertext = base64ToBytes(userProfile.encryptedIdentity.ciphertext);
         const decryptedIdentity = await decrypt({ ciphertext, iv }, derivedKey);
 
-        if (decryptedIdentity === 'identity_check') {
-            encryptionKey = derivedKey;
-            currentUsername = userProfile.username;
-            console.log('Login successful.');
-            return true;
-        } else {
+        if (decryptedIdentity !== IDENTITY_CHECK) {
             console.warn('Decrypted identity mismatch. Incorrect password.');
-            return false;
+            await releaseKeys(derivedKey);
+            return null;
         }
     } catch (error) {
         console.error('Decryption failed during login identity check:', error);
-        return false; // Decryption failed, likely wrong password
+        await releaseKeys(derivedKey);
+        return null; // Decryption failed, likely wrong password
+    }
+    return derivedKey;
+}
+
+/**
+ * Wraps the data key of an envelope profile with other secrets, after checking the master password.
+ * @param {object} userProfile - The stored user profile.
+ * @param {string} masterPassword - The password to check.
+ * @param {Array<string>} secrets - The secrets to wrap the data key with.
+ * @returns {Promise<Array<{kdf: object, wrappedKey: object}>|null>} - The wrapped keys, in the
+ *     order of `secrets`, or null if the password is wrong.
+ */
+async function rewrapWithMasterPassword(userProfile, masterPassword, secrets) {
+    try {
+        return await rewrapKeyWithSecret(userProfile, masterPassword, secrets);
+    } catch (error) {
+        console.error('Unwrapping the data key failed:', error);
+        return null; // Wrong password, or the wrapped key was altered
+    }
+}
+
+/**
+ * Works out how long to wait after a number of consecutive failed logins.
+ * @param {number} failedAttempts - The failed logins in a row.
+ * @returns {number} - The wait in milliseconds.
+ */
+function loginBackoff(failedAttempts) {
+    if (failedAttempts < FREE_LOGIN_ATTEMPTS) {
+        return 0;
+    }
+    return Math.min(LOGIN_BACKOFF_MAX_MS, LOGIN_BACKOFF_BASE_MS * 2 ** (failedAttempts - FREE_LOGIN_ATTEMPTS));
+}
+
+/**
+ * Counts a login attempt against a profile before the password is checked, so that an attempt
+ * cut short (e.g. by closing the tab) still counts; a successful login clears it again. The
+ * count and the time of the next allowed attempt are stored in the profile's `failedLogins`,
+ * so they survive reloads. They are read and raised in one transaction, so attempts made at
+ * the same time in several tabs all count.
+ * @param {string} username - The profile.
+ * @returns {Promise<number>} - The attempts counted so far, this one included.
+ * @throws {Error} - If the profile is still locked out after earlier failures.
+ */
+async function countLoginAttempt(username) {
+    let waitMs = 0;
+    const userProfile = await modifyUserProfile(username, (profile) => {
+        const { failedAttempts = 0, lockedUntil = 0 } = profile.failedLogins || {};
+        waitMs = lockedUntil - Date.now();
+        if (waitMs > 0) {
+            return null;
+        }
+        const attempts = failedAttempts + 1;
+        return { ...profile, failedLogins: { failedAttempts: attempts, lockedUntil: Date.now() + loginBackoff(attempts) } };
+    });
+    if (waitMs > 0) {
+        throw new Error(`Too many failed attempts. Please wait ${Math.ceil(waitMs / 1000)} seconds before trying again.`);
+    }
+    return userProfile.failedLogins.failedAttempts;
+}
+
+/**
+ * Clears a profile's failed logins after it was unlocked.
+ * @param {string} username - The profile.
+ */
+async function clearFailedLogins(username) {
+    await modifyUserProfile(username, (profile) => {
+        if (!profile.failedLogins) {
+            return null;
+        }
+        const { failedLogins, ...otherFields } = profile;
+        return otherFields;
+    });
+}
+
+/**
+ * Describes the failed logins of a profile, for the countdown on the login form.
+ * @param {string} username - The profile.
+ * @returns {Promise<{failedAttempts: number, lockedUntil: number, attemptsBeforeWipe: number|null}|null>} -
+ *     The failed logins in a row, when the next attempt is allowed, and how many more failures
+ *     erase the journal (null if that is turned off); or null if the profile does not exist.
+ */
+export async function getLoginThrottle(username) {
+    const userProfile = username ? await getUserProfile(username) : undefined;
+    if (!userProfile) {
+        return null;
+    }
+    const { failedAttempts = 0, lockedUntil = 0 } = userProfile.failedLogins || {};
+    return {
+        failedAttempts,
+        lockedUntil,
+        attemptsBeforeWipe: userProfile.wipeAfterFailedLogins ? Math.max(0, userProfile.wipeAfterFailedLogins - failedAttempts) : null
+    };
+}
+
+/**
+ * Reads after how many consecutive failed logins the logged-in profile is erased.
+ * @returns {Promise<number>} - The number of failures, or 0 if the journal is never erased.
+ */
+export async function getWipeAfterFailedLogins() {
+    const userProfile = currentUsername ? await getUserProfile(currentUsername) : undefined;
+    return (userProfile && userProfile.wipeAfterFailedLogins) || 0;
+}
+
+/**
+ * Sets after how many consecutive failed logins the logged-in profile and all of its data are
+ * erased from this device.
+ * @param {number} count - The number of failures, or 0 to never erase the journal.
+ */
+export async function setWipeAfterFailedLogins(count) {
+    const userProfile = currentUsername && encryptionKey ? await getUserProfile(currentUsername) : undefined;
+    if (!userProfile) {
+        throw new Error('No user logged in to change the login protection for.');
     }
+    await updateUserProfile({ ...userProfile, wipeAfterFailedLogins: count });
+}
+
+/**
+ * Registers a new local profile.
+ * @param {string} username - The username for the new profile.
+ * @param {string} masterPassword - The user's master password.
+ * @returns {Promise<string>} - The recovery phrase. It is not stored anywhere, so it must be shown to the user now.
+ */
+export async function registerUser(username, masterPassword) {
+    username = normalizeUsername(username);
+    if (await getUserProfile(username)) {
+        throw new Error('A profile with this username already exists on this device.');
+    }
+
+    const recoveryPhrase = generateRecoveryPhrase(RECOVERY_WORD_COUNT);
+    const { dataKey, records: [passwordKey, recovery] } = await createKeyWithSecrets([masterPassword, recoveryPhrase]);
+    await releaseKeys(dataKey); // Registering does not log in
+
+    await addUserProfile({ ...buildUserProfile(username, passwordKey), recovery });
+    console.log('User registered successfully.');
+    return recoveryPhrase;
+}
+
+/**
+ * Logs in a user with the master password.
+ * Profiles without a wrapped data key or using an outdated KDF are upgraded on success.
+ * Failed attempts are throttled with an exponential back-off, and if the profile opted in, it is
+ * erased after too many of them in a row.
+ * @param {string} username - The profile to log in to.
+ * @param {string} masterPassword - The user's master password.
+ * @param {object} [options]
+ * @param {boolean} [options.upgradeProfile=true] - Whether to upgrade an outdated profile. Disabled
+ *     while importing, when the stored entries do not belong to the profile being checked yet.
+ * @param {Function} [options.onProgress] - Receives (done, total) while an upgrade re-encrypts the journal.
+ * @returns {Promise<boolean>} - True if login is successful, false otherwise.
+ * @throws {Error} - If the profile is locked out after failed attempts, or was just erased.
+ */
+export async function loginUser(username, masterPassword, { upgradeProfile = true, onProgress = null } = {}) {
+    const userProfile = await requireUserProfile(username);
+    const attempts = await countLoginAttempt(userProfile.username);
+
+    let derivedKey = await verifyMasterPassword(userProfile, masterPassword);
+    if (!derivedKey) {
+        if (userProfile.wipeAfterFailedLogins && attempts >= userProfile.wipeAfterFailedLogins) {
+            await deleteUserData(userProfile.username);
+            if (currentUsername === userProfile.username) {
+                currentUsername = null; // The lock screen has nothing left to unlock
+                await forgetPin();
+            }
+            console.warn(`Profile ${userProfile.username} erased after ${attempts} failed logins.`);
+            throw new Error(`Too many failed attempts: the journal of ${userProfile.username} was erased from this device.`);
+        }
+        return false;
+    }
+    await clearFailedLogins(userProfile.username);
+
+    if (upgradeProfile && (!userProfile.wrappedKey || isKdfOutdated(getProfileKdf(userProfile).params))) {
+        try {
+            const dataKey = await saveProfileForPassword(userProfile, masterPassword, derivedKey,
+                { record: userProfile, secret: masterPassword }, onProgress);
+            if (dataKey !== derivedKey) {
+                await releaseKeys(derivedKey); // The journal is no longer encrypted with it
+                derivedKey = dataKey;
+            }
+            console.log(`User profile upgraded to version ${PROFILE_VERSION} (${DEFAULT_KDF_PARAMS.algorithm}).`);
+        } catch (error) {
+            // The old profile and entries are untouched, so keep using the old key
+            console.warn('Profile upgrade failed; continuing with the existing key.', error);
+        }
+    }
+
+    await setSessionKey(derivedKey);
+    if (currentUsername === userProfile.username) {
+        await resetPinAttempts(); // Unlocked with the master password: the PIN gets its attempts back
+    } else {
+        await forgetPin();
+    }
+    currentUsername = userProfile.username;
+    console.log('Login successful.');
+    return true;
+}
+
+/**
+ * Changes the logged-in user's master password by re-wrapping the data key.
+ * The current password is checked the same way as on login.
+ * @param {string} currentPassword - The current master password.
+ * @param {string} newPassword - The new master password.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Receives (done, total) while an outdated profile is re-encrypted.
+ * @returns {Promise<boolean>} - True if changed, false if the current password is wrong.
+ */
+export async function changeMasterPassword(currentPassword, newPassword, { onProgress = null } = {}) {
+    if (!currentUsername || !encryptionKey) {
+        throw new Error('No user logged in to change the password for.');
+    }
+    const userProfile = await getUserProfile(currentUsername);
+    if (!userProfile) {
+        throw new Error('User profile not found.');
+    }
+
+    const currentKey = await verifyMasterPassword(userProfile, currentPassword);
+    if (!currentKey) {
+        return false;
+    }
+
+    let dataKey;
+    try {
+        dataKey = await saveProfileForPassword(userProfile, newPassword, currentKey,
+            { record: userProfile, secret: currentPassword }, onProgress);
+    } catch (error) {
+        await releaseKeys(currentKey);
+        throw error;
+    }
+    if (dataKey !== currentKey) {
+        await releaseKeys(currentKey);
+    }
+    await setSessionKey(dataKey);
+    console.log('Master password changed.');
+    return true;
+}
+
+/**
+ * Unlocks the journal with the recovery phrase and protects it with a new master password.
+ * The recovery phrase stays valid.
+ * @param {string} username - The profile to recover.
+ * @param {string} recoveryPhrase - The recovery phrase as entered by the user.
+ * @param {string} newPassword - The new master password.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Receives (done, total) while an outdated profile is re-encrypted.
+ * @returns {Promise<boolean>} - True if recovered and logged in, false if the phrase is wrong.
+ */
+export async function recoverWithPhrase(username, recoveryPhrase, newPassword, { onProgress = null } = {}) {
+    const userProfile = await requireUserProfile(username);
+    if (!userProfile.recovery) {
+        throw new Error('No recovery phrase was set up for this journal.');
+    }
+
+    const normalizedPhrase = normalizeRecoveryPhrase(recoveryPhrase); // Throws on words that are not in the list
+    let dataKey;
+    try {
+        dataKey = await unwrapKeyWithSecret(userProfile.recovery, normalizedPhrase);
+    } catch (error) {
+        console.error('Unlocking with the recovery phrase failed:', error);
+        return false;
+    }
+
+    try {
+        await setSessionKey(await saveProfileForPassword(userProfile, newPassword, dataKey,
+            { record: userProfile.recovery, secret: normalizedPhrase }, onProgress));
+    } catch (error) {
+        await releaseKeys(dataKey);
+        throw error;
+    }
+    currentUsername = userProfile.username;
+    console.log('Journal recovered and master password reset.');
+    return true;
+}
+
+/**
+ * Checks the master password of the logged-in user, e.g. before an export, without changing
+ * the session or counting towards the failed logins.
+ * @param {string} masterPassword - The password to check.
+ * @returns {Promise<boolean>} - True if the password is right.
+ */
+export async function checkMasterPassword(masterPassword) {
+    const userProfile = currentUsername && encryptionKey ? await getUserProfile(currentUsername) : undefined;
+    if (!userProfile) {
+        throw new Error('No user logged in to check the password of.');
+    }
+    const key = await verifyMasterPassword(userProfile, masterPassword);
+    if (!key) {
+        return false;
+    }
+    await releaseKeys(key);
+    return true;
+}
+
+/**
+ * Replaces the recovery phrase of the logged-in user. The old phrase stops working.
+ * @param {string} masterPassword - The current master password.
+ * @returns {Promise<string|null>} - The new recovery phrase, or null if the password is wrong.
+ */
+export async function resetRecoveryPhrase(masterPassword) {
+    if (!currentUsername || !encryptionKey) {
+        throw new Error('No user logged in to create a recovery phrase for.');
+    }
+    const userProfile = await getUserProfile(currentUsername);
+    if (!userProfile || !userProfile.wrappedKey) {
+        throw new Error('Recovery phrases require an up-to-date profile. Please log in again.');
+    }
+
+    const recoveryPhrase = generateRecoveryPhrase(RECOVERY_WORD_COUNT);
+    const records = await rewrapWithMasterPassword(userProfile, masterPassword, [recoveryPhrase]);
+    if (!records) {
+        return null;
+    }
+    await updateUserProfile({ ...userProfile, recovery: records[0] });
+    console.log('Recovery phrase replaced.');
+    return recoveryPhrase;
+}
+
+/**
+ * Describes the quick-unlock PIN of the session. The crypto worker deletes it once it has expired.
+ * @returns {Promise<{expiresAt: number, attemptsLeft: number}|null>} - When the PIN stops working and
+ *     how many wrong PINs it takes, or null if no PIN can be used.
+ */
+export async function getQuickUnlockStatus() {
+    return currentUsername ? getPinStatus() : null;
+}
+
+/**
+ * Loads the profile of the logged-in user before the quick-unlock PIN is changed.
+ * @returns {Promise<object>} - The stored user profile.
+ */
+async function requireProfileForPin() {
+    const userProfile = currentUsername && encryptionKey ? await getUserProfile(currentUsername) : undefined;
+    if (!userProfile) {
+        throw new Error('No user logged in to set up a PIN for.');
+    }
+    if (!userProfile.wrappedKey) {
+        // Older profiles encrypt with the password-derived key, which cannot be wrapped
+        throw new Error('This profile has not been upgraded yet. Please lock and unlock the journal, then try again.');
+    }
+    return userProfile;
+}
+
+/**
+ * Sets or replaces the PIN that unlocks the session from the lock screen. The PIN works until
+ * logout or reload, until `maxAgeMs` has passed or until it is entered wrongly too often.
+ * @param {string} masterPassword - The current master password.
+ * @param {string} pin - The new PIN, 4 to 8 digits.
+ * @param {number} maxAgeMs - How long the PIN stays valid, in milliseconds.
+ * @returns {Promise<boolean>} - True if the PIN was set, false if the password is wrong.
+ */
+export async function setQuickUnlockPin(masterPassword, pin, maxAgeMs) {
+    if (!PIN_PATTERN.test(pin || '')) {
+        throw new Error('The PIN must be 4 to 8 digits.');
+    }
+    const userProfile = await requireProfileForPin();
+    const { params, salt } = getProfileKdf(userProfile);
+    const [pinSecret] = withFreshSalts([pin]);
+    try {
+        await setPin(decodeWrappedKey(userProfile), masterPassword, salt, params, pinSecret, maxAgeMs, MAX_PIN_ATTEMPTS);
+    } catch (error) {
+        console.error('Unwrapping the data key failed:', error);
+        return false; // Wrong password, or the wrapped key was altered
+    }
+    console.log('Quick-unlock PIN set.');
+    return true;
+}
+
+/**
+ * Turns the quick-unlock PIN off.
+ * @param {string} masterPassword - The current master password.
+ * @returns {Promise<boolean>} - True if the PIN was removed, false if the password is wrong.
+ */
+export async function clearQuickUnlockPin(masterPassword) {
+    const dataKey = await verifyMasterPassword(await requireProfileForPin(), masterPassword);
+    if (!dataKey) {
+        return false;
+    }
+    await releaseKeys(dataKey);
+    await forgetPin();
+    console.log('Quick-unlock PIN removed.');
+    return true;
+}
+
+/**
+ * Unlocks the locked session with the quick-unlock PIN.
+ * @param {string} pin - The PIN as entered.
+ * @returns {Promise<boolean>} - True if unlocked, false if the PIN is wrong.
+ * @throws {Error} - If no PIN can be used (any more): it was never set, has expired or was
+ *     entered wrongly too often. The master password is needed then.
+ */
+export async function unlockWithPin(pin) {
+    if (!currentUsername) {
+        throw new Error('No PIN is set up. Please enter your master password.');
+    }
+    const { key, status } = await unwrapDataKeyWithPin(pin);
+    if (!key) {
+        if (!status) {
+            throw new Error('Too many wrong PINs. Please enter your master password.');
+        }
+        return false;
+    }
+    await setSessionKey(key);
+    console.log('Unlocked with PIN.');
+    return true;
+}
+
+/**
+ * Tells whether the logged-in profile stores its entries in privacy mode (see privacy.js).
+ * @returns {Promise<boolean>} - True if privacy mode is on.
+ */
+export async function isPrivacyModeEnabled() {
+    const userProfile = currentUsername ? await getUserProfile(currentUsername) : undefined;
+    return !!(userProfile && userProfile.privacyMode);
+}
+
+/**
+ * Turns privacy mode on or off for the logged-in profile. Only the setting is stored here;
+ * the entries are converted by `applyPrivacyMode` in privacy.js.
+ * @param {boolean} enabled - Whether privacy mode should be on.
+ */
+export async function setPrivacyMode(enabled) {
+    const userProfile = currentUsername && encryptionKey ? await getUserProfile(currentUsername) : undefined;
+    if (!userProfile) {
+        throw new Error('No user logged in to change privacy mode for.');
+    }
+    if (enabled && !userProfile.wrappedKey) {
+        // Upgrading such a profile re-encrypts the entry fields, which sealed entries hide
+        throw new Error('This profile has not been upgraded yet. Please lock and unlock the journal, then try again.');
+    }
+    await updateUserProfile({ ...userProfile, privacyMode: enabled });
 }
 
 /**
  * Logs out the current user.
  */
 export async function logout() {
-    encryptionKey = null;
+    await setSessionKey(null);
     currentUsername = null;
+    await forgetPin();
     console.log('Logged out.');
     // In a real app, you might clear session storage or cookies here.
 }
 
 /**
- * Retrieves the current in-memory encryption key.
- * @returns {CryptoKey|null} - The encryption key if authenticated, otherwise null.
+ * Locks the session: has the crypto worker forget the key but remembers who was logged in,
+ * so the lock screen can ask for that user's master password (or quick-unlock PIN) again.
+ */
+export async function lock() {
+    await setSessionKey(null);
+    console.log('Session locked.');
+}
+
+/**
+ * Retrieves the username of the logged-in (or locked) user.
+ * @returns {string|null} - The username, or null if nobody is logged in.
+ */
+export function getCurrentUsername() {
+    return currentUsername;
+}
+
+/**
+ * Retrieves the handle of the current encryption key. The key itself stays in the crypto worker.
+ * @returns {KeyHandle|null} - The encryption key if authenticated, otherwise null.
  */
 export function getCurrentEncryptionKey() {
     return encryptionKey;
@@ -140,7 +845,7 @@ export function getCurrentEncryptionKey() {
 /**
  * Exports user keys (for backup/migration).
  * Returns the raw user profile data that can be re-imported.
- * @param {CryptoKey} key - The current active encryption key.
+ * @param {KeyHandle} key - The current active encryption key.
  * @returns {Promise<object>} - An object containing the encrypted user profile.
  */
 export async function exportKeys(key) {
@@ -156,3 +861,15 @@ export async function exportKeys(key) {
         userProfile: userProfile
     };
 }
+
+/**
+ * Unlocks the journal key of a profile taken from a backup, without storing it or
+ * changing the session.
+ * @param {object} userProfile - The profile record from the backup.
+ * @param {string} masterPassword - The master password the backup was made with.
+ * @returns {Promise<KeyHandle|null>} - The key the backup's entries are encrypted with, or null if the password is wrong.
+ */
+export async function unlockImportedProfile(userProfile, masterPassword) {
+    requireKnownProfileVersion(userProfile, 'The backup');
+    return verifyMasterPassword(userProfile, masterPassword);
+}
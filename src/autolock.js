@@ -0,0 +1,79 @@
+// src/autolock.js
+
+/**
+ * @fileoverview Inactivity timer that fires a callback once the user has been idle
+ * for the configured time. Timers are throttled in background tabs, so elapsed idle
+ * time is also re-checked whenever the page becomes visible again.
+ */
+
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'wheel', 'scroll', 'input'];
+
+let timeoutMs = 0;
+let lastActivity = 0;
+let timerId = null;
+let onIdle = null;
+
+/**
+ * Records user activity. The pending timer is not rescheduled here;
+ * `checkIdle` extends it when it fires early.
+ */
+function recordActivity() {
+    lastActivity = Date.now();
+}
+
+/**
+ * Fires the idle callback if the timeout has elapsed, otherwise re-arms the timer.
+ */
+function checkIdle() {
+    if (!onIdle) {
+        return;
+    }
+    const idleFor = Date.now() - lastActivity;
+    if (idleFor >= timeoutMs) {
+        const callback = onIdle;
+        stopAutoLock();
+        callback();
+    } else {
+        clearTimeout(timerId);
+        timerId = setTimeout(checkIdle, timeoutMs - idleFor);
+    }
+}
+
+/**
+ * Re-checks the idle time when a hidden tab is shown again.
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+        checkIdle();
+    }
+}
+
+/**
+ * Starts watching for inactivity. Replaces any previously started timer.
+ * @param {Function} callback - Called once when the user has been idle for `minutes`.
+ * @param {number} minutes - Idle time before `callback` fires; 0 or less disables the timer.
+ */
+export function startAutoLock(callback, minutes) {
+    stopAutoLock();
+    if (!(minutes > 0)) {
+        return;
+    }
+
+    timeoutMs = minutes * 60 * 1000;
+    onIdle = callback;
+    lastActivity = Date.now();
+    ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, recordActivity, { passive: true, capture: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    timerId = setTimeout(checkIdle, timeoutMs);
+}
+
+/**
+ * Stops watching for inactivity.
+ */
+export function stopAutoLock() {
+    clearTimeout(timerId);
+    timerId = null;
+    onIdle = null;
+    ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, recordActivity, { capture: true }));
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+}
@@ -0,0 +1,63 @@
+// src/autosave.js
+
+/**
+ * @fileoverview Debounced autosave for the entry editor. A save runs once typing has paused
+ * for a moment, and is run at once when the page is hidden (tab switched, closed or reloaded),
+ * since a pending timer would not survive the page.
+ */
+
+const AUTOSAVE_DELAY_MS = 1500;
+
+let timerId = null;
+let pendingSave = null;
+let running = Promise.resolve();
+
+/**
+ * Runs the pending save now, if there is one.
+ * Saves never overlap: each one starts after the previous has finished.
+ * @returns {Promise<void>} - Resolves once the save has finished.
+ */
+export function flushAutosave() {
+    clearTimeout(timerId);
+    timerId = null;
+    const save = pendingSave;
+    pendingSave = null;
+    if (save) {
+        running = running.then(save).catch(error => console.error('Autosave failed:', error));
+    }
+    return running;
+}
+
+/**
+ * Flushes the pending save when the page is hidden.
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+        flushAutosave();
+    }
+}
+
+/**
+ * Schedules a save, replacing any save that has not run yet.
+ * @param {Function} save - Async function that stores the editor state.
+ */
+export function scheduleAutosave(save) {
+    pendingSave = save;
+    clearTimeout(timerId);
+    timerId = setTimeout(flushAutosave, AUTOSAVE_DELAY_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flushAutosave);
+}
+
+/**
+ * Drops the pending save (e.g. because the entry was just saved or the edit was cancelled).
+ * @returns {Promise<void>} - Resolves once a save that is already running has finished.
+ */
+export function cancelAutosave() {
+    clearTimeout(timerId);
+    timerId = null;
+    pendingSave = null;
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', flushAutosave);
+    return running;
+}
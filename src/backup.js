@@ -0,0 +1,222 @@
+// src/backup.js
+
+/**
+ * @fileoverview The `.webx` single-file backup format.
+ *
+ * Layout (all integers big-endian):
+ *   0   4 bytes   magic "WEBX"
+ *   4   2 bytes   format version
+ *   6   4 bytes   header length H
+ *   10  H bytes   header, UTF-8 JSON: formatVersion, createdAt, kdf (incl. salt), iv,
+ *                 payloadLength, keyCheck
+ *   ..  P bytes   payload: AES-GCM encrypted JSON of { userProfile, journalEntries, attachments }
+ *   ..  32 bytes  HMAC-SHA256 over everything before it
+ *
+ * The encryption and HMAC keys are derived from the master password with the KDF recorded
+ * in the header, so a backup can be verified and opened on any device. The key check lets
+ * a wrong password be told apart from a modified file.
+ */
+
+import {
+    deriveBackupKeys,
+    computeHmac,
+    verifyHmac,
+    encrypt,
+    decrypt,
+    generateSalt,
+    bytesToBase64,
+    base64ToBytes,
+    encodeBytes,
+    decodeBytes,
+    releaseKeys,
+    DEFAULT_KDF_PARAMS,
+    KDF_ARGON2ID,
+    KDF_PBKDF2
+} from './crypto.js';
+
+export const BACKUP_FORMAT_VERSION = 1;
+export const BACKUP_FILE_EXTENSION = '.webx';
+export const BACKUP_MIME_TYPE = 'application/octet-stream';
+
+const MAGIC = [0x57, 0x45, 0x42, 0x58]; // "WEBX"
+const PREFIX_LENGTH = 10;
+const MAC_LENGTH = 32;
+const KEY_CHECK_LABEL = 'webx-backup-key-check';
+
+/**
+ * The key derivation settings a backup may ask for, as [min, max] by parameter. The header is
+ * only authenticated after the keys are derived, so these keep a crafted file from demanding
+ * enough memory or time to freeze the tab. Memory is in KiB.
+ */
+const BACKUP_KDF_LIMITS = {
+    [KDF_ARGON2ID]: { memory: [8, 256 * 1024], iterations: [1, 16], parallelism: [1, 4] },
+    [KDF_PBKDF2]: { iterations: [1000, 10000000] }
+};
+
+/**
+ * Builds the backup filename, e.g. `webx-journal-backup-202410191530.webx`.
+ * @param {Date} [date=new Date()] - The backup time.
+ * @returns {string} - The filename.
+ */
+export function getBackupFilename(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}`;
+    return `webx-journal-backup-${stamp}${BACKUP_FILE_EXTENSION}`;
+}
+
+/**
+ * Creates a `.webx` backup file.
+ * @param {{userProfile: object, journalEntries: Array<object>, attachments: Array<object>}} data - The profile and its
+ *     (encrypted) entries and attachments; attachment ciphertexts must be byte arrays, not Blobs.
+ * @param {string} masterPassword - The master password that will be needed to open the backup.
+ * @returns {Promise<Uint8Array>} - The file contents.
+ */
+export async function createBackup(data, masterPassword) {
+    const salt = generateSalt();
+    const { encryptionKey, macKey } = await deriveBackupKeys(masterPassword, salt, DEFAULT_KDF_PARAMS);
+    try {
+        return await writeBackup(data, salt, encryptionKey, macKey);
+    } finally {
+        await releaseKeys(encryptionKey, macKey);
+    }
+}
+
+/**
+ * Encrypts and signs the backup file with keys from `deriveBackupKeys`.
+ * @param {object} data - The data to back up, as for `createBackup`.
+ * @param {Uint8Array} salt - The salt the keys were derived with.
+ * @param {KeyHandle} encryptionKey - The backup encryption key.
+ * @param {KeyHandle} macKey - The backup HMAC key.
+ * @returns {Promise<Uint8Array>} - The file contents.
+ */
+async function writeBackup(data, salt, encryptionKey, macKey) {
+    const payload = await encrypt(JSON.stringify(data, encodeBytes), encryptionKey);
+    const keyCheck = await computeHmac(macKey, new TextEncoder().encode(KEY_CHECK_LABEL));
+
+    const header = new TextEncoder().encode(JSON.stringify({
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        kdf: { ...DEFAULT_KDF_PARAMS, salt: bytesToBase64(salt) },
+        iv: bytesToBase64(payload.iv),
+        payloadLength: payload.ciphertext.length,
+        keyCheck: bytesToBase64(keyCheck)
+    }));
+
+    const signedLength = PREFIX_LENGTH + header.length + payload.ciphertext.length;
+    const file = new Uint8Array(signedLength + MAC_LENGTH);
+    const view = new DataView(file.buffer);
+    file.set(MAGIC, 0);
+    view.setUint16(4, BACKUP_FORMAT_VERSION);
+    view.setUint32(6, header.length);
+    file.set(header, PREFIX_LENGTH);
+    file.set(payload.ciphertext, PREFIX_LENGTH + header.length);
+    file.set(await computeHmac(macKey, file.subarray(0, signedLength)), signedLength);
+    return file;
+}
+
+/**
+ * Parses and verifies a `.webx` backup without touching the database.
+ * The whole file is authenticated before the payload is decrypted.
+ * @param {ArrayBuffer|Uint8Array} contents - The file contents.
+ * @param {string} masterPassword - The master password used when the backup was made.
+ * @returns {Promise<{header: object, userProfile: object, journalEntries: Array<object>, attachments: Array<object>}>}
+ *     - The verified backup. Backups made before attachments existed have none.
+ * @throws {Error} - With a message describing why the file was rejected.
+ */
+export async function readBackup(contents, masterPassword) {
+    const file = contents instanceof Uint8Array ? contents : new Uint8Array(contents);
+    if (file.length < PREFIX_LENGTH || MAGIC.some((byte, i) => file[i] !== byte)) {
+        throw new Error('This is not a WebX Journal backup (.webx) file.');
+    }
+
+    const view = new DataView(file.buffer, file.byteOffset, file.byteLength);
+    const formatVersion = view.getUint16(4);
+    if (formatVersion > BACKUP_FORMAT_VERSION) {
+        throw new Error(`Backup format version ${formatVersion} is newer than this app supports. Please update WebX Journal.`);
+    }
+
+    const headerLength = view.getUint32(6);
+    if (PREFIX_LENGTH + headerLength > file.length) {
+        throw new Error('The backup file is truncated: its header is incomplete.');
+    }
+
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(file.subarray(PREFIX_LENGTH, PREFIX_LENGTH + headerLength)));
+    } catch (e) {
+        throw new Error('The backup header is corrupted and cannot be read.');
+    }
+    if (!header || header.formatVersion !== formatVersion || !header.kdf || !Number.isInteger(header.payloadLength)) {
+        throw new Error('The backup header is corrupted or has been modified.');
+    }
+
+    const signedLength = PREFIX_LENGTH + headerLength + header.payloadLength;
+    if (file.length < signedLength + MAC_LENGTH) {
+        throw new Error('The backup file is truncated: part of the journal data is missing.');
+    }
+    if (file.length > signedLength + MAC_LENGTH) {
+        throw new Error('The backup file contains unexpected extra data and may have been tampered with.');
+    }
+
+    const { salt, ...kdfParams } = checkBackupKdf(header.kdf);
+    const { encryptionKey, macKey } = await deriveBackupKeys(masterPassword, base64ToBytes(salt), kdfParams);
+    try {
+        return await openBackup(file, header, headerLength, encryptionKey, macKey);
+    } finally {
+        await releaseKeys(encryptionKey, macKey);
+    }
+}
+
+/**
+ * Checks the key derivation settings in a backup header before any key is derived with them.
+ * @param {object} kdf - The `kdf` of the header, from the untrusted file.
+ * @returns {object} - The settings, including the salt.
+ * @throws {Error} - If the algorithm is unknown or a parameter is out of range.
+ */
+function checkBackupKdf(kdf) {
+    const limits = Object.hasOwn(BACKUP_KDF_LIMITS, kdf.algorithm) ? BACKUP_KDF_LIMITS[kdf.algorithm] : null;
+    const inRange = (name) => Number.isInteger(kdf[name]) && kdf[name] >= limits[name][0] && kdf[name] <= limits[name][1];
+    if (!limits || typeof kdf.salt !== 'string' || !Object.keys(limits).every(inRange) ||
+        (kdf.algorithm === KDF_PBKDF2 && kdf.hash !== undefined && kdf.hash !== 'SHA-256')) {
+        throw new Error('The backup asks for key derivation settings this app does not accept. It was not opened.');
+    }
+    return kdf;
+}
+
+/**
+ * Authenticates a parsed backup file and decrypts its payload with keys from `deriveBackupKeys`.
+ * @param {Uint8Array} file - The file contents.
+ * @param {object} header - The parsed header.
+ * @param {number} headerLength - The header length in bytes.
+ * @param {KeyHandle} encryptionKey - The backup encryption key.
+ * @param {KeyHandle} macKey - The backup HMAC key.
+ * @returns {Promise<object>} - The verified backup, as returned by `readBackup`.
+ */
+async function openBackup(file, header, headerLength, encryptionKey, macKey) {
+    const signedLength = PREFIX_LENGTH + headerLength + header.payloadLength;
+    const keyCheckValid = await verifyHmac(macKey, new TextEncoder().encode(KEY_CHECK_LABEL), base64ToBytes(header.keyCheck || ''));
+    if (!keyCheckValid) {
+        throw new Error('Incorrect master password for this backup.');
+    }
+    const macValid = await verifyHmac(macKey, file.subarray(0, signedLength), file.subarray(signedLength));
+    if (!macValid) {
+        throw new Error('The backup failed its integrity check: the file has been modified or corrupted.');
+    }
+
+    let data;
+    try {
+        const plaintext = await decrypt({
+            ciphertext: file.subarray(PREFIX_LENGTH + headerLength, signedLength),
+            iv: base64ToBytes(header.iv)
+        }, encryptionKey);
+        data = JSON.parse(plaintext, decodeBytes);
+    } catch (e) {
+        throw new Error('The backup contents could not be decrypted.');
+    }
+    if (!data || typeof data.userProfile !== 'object' || !Array.isArray(data.journalEntries) ||
+        (data.attachments !== undefined && !Array.isArray(data.attachments))) {
+        throw new Error('The backup contents are malformed.');
+    }
+
+    return { header, userProfile: data.userProfile, journalEntries: data.journalEntries, attachments: data.attachments || [] };
+}
@@ -1,10 +1,123 @@
 // src/crypto.js
 
-const ALGORITHM = 'AES-GCM';
-const ITERATIONS = 100000; // Number of iterations for PBKDF2
-const KEY_LENGTH = 256;    // Key length in bits (256-bit key)
+/**
+ * @fileoverview Page side of the crypto worker (`cryptoWorker.js`).
+ *
+ * Key derivation, encryption and decryption all run in the worker, which also holds every
+ * key. Functions here that create a key resolve to a `KeyHandle`, an opaque reference to a
+ * key in the worker, and functions that use one take its handle. Keys never reach page
+ * scripts; `releaseKeys` makes the worker forget them.
+ *
+ * Salts, recovery phrases and base64 helpers need no key and run on the page.
+ */
+
+import { RECOVERY_WORDS } from './wordlist.js';
+
+/**
+ * @typedef {Readonly<{keyId: number}>} KeyHandle - Names a key held by the crypto worker.
+ */
+
 const SALT_LENGTH = 16;    // Salt length in bytes
-const IV_LENGTH = 12;      // IV length in bytes for AES-GCM
+
+export const KDF_ARGON2ID = 'argon2id';
+export const KDF_PBKDF2 = 'pbkdf2';
+
+/**
+ * Argon2id parameters for new profiles (OWASP baseline: 19 MiB, 2 passes, 1 lane).
+ * Memory is expressed in KiB.
+ */
+export const DEFAULT_KDF_PARAMS = Object.freeze({
+    algorithm: KDF_ARGON2ID,
+    memory: 19456,
+    iterations: 2,
+    parallelism: 1
+});
+
+/**
+ * Parameters used by profiles created before the KDF was recorded in the profile.
+ */
+export const LEGACY_KDF_PARAMS = Object.freeze({
+    algorithm: KDF_PBKDF2,
+    iterations: 100000,
+    hash: 'SHA-256'
+});
+
+let worker = null;
+let nextCallId = 1;
+const pendingCalls = new Map(); // Call id -> {resolve, reject, onProgress}
+let onWorkerLost = null;
+
+/**
+ * Starts the crypto worker the first time it is needed.
+ * @returns {Worker} - The worker.
+ */
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./cryptoWorker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', (event) => {
+            const { id, result, error, progress } = event.data;
+            const call = pendingCalls.get(id);
+            if (!call) {
+                return;
+            }
+            if (progress) {
+                if (call.onProgress) {
+                    call.onProgress(progress.done, progress.total);
+                }
+                return;
+            }
+            pendingCalls.delete(id);
+            if (error !== undefined) {
+                call.reject(new Error(error));
+            } else {
+                call.resolve(result);
+            }
+        });
+        worker.addEventListener('error', (event) => {
+            console.error('Crypto worker failed:', event.message);
+            pendingCalls.forEach(call => call.reject(new Error('The crypto worker stopped unexpectedly.')));
+            pendingCalls.clear();
+            worker = null; // Started again with the next call; its keys are gone
+            if (onWorkerLost) {
+                onWorkerLost();
+            }
+        });
+    }
+    return worker;
+}
+
+/**
+ * Sets what happens when the crypto worker stops unexpectedly. The keys it held are gone then,
+ * so every handle the session holds fails from that point on.
+ * @param {Function|null} handler - Called after the worker failed.
+ */
+export function setWorkerLostHandler(handler) {
+    onWorkerLost = handler;
+}
+
+/**
+ * Runs an operation in the crypto worker.
+ * @param {string} method - The operation name.
+ * @param {Array} args - Its arguments.
+ * @param {Function} [onProgress] - Receives (done, total) while a bulk job runs.
+ * @returns {Promise<*>} - The operation's result.
+ */
+function callWorker(method, args, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        const id = nextCallId++;
+        pendingCalls.set(id, { resolve, reject, onProgress });
+        getWorker().postMessage({ id, method, args });
+    });
+}
+
+/**
+ * Wraps a key handle received from the worker so page scripts cannot change it.
+ * @param {{keyId: number}} handle - The handle.
+ * @returns {KeyHandle} - The frozen handle.
+ */
+function toKeyHandle(handle) {
+    return Object.freeze({ keyId: handle.keyId });
+}
 
 /**
  * Generates a random salt.
@@ -16,76 +129,271 @@ export function generateSalt(length = SALT_LENGTH) {
 }
 
 /**
- * Derives an encryption key from a password and salt using PBKDF2.
+ * Derives an encryption key from a password and salt. Only legacy profiles use it, as they
+ * encrypt their entries with it directly.
  * @param {string} password - The user's master password.
  * @param {Uint8Array} salt - The salt for key derivation.
- * @returns {Promise<CryptoKey>} - The derived encryption key.
- */
-export async function deriveKey(password, salt) {
-    const enc = new TextEncoder();
-    const keyMaterial = await window.crypto.subtle.importKey(
-        'raw',
-        enc.encode(password),
-        { name: 'PBKDF2' },
-        false,
-        ['deriveBits', 'deriveKey']
-    );
-
-    return window.crypto.subtle.deriveKey(
-        {
-            name: 'PBKDF2',
-            salt: salt,
-            iterations: ITERATIONS,
-            hash: 'SHA-256',
-        },
-        keyMaterial,
-        { name: ALGORITHM, length: KEY_LENGTH },
-        true,
-        ['encrypt', 'decrypt']
-    );
+ * @param {{algorithm: string, iterations: number, memory?: number, parallelism?: number, hash?: string}} params - The KDF and its cost parameters.
+ * @returns {Promise<KeyHandle>} - The derived encryption key.
+ */
+export async function deriveKey(password, salt, params = DEFAULT_KDF_PARAMS) {
+    return toKeyHandle(await callWorker('deriveKey', [password, salt, params]));
+}
+
+/**
+ * Generates a random data-encryption key for journal content and wraps it with a key derived
+ * from each of `secrets`. The key itself cannot be wrapped again later, only re-wrapped with
+ * `rewrapDataKey`, which needs one of the secrets.
+ * @param {Array<{secret: string, salt: Uint8Array, params: object}>} secrets - The secrets (master
+ *     password, recovery phrase) and their KDF settings.
+ * @returns {Promise<{key: KeyHandle, wrappedKeys: Array<{ciphertext: Uint8Array, iv: Uint8Array}>}>} -
+ *     The new key, and its wrapped copies in the order of `secrets`.
+ */
+export async function createDataKey(secrets) {
+    const { key, wrappedKeys } = await callWorker('createDataKey', [secrets]);
+    return { key: toKeyHandle(key), wrappedKeys };
+}
+
+/**
+ * Unwraps a data key. Fails if the secret is wrong or the wrapped key was altered.
+ * @param {{ciphertext: Uint8Array, iv: Uint8Array}} wrappedKey - The wrapped key.
+ * @param {string} secret - The secret it was wrapped with.
+ * @param {Uint8Array} salt - The salt recorded with it.
+ * @param {object} params - The KDF parameters recorded with it.
+ * @returns {Promise<KeyHandle>} - The data key.
+ */
+export async function unwrapDataKey(wrappedKey, secret, salt, params) {
+    return toKeyHandle(await callWorker('unwrapDataKey', [wrappedKey, secret, salt, params]));
+}
+
+/**
+ * Wraps a data key again, with other secrets, without it ever leaving the worker. Fails if the
+ * secret is wrong or the wrapped key was altered.
+ * @param {{ciphertext: Uint8Array, iv: Uint8Array}} wrappedKey - The wrapped key.
+ * @param {string} secret - The secret it was wrapped with.
+ * @param {Uint8Array} salt - The salt recorded with it.
+ * @param {object} params - The KDF parameters recorded with it.
+ * @param {Array<{secret: string, salt: Uint8Array, params: object}>} secrets - The secrets to wrap it with.
+ * @returns {Promise<Array<{ciphertext: Uint8Array, iv: Uint8Array}>>} - The wrapped keys, in the order of `secrets`.
+ */
+export async function rewrapDataKey(wrappedKey, secret, salt, params, secrets) {
+    return callWorker('rewrapDataKey', [wrappedKey, secret, salt, params, secrets]);
+}
+
+/**
+ * Sets the quick-unlock PIN: the worker wraps the data key with a key derived from the PIN and
+ * keeps it, with the attempt counter, until it expires, is entered wrongly too often or is
+ * replaced. Fails if the secret is wrong or the wrapped key was altered.
+ * @param {{ciphertext: Uint8Array, iv: Uint8Array}} wrappedKey - The wrapped key.
+ * @param {string} secret - The secret it was wrapped with.
+ * @param {Uint8Array} salt - The salt recorded with it.
+ * @param {object} params - The KDF parameters recorded with it.
+ * @param {{secret: string, salt: Uint8Array, params: object}} pin - The PIN and its KDF settings.
+ * @param {number} maxAgeMs - How long the PIN works, in milliseconds.
+ * @param {number} maxAttempts - The wrong PINs in a row after which it is deleted.
+ * @returns {Promise<{expiresAt: number, attemptsLeft: number}>} - The PIN's state.
+ */
+export async function setPin(wrappedKey, secret, salt, params, pin, maxAgeMs, maxAttempts) {
+    return callWorker('setPin', [wrappedKey, secret, salt, params, pin, maxAgeMs, maxAttempts]);
+}
+
+/**
+ * Describes the quick-unlock PIN held by the worker.
+ * @returns {Promise<{expiresAt: number, attemptsLeft: number}|null>} - When it stops working and
+ *     how many wrong PINs it takes, or null if no PIN can be used.
+ */
+export async function getPinStatus() {
+    return callWorker('getPinStatus', []);
+}
+
+/**
+ * Unwraps the data key with the quick-unlock PIN. The attempt is counted before the PIN is
+ * checked, and the PIN is deleted after the last allowed wrong one.
+ * @param {string} pin - The PIN as entered.
+ * @returns {Promise<{key: KeyHandle|null, status: {expiresAt: number, attemptsLeft: number}|null}>} -
+ *     The data key, or null if the PIN is wrong, and the PIN's state afterwards.
+ * @throws {Error} - If no PIN can be used.
+ */
+export async function unwrapDataKeyWithPin(pin) {
+    const { key, status } = await callWorker('unlockWithPin', [pin]);
+    return { key: key && toKeyHandle(key), status };
+}
+
+/**
+ * Gives the quick-unlock PIN all of its attempts back, e.g. after the master password was entered.
+ * @returns {Promise<void>}
+ */
+export async function resetPinAttempts() {
+    await callWorker('resetPinAttempts', []);
+}
+
+/**
+ * Deletes the quick-unlock PIN from the worker.
+ * @returns {Promise<void>}
+ */
+export async function forgetPin() {
+    await callWorker('forgetPin', []);
+}
+
+/**
+ * Derives independent encryption and authentication keys for a backup file.
+ * The password is stretched once with the KDF and then split with HKDF-SHA256.
+ * @param {string} password - The master password.
+ * @param {Uint8Array} salt - The salt recorded in the backup header.
+ * @param {object} params - The KDF parameters recorded in the backup header.
+ * @returns {Promise<{encryptionKey: KeyHandle, macKey: KeyHandle}>} - AES-GCM and HMAC-SHA256 keys.
+ */
+export async function deriveBackupKeys(password, salt, params) {
+    const { encryptionKey, macKey } = await callWorker('deriveBackupKeys', [password, salt, params]);
+    return { encryptionKey: toKeyHandle(encryptionKey), macKey: toKeyHandle(macKey) };
+}
+
+/**
+ * Computes an HMAC-SHA256 tag.
+ * @param {KeyHandle} macKey - The HMAC key.
+ * @param {Uint8Array} data - The data to authenticate.
+ * @returns {Promise<Uint8Array>} - The 32-byte tag.
+ */
+export async function computeHmac(macKey, data) {
+    return callWorker('computeHmac', [macKey, data]);
+}
+
+/**
+ * Verifies an HMAC-SHA256 tag in constant time.
+ * @param {KeyHandle} macKey - The HMAC key.
+ * @param {Uint8Array} data - The authenticated data.
+ * @param {Uint8Array} tag - The tag to check.
+ * @returns {Promise<boolean>} - True if the tag is valid.
+ */
+export async function verifyHmac(macKey, data, tag) {
+    return callWorker('verifyHmac', [macKey, data, tag]);
+}
+
+/**
+ * Makes the worker forget keys, e.g. when the journal is locked. Using a released
+ * handle afterwards fails.
+ * @param {...(KeyHandle|null)} handles - The keys to release; nulls are ignored.
+ * @returns {Promise<void>}
+ */
+export async function releaseKeys(...handles) {
+    await Promise.all(handles.filter(Boolean).map(handle => callWorker('releaseKey', [handle])));
+}
+
+/**
+ * Checks whether KDF parameters are weaker than the current defaults.
+ * @param {object} params - The KDF parameters recorded for a profile.
+ * @returns {boolean} - True if the profile should be re-keyed with the defaults.
+ */
+export function isKdfOutdated(params) {
+    return params.algorithm !== DEFAULT_KDF_PARAMS.algorithm ||
+        params.memory < DEFAULT_KDF_PARAMS.memory ||
+        params.iterations < DEFAULT_KDF_PARAMS.iterations;
+}
+
+/**
+ * Generates a random recovery phrase from the recovery word list.
+ * Each word carries 11 bits of entropy (2048 words), so 12 words give 132 bits.
+ * @param {number} wordCount - Number of words in the phrase.
+ * @returns {string} - The space-separated phrase.
+ */
+export function generateRecoveryPhrase(wordCount = 12) {
+    const indices = window.crypto.getRandomValues(new Uint16Array(wordCount));
+    return Array.from(indices, index => RECOVERY_WORDS[index & 0x7ff]).join(' ');
+}
+
+/**
+ * Normalizes a recovery phrase as typed by the user (case, spacing) and checks its words.
+ * @param {string} phrase - The phrase entered by the user.
+ * @returns {string} - The phrase in canonical form.
+ * @throws {Error} - If a word is not in the recovery word list.
+ */
+export function normalizeRecoveryPhrase(phrase) {
+    const words = phrase.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const unknown = words.find(word => !RECOVERY_WORDS.includes(word));
+    if (unknown) {
+        throw new Error(`"${unknown}" is not a recovery phrase word.`);
+    }
+    return words.join(' ');
 }
 
 /**
  * Encrypts data using AES-GCM.
  * @param {string} data - The data to encrypt.
- * @param {CryptoKey} key - The encryption key.
+ * @param {KeyHandle} key - The encryption key.
+ * @param {string|null} [associatedData=null] - Context that is authenticated with the data but not
+ *     stored in the ciphertext; decryption must be given the same.
  * @returns {Promise<{ciphertext: Uint8Array, iv: Uint8Array}>} - The encrypted data (ciphertext and IV).
  */
-export async function encrypt(data, key) {
-    const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
-    const enc = new TextEncoder();
-    const encodedData = enc.encode(data);
-
-    const ciphertext = await window.crypto.subtle.encrypt(
-        {
-            name: ALGORITHM,
-            iv: iv,
-        },
-        key,
-        encodedData
-    );
-
-    return { ciphertext: new Uint8Array(ciphertext), iv: iv };
+export async function encrypt(data, key, associatedData = null) {
+    return callWorker('encrypt', [data, key, associatedData]);
 }
 
 /**
  * Decrypts data using AES-GCM.
  * @param {{ciphertext: Uint8Array, iv: Uint8Array}} encryptedData - The encrypted data (ciphertext and IV).
- * @param {CryptoKey} key - The decryption key.
+ * @param {KeyHandle} key - The decryption key.
+ * @param {string|null} [associatedData=null] - The associated data it was encrypted with.
  * @returns {Promise<string>} - The decrypted data.
  */
-export async function decrypt(encryptedData, key) {
-    const dec = new TextDecoder();
-    const decrypted = await window.crypto.subtle.decrypt(
-        {
-            name: ALGORITHM,
-            iv: encryptedData.iv,
-        },
-        key,
-        encryptedData.ciphertext
-    );
+export async function decrypt(encryptedData, key, associatedData = null) {
+    return callWorker('decrypt', [encryptedData, key, associatedData]);
+}
+
+/**
+ * Encrypts binary data (e.g. an attachment) using AES-GCM.
+ * @param {Uint8Array|ArrayBuffer} bytes - The data to encrypt.
+ * @param {KeyHandle} key - The encryption key.
+ * @param {string|null} [associatedData=null] - Context that is authenticated with the data, as for `encrypt`.
+ * @returns {Promise<{ciphertext: Uint8Array, iv: Uint8Array}>} - The encrypted data (ciphertext and IV).
+ */
+export async function encryptBytes(bytes, key, associatedData = null) {
+    return callWorker('encryptBytes', [bytes, key, associatedData]);
+}
+
+/**
+ * Decrypts binary data using AES-GCM.
+ * @param {{ciphertext: Uint8Array, iv: Uint8Array}} encryptedData - The encrypted data (ciphertext and IV).
+ * @param {KeyHandle} key - The decryption key.
+ * @param {string|null} [associatedData=null] - The associated data it was encrypted with.
+ * @returns {Promise<Uint8Array>} - The decrypted bytes.
+ */
+export async function decryptBytes(encryptedData, key, associatedData = null) {
+    return callWorker('decryptBytes', [encryptedData, key, associatedData]);
+}
+
+/**
+ * Decrypts the given fields of many records in one job in the worker.
+ * @param {Array<object>} records - The encrypted records.
+ * @param {Array<string>} fields - The fields to decrypt; records without one skip it.
+ * @param {KeyHandle} key - The decryption key.
+ * @param {object} [options]
+ * @param {Array<object>|null} [options.associatedData=null] - For each record, the associated data
+ *     of its fields by name.
+ * @param {Function|null} [options.onProgress=null] - Receives (done, total) as records are decrypted.
+ * @returns {Promise<Array<object|null>>} - For each record, its decrypted fields by name,
+ *     or null if one of them could not be decrypted.
+ */
+export async function decryptRecords(records, fields, key, { associatedData = null, onProgress = null } = {}) {
+    return callWorker('decryptRecords', [records, fields, key, associatedData], onProgress);
+}
 
-    return dec.decode(decrypted);
+/**
+ * Re-encrypts the given fields of many records from one key to another in one job in the worker.
+ * @param {Array<object>} records - The encrypted records.
+ * @param {Array<string>} fields - The fields to re-encrypt; records without one skip it.
+ * @param {KeyHandle} oldKey - The key the records are currently encrypted with.
+ * @param {KeyHandle} newKey - The key to encrypt them with (may be the same key).
+ * @param {object} [options]
+ * @param {Array<object>|null} [options.oldAssociatedData=null] - For each record, the associated data
+ *     its fields are encrypted with, by name.
+ * @param {Array<object>|null} [options.newAssociatedData=null] - For each record, the associated data
+ *     to encrypt its fields with, by name.
+ * @param {Function|null} [options.onProgress=null] - Receives (done, total) as records are re-encrypted.
+ * @returns {Promise<Array<object|null>>} - The re-encrypted records, or null for a record
+ *     that could not be decrypted.
+ */
+export async function reencryptRecords(records, fields, oldKey, newKey, { oldAssociatedData = null, newAssociatedData = null, onProgress = null } = {}) {
+    return callWorker('reencryptRecords', [records, fields, oldKey, newKey, oldAssociatedData, newAssociatedData], onProgress);
 }
 
 /**
@@ -94,7 +402,12 @@ export async function decrypt(encryptedData, key) {
  * @returns {string} - The Base64 encoded string.
  */
 export function bytesToBase64(bytes) {
-    return btoa(String.fromCharCode.apply(null, bytes));
+    // Convert in chunks; spreading a large array into fromCharCode overflows the call stack
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binaryString);
 }
 
 /**
@@ -113,25 +426,17 @@ export function base64ToBytes(base64) {
 }
 
 /**
- * Exports a CryptoKey to a JWK format (JSON Web Key).
- * @param {CryptoKey} key - The key to export.
- * @returns {Promise<JsonWebKey>} - The key in JWK format.
+ * JSON replacer that stores byte arrays (ciphertexts, IVs) as base64.
  */
-export async function exportCryptoKey(key) {
-    return window.crypto.subtle.exportKey('jwk', key);
+export function encodeBytes(key, value) {
+    return value instanceof Uint8Array ? { $bytes: bytesToBase64(value) } : value;
 }
 
 /**
- * Imports a CryptoKey from a JWK format.
- * @param {JsonWebKey} jwk - The JWK to import.
- * @returns {Promise<CryptoKey>} - The imported CryptoKey.
+ * JSON reviver that restores byte arrays written by `encodeBytes`.
  */
-export async function importCryptoKey(jwk) {
-    return window.crypto.subtle.importKey(
-        'jwk',
-        jwk,
-        { name: ALGORITHM, length: KEY_LENGTH },
-        true,
-        ['encrypt', 'decrypt']
-    );
+export function decodeBytes(key, value) {
+    return value && typeof value === 'object' && typeof value.$bytes === 'string'
+        ? base64ToBytes(value.$bytes)
+        : value;
 }
@@ -0,0 +1,413 @@
+// src/cryptoWorker.js
+
+/**
+ * @fileoverview The crypto worker: runs key derivation and AES-GCM off the main thread and
+ * owns every key. Keys are created here (derived, generated or unwrapped) and kept in `keys`;
+ * the page only ever receives a handle naming one, and no operation returns key material.
+ * The keys behind handles are not extractable: a data key is only wrapped while it is created
+ * or re-wrapped, inside one operation, under secrets the page passes in. The quick-unlock PIN's
+ * wrapped key and its attempt counter are kept here too, for the same reason.
+ *
+ * Messages from the page:  { id, method, args }
+ * Replies:                 { id, result } or { id, error }
+ * Bulk jobs also send:     { id, progress: {done, total} }
+ *
+ * The page side of this protocol is `crypto.js`.
+ */
+
+import { argon2id } from './argon2.js';
+import { KDF_ARGON2ID, KDF_PBKDF2 } from './crypto.js';
+
+const ALGORITHM = 'AES-GCM';
+const KEY_LENGTH = 256;    // Key length in bits (256-bit key)
+const IV_LENGTH = 12;      // IV length in bytes for AES-GCM
+const PROGRESS_STEPS = 100; // Bulk jobs report progress at most this many times
+
+const keys = new Map(); // Key handle id -> CryptoKey
+let nextKeyId = 1;
+// The quick-unlock PIN: {wrappedKey, salt, params, expiresAt, maxAttempts, attemptsLeft, timer}, the data key
+// wrapped by a key derived from the PIN. It never leaves the worker, so page scripts cannot copy it
+// to guess the PIN elsewhere, and it is deleted once it expires or is entered wrongly too often.
+let quickUnlock = null;
+
+/**
+ * Key derivation functions by algorithm name. Each returns the raw key bytes.
+ */
+const kdfs = {
+    [KDF_ARGON2ID]: async (password, salt, params) => argon2id({
+        password: new TextEncoder().encode(password),
+        salt: salt,
+        memory: params.memory,
+        iterations: params.iterations,
+        parallelism: params.parallelism,
+        hashLength: KEY_LENGTH / 8
+    }),
+    [KDF_PBKDF2]: async (password, salt, params) => {
+        const keyMaterial = await self.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            { name: 'PBKDF2' },
+            false,
+            ['deriveBits']
+        );
+        const bits = await self.crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: params.iterations,
+                hash: params.hash || 'SHA-256',
+            },
+            keyMaterial,
+            KEY_LENGTH
+        );
+        return new Uint8Array(bits);
+    }
+};
+
+/**
+ * Keeps a key and returns the handle the page refers to it by.
+ * @param {CryptoKey} key - The key.
+ * @returns {{keyId: number}} - The handle.
+ */
+function storeKey(key) {
+    const keyId = nextKeyId++;
+    keys.set(keyId, key);
+    return { keyId };
+}
+
+/**
+ * Looks up the key a handle refers to.
+ * @param {{keyId: number}} handle - The handle.
+ * @returns {CryptoKey} - The key.
+ * @throws {Error} - If the key was released (e.g. the journal was locked).
+ */
+function getKey(handle) {
+    const key = handle && keys.get(handle.keyId);
+    if (!key) {
+        throw new Error('The encryption key is no longer available. Please unlock the journal again.');
+    }
+    return key;
+}
+
+/**
+ * Runs the KDF described by `params` and returns the raw key bytes.
+ */
+async function deriveKeyBits(password, salt, params) {
+    const kdf = kdfs[params.algorithm];
+    if (!kdf) {
+        throw new Error(`Unsupported key derivation function: ${params.algorithm}`);
+    }
+    return kdf(password, salt, params);
+}
+
+/**
+ * Builds the AES-GCM parameters for an IV and optional associated data (a string that is
+ * authenticated along with the ciphertext but not stored in it).
+ */
+function gcmParams(iv, associatedData) {
+    return associatedData
+        ? { name: ALGORITHM, iv: iv, additionalData: new TextEncoder().encode(associatedData) }
+        : { name: ALGORITHM, iv: iv };
+}
+
+/**
+ * Encrypts bytes with AES-GCM under a fresh random IV.
+ */
+async function encryptBytes(bytes, key, associatedData = null) {
+    const iv = self.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await self.crypto.subtle.encrypt(gcmParams(iv, associatedData), key, bytes);
+    return { ciphertext: new Uint8Array(ciphertext), iv: iv };
+}
+
+/**
+ * Decrypts bytes encrypted by `encryptBytes`. Fails if the key or associated data is wrong or
+ * the data was altered.
+ */
+async function decryptBytes(encryptedData, key, associatedData = null) {
+    const decrypted = await self.crypto.subtle.decrypt(gcmParams(encryptedData.iv, associatedData), key, encryptedData.ciphertext);
+    return new Uint8Array(decrypted);
+}
+
+/**
+ * Encrypts a string as UTF-8.
+ */
+async function encryptText(data, key, associatedData = null) {
+    return encryptBytes(new TextEncoder().encode(data), key, associatedData);
+}
+
+/**
+ * Decrypts a string encrypted by `encryptText`.
+ */
+async function decryptText(encryptedData, key, associatedData = null) {
+    return new TextDecoder().decode(await decryptBytes(encryptedData, key, associatedData));
+}
+
+/**
+ * Runs `job` on every record, reporting progress along the way.
+ * @param {Array<object>} records - The records.
+ * @param {Function} job - Async function of a record and its index; its result (or null if it throws) is collected.
+ * @param {Function} reportProgress - Receives (done, total).
+ * @returns {Promise<Array>} - The results, in order.
+ */
+async function forEachRecord(records, job, reportProgress) {
+    const step = Math.max(1, Math.ceil(records.length / PROGRESS_STEPS));
+    const results = [];
+    for (const [index, record] of records.entries()) {
+        try {
+            results.push(await job(record, index));
+        } catch (error) {
+            results.push(null);
+        }
+        if ((index + 1) % step === 0 || index + 1 === records.length) {
+            reportProgress(index + 1, records.length);
+        }
+    }
+    return results;
+}
+
+/**
+ * Derives the key that wraps a data key from a secret (master password, recovery phrase or PIN).
+ * It only ever lives inside one of the operations below.
+ */
+async function deriveWrappingKey(secret, salt, params) {
+    return self.crypto.subtle.importKey(
+        'raw',
+        await deriveKeyBits(secret, salt, params),
+        { name: ALGORITHM, length: KEY_LENGTH },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+}
+
+/**
+ * Unwraps a data key with the key derived from `secret`. Fails if the secret is wrong or the
+ * wrapped key was altered. Only keys that are re-wrapped straight away are unwrapped as
+ * extractable; they are never stored.
+ */
+async function unwrapWithSecret(wrappedKey, secret, salt, params, extractable) {
+    return self.crypto.subtle.unwrapKey(
+        'raw',
+        wrappedKey.ciphertext,
+        await deriveWrappingKey(secret, salt, params),
+        { name: ALGORITHM, iv: wrappedKey.iv },
+        { name: ALGORITHM, length: KEY_LENGTH },
+        extractable,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Wraps an extractable data key with a key derived from each of `secrets`.
+ * @param {CryptoKey} dataKey - The data key.
+ * @param {Array<{secret: string, salt: Uint8Array, params: object}>} secrets - The secrets and their KDF settings.
+ * @returns {Promise<Array<{ciphertext: Uint8Array, iv: Uint8Array}>>} - The wrapped keys, in the order of `secrets`.
+ */
+async function wrapWithSecrets(dataKey, secrets) {
+    const wrappedKeys = [];
+    for (const { secret, salt, params } of secrets) {
+        const iv = self.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const wrapped = await self.crypto.subtle.wrapKey('raw', dataKey, await deriveWrappingKey(secret, salt, params), { name: ALGORITHM, iv: iv });
+        wrappedKeys.push({ ciphertext: new Uint8Array(wrapped), iv: iv });
+    }
+    return wrappedKeys;
+}
+
+/**
+ * Deletes the quick-unlock PIN.
+ */
+function forgetPin() {
+    if (quickUnlock) {
+        clearTimeout(quickUnlock.timer);
+        quickUnlock = null;
+    }
+}
+
+/**
+ * Describes the quick-unlock PIN, deleting it first if it has expired.
+ * @returns {{expiresAt: number, attemptsLeft: number}|null} - The PIN's state, or null if there is none.
+ */
+function getPinStatus() {
+    if (quickUnlock && Date.now() >= quickUnlock.expiresAt) {
+        forgetPin(); // The timer may run late in a throttled tab
+    }
+    return quickUnlock ? { expiresAt: quickUnlock.expiresAt, attemptsLeft: quickUnlock.attemptsLeft } : null;
+}
+
+/**
+ * The operations the page can call, by name. Keys are passed and returned as handles.
+ */
+const methods = {
+    // Legacy profiles encrypt their entries with the password-derived key itself
+    deriveKey: async (password, salt, params) => storeKey(await self.crypto.subtle.importKey(
+        'raw',
+        await deriveKeyBits(password, salt, params),
+        { name: ALGORITHM, length: KEY_LENGTH },
+        false,
+        ['encrypt', 'decrypt']
+    )),
+
+    createDataKey: async (secrets) => {
+        const dataKey = await self.crypto.subtle.generateKey({ name: ALGORITHM, length: KEY_LENGTH }, true, ['encrypt', 'decrypt']);
+        const wrappedKeys = await wrapWithSecrets(dataKey, secrets);
+        const sessionKey = await self.crypto.subtle.importKey(
+            'raw',
+            await self.crypto.subtle.exportKey('raw', dataKey),
+            { name: ALGORITHM, length: KEY_LENGTH },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        return { key: storeKey(sessionKey), wrappedKeys };
+    },
+
+    unwrapDataKey: async (wrappedKey, secret, salt, params) => storeKey(await unwrapWithSecret(wrappedKey, secret, salt, params, false)),
+
+    rewrapDataKey: async (wrappedKey, secret, salt, params, secrets) =>
+        wrapWithSecrets(await unwrapWithSecret(wrappedKey, secret, salt, params, true), secrets),
+
+    deriveBackupKeys: async (password, salt, params) => {
+        const keyMaterial = await self.crypto.subtle.importKey(
+            'raw',
+            await deriveKeyBits(password, salt, params),
+            'HKDF',
+            false,
+            ['deriveKey']
+        );
+        const hkdf = (info) => ({
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: new Uint8Array(0),
+            info: new TextEncoder().encode(info)
+        });
+
+        const encryptionKey = await self.crypto.subtle.deriveKey(
+            hkdf('webx-backup-encryption'),
+            keyMaterial,
+            { name: ALGORITHM, length: KEY_LENGTH },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        const macKey = await self.crypto.subtle.deriveKey(
+            hkdf('webx-backup-authentication'),
+            keyMaterial,
+            { name: 'HMAC', hash: 'SHA-256', length: 256 },
+            false,
+            ['sign', 'verify']
+        );
+        return { encryptionKey: storeKey(encryptionKey), macKey: storeKey(macKey) };
+    },
+
+    computeHmac: async (macKey, data) => new Uint8Array(await self.crypto.subtle.sign('HMAC', getKey(macKey), data)),
+
+    verifyHmac: async (macKey, data, tag) => self.crypto.subtle.verify('HMAC', getKey(macKey), tag, data),
+
+    encrypt: async (data, key, associatedData) => encryptText(data, getKey(key), associatedData),
+
+    decrypt: async (encryptedData, key, associatedData) => decryptText(encryptedData, getKey(key), associatedData),
+
+    encryptBytes: async (bytes, key, associatedData) => encryptBytes(bytes, getKey(key), associatedData),
+
+    decryptBytes: async (encryptedData, key, associatedData) => decryptBytes(encryptedData, getKey(key), associatedData),
+
+    releaseKey: async (key) => {
+        keys.delete(key && key.keyId);
+    },
+
+    setPin: async (wrappedKey, secret, salt, params, pin, maxAgeMs, maxAttempts) => {
+        const dataKey = await unwrapWithSecret(wrappedKey, secret, salt, params, true);
+        const [pinWrappedKey] = await wrapWithSecrets(dataKey, [pin]);
+        forgetPin();
+        quickUnlock = {
+            wrappedKey: pinWrappedKey,
+            salt: pin.salt,
+            params: pin.params,
+            expiresAt: Date.now() + maxAgeMs,
+            maxAttempts: maxAttempts,
+            attemptsLeft: maxAttempts,
+            timer: setTimeout(forgetPin, maxAgeMs)
+        };
+        return getPinStatus();
+    },
+
+    getPinStatus: async () => getPinStatus(),
+
+    unlockWithPin: async (pin) => {
+        if (!getPinStatus() || quickUnlock.attemptsLeft <= 0) {
+            throw new Error('Your PIN has expired. Please enter your master password.');
+        }
+        // Counted before trying, so an attempt cannot be cut short to avoid being counted
+        const unlock = quickUnlock;
+        unlock.attemptsLeft--;
+        let dataKey;
+        try {
+            dataKey = await unwrapWithSecret(unlock.wrappedKey, pin, unlock.salt, unlock.params, false);
+        } catch (error) {
+            if (unlock.attemptsLeft <= 0 && quickUnlock === unlock) {
+                forgetPin();
+            }
+            return { key: null, status: getPinStatus() };
+        }
+        unlock.attemptsLeft = unlock.maxAttempts;
+        return { key: storeKey(dataKey), status: getPinStatus() };
+    },
+
+    resetPinAttempts: async () => {
+        if (getPinStatus()) {
+            quickUnlock.attemptsLeft = quickUnlock.maxAttempts;
+        }
+    },
+
+    forgetPin: async () => forgetPin()
+};
+
+/**
+ * Operations on many records at once. They take a progress callback after their arguments,
+ * and a record that fails gives null instead of failing the whole job. Associated data is
+ * given per record, as an object of strings by field name (or null for none).
+ */
+const bulkJobs = {
+    decryptRecords: async (records, fields, key, associatedData, reportProgress) => {
+        const cryptoKey = getKey(key);
+        return forEachRecord(records, async (record, index) => {
+            const plaintext = {};
+            for (const field of fields) {
+                if (record[field]) {
+                    plaintext[field] = await decryptText(record[field], cryptoKey, associatedData?.[index]?.[field]);
+                }
+            }
+            return plaintext;
+        }, reportProgress);
+    },
+
+    reencryptRecords: async (records, fields, oldKey, newKey, oldAssociatedData, newAssociatedData, reportProgress) => {
+        const fromKey = getKey(oldKey);
+        const toKey = getKey(newKey);
+        return forEachRecord(records, async (record, index) => {
+            const reencrypted = { ...record };
+            for (const field of fields) {
+                if (record[field]) {
+                    const plaintext = await decryptText(record[field], fromKey, oldAssociatedData?.[index]?.[field]);
+                    reencrypted[field] = await encryptText(plaintext, toKey, newAssociatedData?.[index]?.[field]);
+                }
+            }
+            return reencrypted;
+        }, reportProgress);
+    }
+};
+
+self.addEventListener('message', async (event) => {
+    const { id, method, args } = event.data;
+    const reportProgress = (done, total) => self.postMessage({ id, progress: { done, total } });
+    try {
+        let result;
+        if (Object.hasOwn(bulkJobs, method)) {
+            result = await bulkJobs[method](...args, reportProgress);
+        } else if (Object.hasOwn(methods, method)) {
+            result = await methods[method](...args);
+        } else {
+            throw new Error(`Unknown crypto operation: ${method}`);
+        }
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+});
@@ -0,0 +1,114 @@
+// src/dates.js
+
+/**
+ * @fileoverview Entry dates and the month calendar.
+ *
+ * Every entry carries three dates, stored in plaintext next to its id and owner:
+ *   createdAt - when the entry was first saved (ms timestamp)
+ *   updatedAt - when it was last saved (ms timestamp)
+ *   entryDate - the day the entry is about, chosen by the user ('YYYY-MM-DD', a local calendar day)
+ *
+ * Records written before these fields existed have a single `timestamp` (last save) and an
+ * `id` that is the creation time; `withEntryDates` converts them.
+ */
+
+const DATE_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Formats a date as a calendar day key in local time.
+ * @param {Date} date - The date.
+ * @returns {string} - The day as 'YYYY-MM-DD'.
+ */
+export function toDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parses a calendar day key.
+ * @param {string} key - The day as 'YYYY-MM-DD'.
+ * @returns {Date|null} - Local midnight of that day, or null if the key is not a valid day.
+ */
+export function parseDateKey(key) {
+    const match = typeof key === 'string' ? key.match(DATE_KEY) : null;
+    if (!match) {
+        return null;
+    }
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return toDateKey(date) === key ? date : null; // Rejects days like 2026-02-30
+}
+
+/**
+ * Checks whether a value is a valid calendar day key.
+ * @param {*} key - The value to check.
+ * @returns {boolean} - True for 'YYYY-MM-DD' strings naming a real day.
+ */
+export function isDateKey(key) {
+    return parseDateKey(key) !== null;
+}
+
+/**
+ * Formats a calendar day key for display.
+ * @param {string} key - The day as 'YYYY-MM-DD'.
+ * @returns {string} - The localized date, e.g. "Monday, October 19, 2026".
+ */
+export function formatDateKey(key) {
+    const date = parseDateKey(key);
+    return date
+        ? date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+        : key;
+}
+
+/**
+ * Gives an entry or revision record separate creation, modification and entry dates.
+ * Records that already have them are returned unchanged.
+ * @param {object} record - A stored or imported record.
+ * @param {number} [createdAt=record.id] - The creation time to use if the record has none.
+ * @returns {object} - The record with `createdAt`, `updatedAt` and `entryDate` and without `timestamp`.
+ */
+export function withEntryDates(record, createdAt = record && record.id) {
+    if (!record || typeof record !== 'object' || (record.createdAt !== undefined && record.entryDate !== undefined)) {
+        return record;
+    }
+    const { timestamp, ...fields } = record;
+    const created = fields.createdAt ?? createdAt;
+    return {
+        ...fields,
+        createdAt: created,
+        updatedAt: fields.updatedAt ?? timestamp ?? created,
+        entryDate: fields.entryDate ?? toDateKey(new Date(created))
+    };
+}
+
+/**
+ * Orders entries by entry date, newest first; entries of the same day by creation time.
+ * @param {{entryDate: string, createdAt: number}} a - An entry.
+ * @param {{entryDate: string, createdAt: number}} b - Another entry.
+ * @returns {number} - Negative if `a` comes first.
+ */
+export function compareEntriesByDate(a, b) {
+    return b.entryDate.localeCompare(a.entryDate) || b.createdAt - a.createdAt;
+}
+
+/**
+ * Lays out a month as calendar weeks, Monday first.
+ * @param {number} year - The full year.
+ * @param {number} month - The month, 0-11.
+ * @returns {Array<Array<string|null>>} - The weeks; each has seven day keys, null outside the month.
+ */
+export function getMonthWeeks(year, month) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const leading = (new Date(year, month, 1).getDay() + 6) % 7; // Days before the 1st in its week
+    const cells = Array(leading).fill(null);
+    for (let day = 1; day <= daysInMonth; day++) {
+        cells.push(toDateKey(new Date(year, month, day)));
+    }
+    while (cells.length % 7 !== 0) {
+        cells.push(null);
+    }
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) {
+        weeks.push(cells.slice(i, i + 7));
+    }
+    return weeks;
+}
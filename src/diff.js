@@ -0,0 +1,96 @@
+// src/diff.js
+
+/**
+ * @fileoverview Word-level diff for comparing entry revisions.
+ */
+
+// Above this many word pairs the changed middle is shown as one replacement instead of
+// being aligned word by word, to keep memory use bounded on very long entries.
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Splits text into words and the whitespace between them; joining the tokens gives the text back.
+ * @param {string} text - The text to split.
+ * @returns {Array<string>} - The tokens.
+ */
+function tokenize(text) {
+    return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Appends a token to the diff, merging it into the previous part when the type matches.
+ */
+function push(parts, type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+        last.text += text;
+    } else {
+        parts.push({ type, text });
+    }
+}
+
+/**
+ * Computes a word-level diff from `before` to `after`.
+ * @param {string} before - The older text.
+ * @param {string} after - The newer text.
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>} - The diff, in reading order.
+ */
+export function diffWords(before, after) {
+    const a = tokenize(before || '');
+    const b = tokenize(after || '');
+
+    // Common prefix and suffix need no alignment
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const parts = [];
+    if (start > 0) {
+        push(parts, 'equal', a.slice(0, start).join(''));
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    if (n * m > MAX_DIFF_CELLS) {
+        push(parts, 'delete', a.slice(start, endA).join(''));
+        push(parts, 'insert', b.slice(start, endB).join(''));
+    } else {
+        // lcs[i * (m + 1) + j] = length of the longest common subsequence of a[start + i..] and b[start + j..]
+        const lcs = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * (m + 1) + j] = a[start + i] === b[start + j]
+                    ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                push(parts, 'equal', a[start + i]);
+                i++;
+                j++;
+            } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+                push(parts, 'delete', a[start + i]);
+                i++;
+            } else {
+                push(parts, 'insert', b[start + j]);
+                j++;
+            }
+        }
+    }
+
+    if (endA < a.length) {
+        push(parts, 'equal', a.slice(endA).join(''));
+    }
+    return parts;
+}
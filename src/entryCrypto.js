@@ -0,0 +1,111 @@
+// src/entryCrypto.js
+
+/**
+ * @fileoverview Encryption of entry fields, bound to the entry they belong to.
+ *
+ * From record schema version 3 on, every encrypted field of an entry (and of its revisions,
+ * which carry the entry's ciphertexts) is encrypted with AES-GCM associated data naming the
+ * profile, the entry id, the field and the record's schema version. A ciphertext that is
+ * swapped into another field, moved to another entry or profile, or whose record claims a
+ * different schema version then fails to decrypt instead of showing the wrong text.
+ *
+ * Entries are identified by `id`, revisions by `entryId`. Because the schema version is
+ * bound too, a migration that raises the version of entry records re-encrypts their fields
+ * with `rebindEntryRecords`. Records below version 3 were encrypted without associated data.
+ */
+
+import { encrypt, decrypt, decryptRecords, reencryptRecords } from './crypto.js';
+
+export const ENTRY_BINDING_VERSION = 3; // The first record schema version whose fields are bound
+
+/**
+ * Builds the associated data that binds an entry field to its record.
+ * @param {object} record - The entry or revision.
+ * @param {string} field - The field name.
+ * @returns {string|null} - The associated data, or null for records encrypted without it.
+ */
+function fieldAssociatedData(record, field) {
+    const schemaVersion = record.schemaVersion || 1;
+    if (schemaVersion < ENTRY_BINDING_VERSION) {
+        return null;
+    }
+    const entryId = record.entryId ?? record.id;
+    return JSON.stringify(['webx-journal-entry', record.owner, entryId, field, schemaVersion]);
+}
+
+/**
+ * Builds the associated data of several fields of a record, for the bulk jobs in `crypto.js`.
+ * @param {object} record - The entry or revision.
+ * @param {Array<string>} fields - The field names.
+ * @returns {object} - The associated data by field name.
+ */
+export function getEntryAssociatedData(record, fields) {
+    return Object.fromEntries(fields.map(field => [field, fieldAssociatedData(record, field)]));
+}
+
+/**
+ * Encrypts the value of an entry field.
+ * @param {string} value - The plaintext.
+ * @param {object} record - The entry or revision the field belongs to; its `owner`, id and
+ *     `schemaVersion` must already be set.
+ * @param {string} field - The field name.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<{ciphertext: Uint8Array, iv: Uint8Array}>} - The encrypted value.
+ */
+export async function encryptEntryField(value, record, field, key) {
+    return encrypt(value, key, fieldAssociatedData(record, field));
+}
+
+/**
+ * Decrypts an entry field.
+ * @param {object} record - The entry or revision.
+ * @param {string} field - The field name.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<string>} - The plaintext.
+ * @throws {Error} - If the field cannot be decrypted, or does not belong to this record.
+ */
+export async function decryptEntryField(record, field, key) {
+    try {
+        return await decrypt(record[field], key, fieldAssociatedData(record, field));
+    } catch (error) {
+        const entryId = record.entryId ?? record.id;
+        throw new Error(fieldAssociatedData(record, field)
+            ? `The ${field} of entry ${entryId} failed verification: it was altered or does not belong to this entry.`
+            : `The ${field} of entry ${entryId} could not be decrypted.`);
+    }
+}
+
+/**
+ * Decrypts the given fields of many entries or revisions in one job in the worker.
+ * @param {Array<object>} records - The entries or revisions.
+ * @param {Array<string>} fields - The fields to decrypt; records without one skip it.
+ * @param {KeyHandle} key - The journal key.
+ * @param {Function} [onProgress] - Receives (done, total).
+ * @returns {Promise<Array<object|null>>} - For each record, its decrypted fields by name, or null
+ *     if one of them could not be decrypted or failed verification.
+ */
+export async function decryptEntryRecords(records, fields, key, onProgress = null) {
+    return decryptRecords(records, fields, key, {
+        associatedData: records.map(record => getEntryAssociatedData(record, fields)),
+        onProgress
+    });
+}
+
+/**
+ * Re-encrypts the fields of entries or revisions for a new schema version, binding them to
+ * their record as that version does.
+ * @param {Array<object>} records - The entries or revisions, at their current version.
+ * @param {Array<string>} fields - The encrypted fields.
+ * @param {KeyHandle} key - The journal key.
+ * @param {number} schemaVersion - The version the records are brought to.
+ * @returns {Promise<Array<object>>} - The records at the new version. A record that cannot be
+ *     decrypted is returned unchanged, since it cannot be read either way.
+ */
+export async function rebindEntryRecords(records, fields, key, schemaVersion) {
+    const migrated = records.map(record => ({ ...record, schemaVersion }));
+    const rebound = await reencryptRecords(records, fields, key, key, {
+        oldAssociatedData: records.map(record => getEntryAssociatedData(record, fields)),
+        newAssociatedData: migrated.map(record => getEntryAssociatedData(record, fields))
+    });
+    return rebound.map((record, index) => record ? { ...record, schemaVersion } : records[index]);
+}
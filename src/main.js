@@ -4,34 +4,116 @@ import {
     init as authInit, // Renamed to avoid conflict with main.init
     registerUser,
     loginUser,
+    checkMasterPassword,
     logout,
+    lock,
+    changeMasterPassword,
+    recoverWithPhrase,
+    resetRecoveryPhrase,
+    listUsernames,
+    getCurrentUsername,
     getCurrentEncryptionKey,
-    exportKeys
+    exportKeys,
+    unlockImportedProfile,
+    isPrivacyModeEnabled,
+    setPrivacyMode,
+    getQuickUnlockStatus,
+    setQuickUnlockPin,
+    clearQuickUnlockPin,
+    unlockWithPin,
+    getLoginThrottle,
+    getWipeAfterFailedLogins,
+    setWipeAfterFailedLogins
 } from './auth.js';
 import {
     initDb,
-    addUserProfile,
-    getUserProfile,
-    clearStore,
     addJournalEntry,
     getJournalEntry,
     getAllJournalEntries,
+    getJournalEntryMetadata,
+    getJournalEntryPage,
     updateJournalEntry,
-    deleteJournalEntry,
-    clearAllData,
-    USER_PROFILE_STORE,
-    JOURNAL_ENTRIES_STORE
+    updateJournalEntryWithRevision,
+    getEntryRevisions,
+    getAllRevisions,
+    pruneRevisions,
+    purgeTrashedEntries,
+    putJournalEntries,
+    replaceUserData,
+    deleteJournalEntries,
+    deleteUserData,
+    getAttachment,
+    getEntryAttachments,
+    getAllAttachments,
+    updateAttachments,
+    putDraft,
+    getDrafts,
+    deleteDraft,
+    createRandomId,
+    NEW_ENTRY_SLOT,
+    ENCRYPTED_ENTRY_FIELDS
 } from './storage.js';
 // Corrected import: Import individual functions from ui.js
 import {
     renderMainJournalApp,
     renderAuthForms,
+    renderLockScreen,
+    renderRecoveryPhrase,
+    hideRecoveryPhrase,
     showJournalEntryEditor,
     clearJournalEntryForm,
     showJournalEntriesList,
     populateJournalEntryForm,
+    setJournalEntryDate,
     renderJournalEntriesList,
+    updateJournalEntriesList,
+    updateEntryListWindow,
+    isEntryListNearEnd,
+    isJournalEntryEditorVisible,
+    getJournalEntryFormValues,
+    clearJournalView,
+    setAutoLockSelection,
+    showChangePasswordForm,
+    hideChangePasswordForm,
+    showImportDialog,
+    getImportOptions,
+    renderImportSummary,
+    hideImportDialog,
+    renderSearchResults,
+    getSearchQuery,
+    renderTagSidebar,
+    renderRevisionHistory,
+    getDiffSelection,
+    renderRevisionDiff,
+    hideRevisionHistory,
+    isRevisionHistoryVisible,
+    setTrashCount,
+    renderTrash,
+    renderPrivacyMode,
+    hidePrivacyMode,
+    isPrivacyModeVisible,
+    renderQuickUnlock,
+    hideQuickUnlock,
+    isQuickUnlockVisible,
+    renderLoginThrottle,
+    renderLoginProtection,
+    hideLoginProtection,
+    isLoginProtectionVisible,
+    hideTrash,
+    isTrashVisible,
+    showJournalEntryReader,
+    isJournalEntryReaderVisible,
+    showMarkdownPreview,
+    hideMarkdownPreview,
+    isMarkdownPreviewVisible,
+    renderAttachmentList,
+    setAttachmentThumbnail,
+    setDraftStatus,
+    renderDraftOffers,
+    renderCalendar,
+    renderDateFilter,
     displayMessage, // This function is also in ui.js based on its usage
+    showLoadingProgress,
     showLoadingOverlay, // Also in ui.js
     hideLoadingOverlay // Also in ui.js
 } from './ui.js';
@@ -40,13 +122,100 @@ import {
     // Only functions that are truly unique to utils.js should be here.
     // displayMessage, showLoadingOverlay, hideLoadingOverlay moved to ui.js import.
     getCurrentTimestamp,
-    readFile,
-    downloadFile,
-    safeJSONParse
+    readFileAsArrayBuffer,
+    downloadFile
 } from './utils.js';
+import { createBackup, readBackup, getBackupFilename, BACKUP_MIME_TYPE } from './backup.js';
+import { planImport, describeImportPlan, IMPORT_MODE_MERGE } from './importer.js';
+import { buildSearchIndex, searchEntries } from './search.js';
+import { diffWords } from './diff.js';
+import { markdownToPreview } from './markdown.js';
+import { parseTags, formatTags, countTags, filterByTags, renameTag, normalizeTag, TAG_FILTER_ANY } from './tags.js';
+import {
+    encryptAttachment,
+    decryptAttachmentInfo,
+    getAttachmentEntryId,
+    decryptAttachmentData,
+    decryptAttachmentThumbnail,
+    reencryptAttachment,
+    serializeAttachment,
+    deserializeAttachment,
+    isImageType,
+    MAX_ATTACHMENT_SIZE
+} from './attachments.js';
+import { toDateKey, isDateKey, withEntryDates, compareEntriesByDate } from './dates.js';
+import { startAutoLock, stopAutoLock } from './autolock.js';
+import { scheduleAutosave, flushAutosave, cancelAutosave } from './autosave.js';
+import { getSetting, setSetting } from './settings.js';
+import {
+    startTabSync,
+    broadcastTabEvent,
+    TAB_EVENT_LOCK,
+    TAB_EVENT_LOGOUT,
+    TAB_EVENT_ENTRY_CREATED,
+    TAB_EVENT_ENTRY_UPDATED,
+    TAB_EVENT_ENTRY_DELETED,
+    TAB_EVENT_IMPORT,
+    TAB_EVENT_CLEAR_ALL,
+    TAB_EVENT_PRIVACY_MODE
+} from './tabSync.js';
+import { migrateRecords, isKnownSchemaVersion, RECORD_SCHEMA_VERSION } from './migrations.js';
+import { encryptEntryField, decryptEntryField, decryptEntryRecords, getEntryAssociatedData } from './entryCrypto.js';
+import {
+    applyPrivacyMode,
+    sealEntryRecord,
+    unsealEntryRecord,
+    unsealEntryRecords,
+    unsealRevisionRecords,
+    findSealedRecordsOfEntries,
+    openDraft,
+    sealDraft,
+    findDraftSlot,
+    isSealed,
+    pageEntries
+} from './privacy.js';
+
+const ENTRY_PAGE_SIZE = 50; // Entries decrypted per page of the list
+const SEARCH_NOTICE_THRESHOLD = 100; // Building the search index for more entries than this is announced
 
 let currentJournalEntryId = null; // Stores the ID of the currently selected entry for editing
-let allJournalEntries = []; // Cache for all entries
+let editorBaseUpdatedAt = null; // When the entry in the editor had last been saved as it was opened
+let entryMetadata = new Map(); // Dates and decrypted tags of the profile's entries outside the trash, by id
+let trashedEntryCount = 0;
+let entryListState = createEntryListState(); // Pages of the list decrypted so far
+let searchIndex = null; // In-memory full-text index of the decrypted entries; never persisted
+let searchIndexBuild = null; // Promise of the search index while it is being built
+let selectedTags = []; // Tags the list is filtered by
+let tagFilterMode = TAG_FILTER_ANY;
+let selectedDate = null; // Day ('YYYY-MM-DD') the list is filtered to from the calendar
+let calendarMonth = null; // {year, month} shown in the calendar; null shows the current month
+let revisionVersions = []; // Decrypted versions of the entry open in the history panel
+let lockedViewState = null; // View and encrypted draft to restore after unlocking
+let pendingImport = null; // Verified backup and its key, waiting for the user to confirm the import
+let attachmentChanges = { added: [], removedIds: [] }; // Files attached or removed in the editor, applied on save
+let editorHasDraft = false; // Whether the editor's slot has a draft from this editing session
+let privacyMode = false; // Whether the profile's entries are stored sealed (see privacy.js)
+let unsealedEntries = null; // In privacy mode, the profile's unsealed entries by id; the list is ordered from them
+let loginThrottleTimer = null; // Ticks the countdown on the login form after failed logins
+let tabEvents = Promise.resolve(); // Messages from other tabs are handled one at a time, in order
+
+/**
+ * Creates the state of an empty entry list, ready to load its first page.
+ * @returns {{entries: Array<object>, nextKey: Array|null, hasMore: boolean, loading: boolean}}
+ */
+function createEntryListState() {
+    return { entries: [], nextKey: null, hasMore: true, loading: false };
+}
+
+/**
+ * Shows the progress of re-encrypting the journal with a new key, which happens when an
+ * older profile is upgraded at login or gets a new password.
+ * @param {number} done - Records re-encrypted so far.
+ * @param {number} total - Records to re-encrypt.
+ */
+function showReencryptionProgress(done, total) {
+    showLoadingProgress('Re-encrypting your journal…', done, total); // Direct call
+}
 
 const main = {
     /**
@@ -57,18 +226,22 @@ const main = {
         showLoadingOverlay();
         try {
             await initDb();
+            await this.purgeExpiredTrash();
             await this.registerServiceWorker();
 
             const isAuthenticated = await authInit();
 
             if (isAuthenticated) {
-                await renderMainJournalApp(); // Direct call
-                await this.loadAllJournalEntries();
+                await this.startSession();
             } else {
-                renderAuthForms(); // Direct call
+                await this.showAuthForms();
             }
 
             this.setupEventListeners(); // Setup general event listeners
+            crypto.setWorkerLostHandler(() => this.handleWorkerLost());
+            startTabSync(event => {
+                tabEvents = tabEvents.then(() => this.handleTabEvent(event));
+            });
         } catch (error) {
             console.error('Initialization failed:', error);
             displayMessage(`Failed to initialize: ${error.message}`, 'error'); // Direct call
@@ -103,37 +276,160 @@ const main = {
             } else if (event.target.id === 'loginForm') {
                 event.preventDefault();
                 await this.handleLogin(event.target);
+            } else if (event.target.id === 'recoveryForm') {
+                event.preventDefault();
+                await this.handleRecovery(event.target);
+            } else if (event.target.id === 'unlockForm') {
+                event.preventDefault();
+                await this.handleUnlock(event.target);
+            } else if (event.target.id === 'pinUnlockForm') {
+                event.preventDefault();
+                await this.handlePinUnlock(event.target);
+            } else if (event.target.id === 'pinForm') {
+                event.preventDefault();
+                await this.handleSetPin(event.target);
+            } else if (event.target.id === 'changePasswordForm') {
+                event.preventDefault();
+                await this.handleChangePassword(event.target);
             } else if (event.target.id === 'journalEntryForm') {
                 event.preventDefault();
                 await this.handleSaveJournalEntry(event.target);
+            } else if (event.target.id === 'importForm') {
+                event.preventDefault();
+                await this.handleConfirmImport();
             }
         });
 
         // Journal entry list item clicks (for editing)
         document.addEventListener('click', async (event) => {
-            if (event.target.classList.contains('edit-entry-btn')) {
-                const entryId = event.target.dataset.id;
+            const viewButton = event.target.closest('.view-entry-btn'); // Titles may contain search highlights
+            if (viewButton) {
+                await this.viewJournalEntry(Number(viewButton.dataset.id));
+            } else if (event.target.classList.contains('edit-entry-btn') || event.target.id === 'readEditBtn') {
+                const entryId = Number(event.target.dataset.id); // Entry ids are numeric keys
                 await this.editJournalEntry(entryId);
             } else if (event.target.classList.contains('delete-entry-btn')) {
-                const entryId = event.target.dataset.id;
+                const entryId = Number(event.target.dataset.id);
                 await this.deleteJournalEntry(entryId);
+            } else if (event.target.classList.contains('restore-revision-btn')) {
+                await this.restoreRevision(Number(event.target.dataset.revisionId));
+            } else if (event.target.id === 'historyBtn') {
+                await this.toggleRevisionHistory();
+            } else if (event.target.id === 'previewBtn') {
+                if (isMarkdownPreviewVisible()) {
+                    hideMarkdownPreview(); // Direct call
+                } else {
+                    showMarkdownPreview(getJournalEntryFormValues().content); // Direct call
+                }
+            } else if (event.target.id === 'readBackBtn') {
+                showJournalEntriesList(); // Direct call
+            } else if (event.target.classList.contains('download-attachment-btn')) {
+                await this.downloadAttachment(event.target.dataset.id);
+            } else if (event.target.classList.contains('remove-attachment-btn')) {
+                await this.removeAttachment(event.target.dataset.id, event.target.dataset.pendingIndex);
+            } else if (event.target.classList.contains('tag-filter-btn')) {
+                this.toggleTagFilter(event.target.dataset.tag);
+            } else if (event.target.classList.contains('rename-tag-btn')) {
+                await this.handleRenameTag(event.target.dataset.tag);
+            } else if (event.target.classList.contains('calendar-day-btn')) {
+                this.toggleDateFilter(event.target.dataset.date);
+            } else if (event.target.id === 'calendarPrevBtn' || event.target.id === 'calendarNextBtn') {
+                this.shiftCalendarMonth(event.target.id === 'calendarPrevBtn' ? -1 : 1);
+            } else if (event.target.id === 'clearDateFilterBtn') {
+                this.toggleDateFilter(selectedDate);
             } else if (event.target.id === 'newEntryBtn') {
+                // A day picked in the calendar is the default
+                setJournalEntryDate(selectedDate || toDateKey(new Date())); // Direct call
                 showJournalEntryEditor('new'); // Direct call
                 currentJournalEntryId = null; // Reset for new entry
+                attachmentChanges = { added: [], removedIds: [] };
+                editorHasDraft = false;
+                await this.showEntryAttachments(null, true);
+            } else if (event.target.classList.contains('resume-draft-btn')) {
+                await this.resumeDraft(this.parseDraftSlot(event.target.dataset.slot));
+            } else if (event.target.classList.contains('discard-draft-btn')) {
+                await this.discardDraft(this.parseDraftSlot(event.target.dataset.slot));
             } else if (event.target.id === 'cancelEditBtn') {
+                await this.discardEditorDraft(); // Cancelling drops the unsaved changes for good
                 showJournalEntriesList(); // Direct call
                 currentJournalEntryId = null;
+                revisionVersions = [];
+                attachmentChanges = { added: [], removedIds: [] };
                 clearJournalEntryForm(); // Direct call
+            } else if (event.target.id === 'recoveryPhraseDoneBtn') {
+                hideRecoveryPhrase(); // Direct call
+                if (getCurrentEncryptionKey()) {
+                    renderMainJournalApp(); // Direct call
+                } else {
+                    await this.showAuthForms(false); // Continue to the login form
+                }
+            } else if (event.target.id === 'newRecoveryPhraseBtn') {
+                await this.handleNewRecoveryPhrase();
+            } else if (event.target.id === 'changePasswordBtn') {
+                showChangePasswordForm(); // Direct call
+            } else if (event.target.id === 'cancelChangePasswordBtn') {
+                hideChangePasswordForm(); // Direct call
+            } else if (event.target.id === 'pinBtn') {
+                if (isQuickUnlockVisible()) {
+                    hideQuickUnlock(); // Direct call
+                } else {
+                    renderQuickUnlock(await getQuickUnlockStatus(), getSetting('quickUnlockMaxAgeMinutes')); // Direct call
+                }
+            } else if (event.target.id === 'closePinBtn') {
+                hideQuickUnlock(); // Direct call
+            } else if (event.target.id === 'removePinBtn') {
+                await this.handleRemovePin();
+            } else if (event.target.id === 'loginProtectionBtn') {
+                if (isLoginProtectionVisible()) {
+                    hideLoginProtection(); // Direct call
+                } else {
+                    renderLoginProtection(await getWipeAfterFailedLogins()); // Direct call
+                }
+            } else if (event.target.id === 'closeLoginProtectionBtn') {
+                hideLoginProtection(); // Direct call
+            } else if (event.target.id === 'cancelImportBtn') {
+                await this.discardPendingImport();
+                hideImportDialog(); // Direct call
+                displayMessage("Import cancelled.", "info");
             } else if (event.target.id === 'exportDataBtn') {
                 await this.handleExportData();
             } else if (event.target.id === 'importDataBtn') {
                 document.getElementById('importFile').click(); // Trigger file input click
             } else if (event.target.id === 'logoutBtn') {
                 await this.handleLogout();
-            } else if (event.target.id === 'clearAllDataBtn') {
-                if (confirm('Are you sure you want to delete ALL journal entries and user data? This action cannot be undone.')) {
-                    await this.handleClearAllData();
+            } else if (event.target.id === 'lockBtn') {
+                const owner = getCurrentUsername();
+                await this.lockJournal();
+                broadcastTabEvent(TAB_EVENT_LOCK, owner); // Inactivity locks only the idle tab
+            } else if (event.target.id === 'lockLogoutLink') {
+                event.preventDefault();
+                await this.handleLogout(true);
+            } else if (event.target.id === 'trashBtn') {
+                if (isTrashVisible()) {
+                    hideTrash(); // Direct call
+                } else {
+                    await this.showTrash();
                 }
+            } else if (event.target.id === 'closeTrashBtn') {
+                hideTrash(); // Direct call
+            } else if (event.target.id === 'privacyModeBtn') {
+                if (isPrivacyModeVisible()) {
+                    hidePrivacyMode(); // Direct call
+                } else {
+                    renderPrivacyMode(privacyMode); // Direct call
+                }
+            } else if (event.target.id === 'closePrivacyModeBtn') {
+                hidePrivacyMode(); // Direct call
+            } else if (event.target.id === 'togglePrivacyModeBtn') {
+                await this.handleTogglePrivacyMode();
+            } else if (event.target.classList.contains('restore-entry-btn')) {
+                await this.restoreTrashedEntry(Number(event.target.dataset.id));
+            } else if (event.target.classList.contains('purge-entry-btn')) {
+                await this.purgeTrashedEntry(Number(event.target.dataset.id));
+            } else if (event.target.id === 'emptyTrashBtn') {
+                await this.emptyTrash();
+            } else if (event.target.id === 'clearAllDataBtn') {
+                await this.confirmClearAllData();
             }
         });
 
@@ -141,19 +437,125 @@ const main = {
         document.addEventListener('change', async (event) => {
             if (event.target.id === 'importFile') {
                 const file = event.target.files[0];
+                event.target.value = ''; // Allow picking the same file again
                 if (file) {
                     await this.handleImportData(file);
                 }
+            } else if (event.target.id === 'attachmentInput') {
+                const files = [...event.target.files];
+                event.target.value = ''; // Allow picking the same file again
+                await this.handleAttachFiles(files);
+            } else if (event.target.id === 'autoLockSelect') {
+                this.handleAutoLockChange(Number(event.target.value));
+            } else if (event.target.id === 'loginUsername') {
+                await this.showLoginThrottle(event.target.value);
+            } else if (event.target.id === 'wipeAfterSelect') {
+                await this.handleWipeAfterChange(Number(event.target.value));
+            } else if (event.target.id === 'tagFilterMode') {
+                tagFilterMode = event.target.value;
+                this.renderEntries();
+            } else if (event.target.id === 'diffFromSelect' || event.target.id === 'diffToSelect') {
+                this.renderSelectedDiff();
+            } else if (event.target.id === 'revisionRetentionSelect') {
+                await this.handleRevisionRetentionChange(Number(event.target.value));
+            } else if (event.target.id === 'trashRetentionSelect') {
+                await this.handleTrashRetentionChange(Number(event.target.value));
+            } else if (event.target.form && event.target.form.id === 'importForm') {
+                this.updateImportSummary();
+            }
+        });
+
+        // Scroll events don't bubble, so the entry list's are caught on the way down
+        document.addEventListener('scroll', async (event) => {
+            if (event.target.id === 'journalEntriesList') {
+                updateEntryListWindow(); // Direct call
+                if (isEntryListNearEnd()) {
+                    await this.loadMoreEntries();
+                }
+            }
+        }, true);
+
+        // Search as the user types
+        document.addEventListener('input', (event) => {
+            if (event.target.id === 'searchInput') {
+                this.renderEntries();
+            } else if (event.target.form && event.target.form.id === 'journalEntryForm') {
+                if (event.target.id === 'journalEntryContent' && isMarkdownPreviewVisible()) {
+                    showMarkdownPreview(event.target.value); // Direct call
+                }
+                const entryId = currentJournalEntryId;
+                const values = getJournalEntryFormValues();
+                scheduleAutosave(() => this.saveDraft(entryId, values));
             }
         });
     },
 
+    /**
+     * Renders the login/register forms with the local profiles in the picker.
+     * @param {boolean} [showRegister] - Force the register (true) or login (false) form;
+     *     defaults to register only when no profile exists yet.
+     */
+    showAuthForms: async function(showRegister) {
+        const usernames = await listUsernames();
+        const lastUsername = getSetting('lastUsername');
+        const selectedUsername = usernames.includes(lastUsername) ? lastUsername : usernames[0];
+        renderAuthForms(showRegister ?? usernames.length === 0, usernames, selectedUsername); // Direct call
+        await this.showLoginThrottle(selectedUsername);
+    },
+
+    /**
+     * Shows on the login or unlock form how long a profile has to wait after failed logins,
+     * counting down to the next allowed attempt, and how many more failures erase it.
+     * @param {string|undefined} username - The profile picked on the form.
+     */
+    showLoginThrottle: async function(username) {
+        clearInterval(loginThrottleTimer);
+        loginThrottleTimer = null;
+        const throttle = await getLoginThrottle(username);
+        if (!throttle) {
+            renderLoginThrottle(0); // Direct call
+            return;
+        }
+        const left = throttle.attemptsBeforeWipe;
+        const warning = left !== null && throttle.failedAttempts > 0
+            ? `${left} more failed ${left === 1 ? 'attempt erases' : 'attempts erase'} this journal from this device.`
+            : '';
+        const tick = () => {
+            const secondsLeft = Math.max(0, Math.ceil((throttle.lockedUntil - Date.now()) / 1000));
+            renderLoginThrottle(secondsLeft, warning); // Direct call
+            if (secondsLeft === 0) {
+                clearInterval(loginThrottleTimer);
+                loginThrottleTimer = null;
+            }
+        };
+        tick();
+        if (throttle.lockedUntil > Date.now()) {
+            loginThrottleTimer = setInterval(tick, 1000);
+        }
+    },
+
+    /**
+     * Updates the login form after a login or unlock failed. If the profile was erased after
+     * too many failures, the session is torn down and the login forms are shown again.
+     * @param {string} username - The profile that failed to log in.
+     */
+    handleFailedLogin: async function(username) {
+        if (await getLoginThrottle(username)) {
+            await this.showLoginThrottle(username);
+            return;
+        }
+        broadcastTabEvent(TAB_EVENT_CLEAR_ALL, username);
+        await this.endSession();
+        await this.showAuthForms();
+    },
+
     /**
      * Handles user registration.
      * @param {HTMLFormElement} form - The registration form element.
      */
     handleRegister: async function(form) {
         showLoadingOverlay();
+        const username = form.username.value;
         const masterPassword = form.masterPassword.value;
         const confirmPassword = form.confirmPassword.value;
 
@@ -164,9 +566,10 @@ const main = {
         }
 
         try {
-            await registerUser(masterPassword);
-            displayMessage('Registration successful! Please log in.', 'success');
-            renderAuthForms(); // Direct call
+            const recoveryPhrase = await registerUser(username, masterPassword);
+            setSetting('lastUsername', username.trim());
+            displayMessage('Registration successful! Write down your recovery phrase, then log in.', 'success');
+            renderRecoveryPhrase(recoveryPhrase); // Direct call
         } catch (error) {
             console.error('Registration failed:', error);
             displayMessage(`Registration failed: ${error.message}`, 'error');
@@ -181,297 +584,2292 @@ const main = {
      */
     handleLogin: async function(form) {
         showLoadingOverlay();
+        const username = form.username.value;
         const masterPassword = form.masterPassword.value;
 
         try {
-            const success = await loginUser(masterPassword);
+            const success = await loginUser(username, masterPassword, { onProgress: showReencryptionProgress });
             if (success) {
+                setSetting('lastUsername', username);
+                clearInterval(loginThrottleTimer);
                 displayMessage('Login successful!', 'success');
-                await renderMainJournalApp(); // Direct call
-                await this.loadAllJournalEntries();
+                await this.startSession();
             } else {
+                form.masterPassword.value = '';
                 displayMessage('Incorrect master password.', 'error');
+                await this.handleFailedLogin(username);
             }
         } catch (error) {
             console.error('Login failed:', error);
             displayMessage(`Login failed: ${error.message}`, 'error');
+            if (!getCurrentEncryptionKey()) {
+                await this.handleFailedLogin(username);
+            }
         } finally {
             hideLoadingOverlay();
         }
     },
 
     /**
-     * Handles saving a new or updated journal entry.
-     * @param {HTMLFormElement} form - The journal entry form.
+     * Handles unlocking with the recovery phrase and setting a new master password.
+     * @param {HTMLFormElement} form - The recovery form element.
      */
-    handleSaveJournalEntry: async function(form) {
-        showLoadingOverlay();
-        const title = form.title.value;
-        const content = form.content.value;
-
-        if (!title.trim() || !content.trim()) {
-            displayMessage('Title and content cannot be empty.', 'error');
-            hideLoadingOverlay();
+    handleRecovery: async function(form) {
+        const newPassword = form.newPassword.value;
+        if (newPassword !== form.confirmPassword.value) {
+            displayMessage('Passwords do not match!', 'error');
             return;
         }
 
+        showLoadingOverlay();
         try {
-            const encryptionKey = await getCurrentEncryptionKey();
-            if (!encryptionKey) {
-                throw new Error("Encryption key not available. Please log in again.");
+            const success = await recoverWithPhrase(form.username.value, form.recoveryPhrase.value, newPassword,
+                { onProgress: showReencryptionProgress });
+            if (success) {
+                setSetting('lastUsername', form.username.value);
+                form.reset();
+                displayMessage('Journal recovered. Your new master password is now active.', 'success');
+                await this.startSession();
+            } else {
+                displayMessage('That recovery phrase does not unlock this journal.', 'error');
             }
+        } catch (error) {
+            console.error('Recovery failed:', error);
+            displayMessage(`Recovery failed: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
 
-            const encryptedTitle = await crypto.encrypt(title, encryptionKey);
-            const encryptedContent = await crypto.encrypt(content, encryptionKey);
-
-            const entry = {
-                id: currentJournalEntryId || getCurrentTimestamp(), // Use current ID for update, new timestamp for new
-                timestamp: getCurrentTimestamp(),
-                title: encryptedTitle,
-                content: encryptedContent
-            };
+    /**
+     * Replaces the recovery phrase after re-checking the master password.
+     */
+    handleNewRecoveryPhrase: async function() {
+        if (!confirm('Create a new recovery phrase? Your current recovery phrase will stop working.')) {
+            return;
+        }
+        const masterPassword = prompt("Please enter your master password to create a new recovery phrase:");
+        if (!masterPassword) {
+            displayMessage("Recovery phrase unchanged.", "info");
+            return;
+        }
 
-            if (currentJournalEntryId) {
-                await updateJournalEntry(entry);
-                displayMessage('Entry updated successfully!', 'success');
+        showLoadingOverlay();
+        try {
+            const recoveryPhrase = await resetRecoveryPhrase(masterPassword);
+            if (recoveryPhrase) {
+                renderRecoveryPhrase(recoveryPhrase); // Direct call
+                displayMessage('New recovery phrase created.', 'success');
             } else {
-                await addJournalEntry(entry);
-                displayMessage('Entry saved successfully!', 'success');
+                displayMessage('Incorrect master password. Recovery phrase unchanged.', 'error');
             }
-
-            clearJournalEntryForm(); // Direct call
-            showJournalEntriesList(); // Direct call
-            await this.loadAllJournalEntries();
-            currentJournalEntryId = null; // Reset
         } catch (error) {
-            console.error('Saving entry failed:', error);
-            displayMessage(`Failed to save entry: ${error.message}`, 'error');
+            console.error('Creating recovery phrase failed:', error);
+            displayMessage(`Failed to create recovery phrase: ${error.message}`, 'error');
         } finally {
             hideLoadingOverlay();
         }
     },
 
     /**
-     * Loads and displays all journal entries.
+     * Shows the journal for a freshly authenticated user and arms the inactivity lock.
+     * Unless the editor is restored, any autosaved drafts are offered for resuming.
+     * @param {object|null} [viewState=null] - A view captured when the journal was locked.
      */
-    loadAllJournalEntries: async function() {
-        showLoadingOverlay();
+    startSession: async function(viewState = null) {
         try {
-            const encryptionKey = await getCurrentEncryptionKey();
-            if (!encryptionKey) {
-                throw new Error("Encryption key not available. Please log in again.");
-            }
+            await this.migrateJournal();
+            await this.enforcePrivacyMode();
+        } catch (error) {
+            // The journal is left as it was and not opened
+            await this.endSession();
+            await this.showAuthForms();
+            throw error;
+        }
+        await renderMainJournalApp(); // Direct call
+        setAutoLockSelection(getSetting('autoLockMinutes'));
+        await this.loadJournalEntries();
+        if (unsealedEntries) {
+            await this.purgeExpiredTrash([...unsealedEntries.values()]);
+        }
+        await this.pruneRevisions();
+        await this.restoreViewState(viewState);
+        if (!isJournalEntryEditorVisible()) {
+            await this.offerDrafts();
+        }
+        startAutoLock(() => this.lockJournal(), getSetting('autoLockMinutes'));
+    },
+
+    /**
+     * Brings the logged-in profile's records up to the current record schema, showing progress
+     * in the loading overlay. There is only work to do after an update, or to finish a migration
+     * that was interrupted.
+     * @throws {Error} - If the journal has records from a newer version of the app.
+     */
+    migrateJournal: async function() {
+        const migrated = await migrateRecords(getCurrentUsername(), getCurrentEncryptionKey(),
+            (done, total) => showLoadingProgress('Updating your journal…', done, total)); // Direct call
+        if (migrated > 0) {
+            console.log(`Migrated ${migrated} record(s) to schema version ${RECORD_SCHEMA_VERSION}.`);
+        }
+    },
+
+    /**
+     * Stores the logged-in profile's entries as its privacy mode setting says, sealing or
+     * unsealing those that are not yet (see privacy.js), with progress in the loading overlay.
+     */
+    enforcePrivacyMode: async function() {
+        privacyMode = await isPrivacyModeEnabled();
+        const converted = await applyPrivacyMode(getCurrentUsername(), getCurrentEncryptionKey(), privacyMode,
+            (done, total) => showLoadingProgress(privacyMode ? 'Sealing your entries…' : 'Unsealing your entries…', done, total)); // Direct call
+        if (converted > 0) {
+            console.log(`${privacyMode ? 'Sealed' : 'Unsealed'} ${converted} record(s).`);
+        }
+    },
+
+    /**
+     * Tears down the session: stops the inactivity lock, forgets the key and
+     * removes every decrypted entry from memory and the page.
+     */
+    endSession: async function() {
+        stopAutoLock();
+        await cancelAutosave();
+        lockedViewState = null;
+        await this.discardPendingImport();
+        await logout();
+        entryMetadata = new Map(); // Clear cached entries
+        unsealedEntries = null;
+        privacyMode = false;
+        entryListState = createEntryListState();
+        searchIndex = null;
+        searchIndexBuild = null;
+        selectedTags = [];
+        selectedDate = null;
+        calendarMonth = null;
+        revisionVersions = [];
+        attachmentChanges = { added: [], removedIds: [] };
+        editorHasDraft = false;
+        currentJournalEntryId = null;
+        clearJournalView();
+    },
+
+    /**
+     * Locks the journal: purges the key and decrypted entries and shows the lock screen.
+     * The open view and any unsaved editor text are kept, encrypted, for after unlocking.
+     */
+    lockJournal: async function() {
+        const encryptionKey = getCurrentEncryptionKey();
+        if (!encryptionKey) {
+            return;
+        }
+        stopAutoLock();
+        await flushAutosave(); // Needs the key, so before it is dropped
+
+        try {
+            lockedViewState = await this.captureViewState(encryptionKey);
+        } catch (error) {
+            console.error('Could not preserve the current view while locking:', error);
+            lockedViewState = null;
+        }
+
+        await this.discardPendingImport();
+        await lock();
+        entryMetadata = new Map();
+        unsealedEntries = null;
+        entryListState = createEntryListState();
+        searchIndex = null;
+        searchIndexBuild = null;
+        selectedTags = [];
+        selectedDate = null;
+        calendarMonth = null;
+        revisionVersions = [];
+        currentJournalEntryId = null;
+        // attachmentChanges is kept for the restored editor: it only references files on disk
+        clearJournalView();
+        renderLockScreen(getCurrentUsername(), await getQuickUnlockStatus());
+        await this.showLoginThrottle(getCurrentUsername());
+        displayMessage('Journal locked.', 'info');
+    },
+
+    /**
+     * Locks the journal after the crypto worker stopped unexpectedly. The key went with it, so
+     * nothing can be decrypted or saved until the user unlocks again and a new worker derives it.
+     */
+    handleWorkerLost: async function() {
+        if (!getCurrentEncryptionKey()) {
+            return;
+        }
+        await this.lockJournal();
+        displayMessage('The encryption engine stopped unexpectedly, so the journal was locked. Please unlock it again.', 'error');
+    },
+
+    /**
+     * Snapshots the current view. Editor contents are encrypted so no plaintext
+     * survives in memory while the journal is locked.
+     * @param {KeyHandle} encryptionKey - The key of the session being locked.
+     * @returns {Promise<object>} - The view state.
+     */
+    captureViewState: async function(encryptionKey) {
+        if (isJournalEntryReaderVisible()) {
+            return { view: 'read', entryId: Number(document.getElementById('readEditBtn').dataset.id) };
+        }
+        if (!isJournalEntryEditorVisible()) {
+            return { view: 'list' };
+        }
+        const draft = getJournalEntryFormValues();
+        return {
+            view: 'editor',
+            entryId: currentJournalEntryId,
+            baseUpdatedAt: editorBaseUpdatedAt,
+            draft: await crypto.encrypt(JSON.stringify(draft), encryptionKey)
+        };
+    },
+
+    /**
+     * Returns to the view captured by `captureViewState`.
+     * @param {object|null} state - The captured view state.
+     */
+    restoreViewState: async function(state) {
+        if (state && state.view === 'read') {
+            await this.viewJournalEntry(state.entryId);
+            return;
+        }
+        if (!state || state.view !== 'editor') {
+            return;
+        }
+        try {
+            const draft = JSON.parse(await crypto.decrypt(state.draft, getCurrentEncryptionKey()));
+            populateJournalEntryForm(draft.title, draft.content, draft.tags, draft.entryDate);
+            showJournalEntryEditor(state.entryId ? 'edit' : 'new');
+            currentJournalEntryId = state.entryId;
+            editorBaseUpdatedAt = state.baseUpdatedAt ?? null;
+            await this.showEntryAttachments(state.entryId, true);
+        } catch (error) {
+            console.error('Could not restore the editor after unlocking:', error);
+            displayMessage('Unlocked, but the unsaved draft could not be restored.', 'error');
+        }
+    },
+
+    /**
+     * Autosaves the editor contents as the encrypted draft of their slot.
+     * @param {number|null} entryId - The entry being edited, or null for a new entry.
+     * @param {{title: string, content: string, tags: string, entryDate: string}} values - The editor contents.
+     */
+    saveDraft: async function(entryId, values) {
+        const encryptionKey = getCurrentEncryptionKey();
+        const owner = getCurrentUsername();
+        if (!encryptionKey) {
+            return; // Locked or logged out in the meantime
+        }
+        const slot = await this.getDraftSlot(entryId);
+        if (!entryId && !values.title.trim() && !values.content.trim() && !values.tags.trim()) {
+            await deleteDraft(owner, slot); // Nothing worth keeping
+            setDraftStatus(null); // Direct call
+            return;
+        }
+
+        const timestamp = getCurrentTimestamp();
+        const entry = entryId ? entryMetadata.get(entryId) : null;
+        // The save times are encrypted with the contents, so the stored draft does not show when it was written
+        const saved = {
+            ...values,
+            timestamp,
+            baseTimestamp: entry ? entry.updatedAt : null // The saved version the draft started from
+        };
+        const record = { owner, slot, schemaVersion: RECORD_SCHEMA_VERSION };
+        await putDraft(privacyMode
+            ? await sealDraft(record, { ...saved, entryId }, encryptionKey)
+            : { ...record, entryId, draft: await crypto.encrypt(JSON.stringify(saved), encryptionKey) });
+        if (isJournalEntryEditorVisible() && currentJournalEntryId === entryId) {
+            editorHasDraft = true;
+            setDraftStatus(timestamp); // Direct call
+        }
+    },
+
+    /**
+     * Drops the pending autosave and the draft written while the editor was open. A draft from
+     * an earlier session that was not resumed is left alone.
+     */
+    discardEditorDraft: async function() {
+        await cancelAutosave();
+        if (editorHasDraft) {
+            await deleteDraft(getCurrentUsername(), await this.getDraftSlot(currentJournalEntryId));
+        }
+        editorHasDraft = false;
+        setDraftStatus(null); // Direct call
+    },
+
+    /**
+     * Finds the slot an entry's draft is stored under: the entry id, or in privacy mode a random
+     * slot that says nothing about it.
+     * @param {number|null} entryId - The entry, or null for a new entry.
+     * @returns {Promise<number|string>} - The slot.
+     */
+    getDraftSlot: async function(entryId) {
+        if (!privacyMode) {
+            return entryId ?? NEW_ENTRY_SLOT;
+        }
+        return findDraftSlot(getCurrentUsername(), entryId, getCurrentEncryptionKey());
+    },
+
+    /**
+     * Converts a draft slot read from the page back to its stored form.
+     * @param {string} slot - The slot as text.
+     * @returns {number|string} - The entry id or random slot, or `NEW_ENTRY_SLOT`.
+     */
+    parseDraftSlot: function(slot) {
+        return slot === NEW_ENTRY_SLOT ? slot : Number(slot);
+    },
 
-            const encryptedEntries = await getAllJournalEntries();
-            const decryptedEntries = await Promise.all(encryptedEntries.map(async (entry) => {
+    /**
+     * Lists the profile's drafts so the user can resume or discard them.
+     */
+    offerDrafts: async function() {
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const drafts = await getDrafts(getCurrentUsername());
+            const offers = await Promise.all(drafts.map(async (draft) => {
+                let title;
+                let timestamp = null;
+                let isNew = draft.slot === NEW_ENTRY_SLOT;
                 try {
-                    const decryptedTitle = await crypto.decrypt(entry.title, encryptionKey);
-                    const decryptedContent = await crypto.decrypt(entry.content, encryptionKey);
-                    return {
-                        id: entry.id,
-                        timestamp: entry.timestamp,
-                        title: decryptedTitle,
-                        content: decryptedContent
-                    };
-                } catch (decryptionError) {
-                    console.warn(`Could not decrypt entry ${entry.id}:`, decryptionError);
-                    // Return placeholder or partial data if decryption fails for one entry
-                    return {
-                        id: entry.id,
-                        timestamp: entry.timestamp,
-                        title: "[Decryption Failed]",
-                        content: "[Content not available due to decryption error]"
-                    };
+                    let entryId;
+                    ({ title, timestamp, entryId } = await openDraft(draft, encryptionKey));
+                    isNew = entryId === null;
+                } catch (error) {
+                    console.warn(`Could not decrypt the draft of slot ${draft.slot}:`, error);
+                    title = '[Decryption Failed]';
                 }
+                return { slot: draft.slot, title, timestamp, isNew };
             }));
-            allJournalEntries = decryptedEntries.sort((a, b) => b.timestamp - a.timestamp); // Sort by newest first
-            renderJournalEntriesList(allJournalEntries); // Direct call
+            offers.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)); // Most recent first; storage cannot order them
+            renderDraftOffers(offers); // Direct call
         } catch (error) {
-            console.error('Loading entries failed:', error);
-            displayMessage(`Failed to load entries: ${error.message}`, 'error');
-            renderJournalEntriesList([]); // Direct call // Clear list on error
-        } finally {
-            hideLoadingOverlay();
+            console.error('Loading drafts failed:', error);
         }
     },
 
     /**
-     * Loads a specific journal entry into the editor.
-     * @param {string} entryId - The ID of the entry to edit.
+     * Opens a draft in the editor. A draft whose entry no longer exists opens as a new entry.
+     * @param {number|string} slot - The draft's slot.
      */
-    editJournalEntry: async function(entryId) {
+    resumeDraft: async function(slot) {
         showLoadingOverlay();
         try {
-            const encryptionKey = await getCurrentEncryptionKey();
-            if (!encryptionKey) {
-                throw new Error("Encryption key not available. Please log in again.");
+            const owner = getCurrentUsername();
+            const draft = (await getDrafts(owner)).find(d => d.slot === slot);
+            if (!draft) {
+                throw new Error('Draft not found.');
             }
-            const encryptedEntry = await getJournalEntry(entryId);
-            if (encryptedEntry) {
-                const decryptedTitle = await crypto.decrypt(encryptedEntry.title, encryptionKey);
-                const decryptedContent = await crypto.decrypt(encryptedEntry.content, encryptionKey);
-                populateJournalEntryForm(decryptedTitle, decryptedContent); // Direct call
-                showJournalEntryEditor('edit'); // Direct call
-                currentJournalEntryId = entryId;
+            const { timestamp, baseTimestamp, entryId, ...values } = await openDraft(draft, getCurrentEncryptionKey());
+            const entry = entryId ? entryMetadata.get(entryId) : null;
+
+            await flushAutosave();
+            // Drafts saved before entries had a date fall back to the entry's date, or today
+            const entryDate = values.entryDate || (entry ? entry.entryDate : toDateKey(new Date()));
+            populateJournalEntryForm(values.title, values.content, values.tags, entryDate); // Direct call
+            showJournalEntryEditor(entry ? 'edit' : 'new'); // Direct call
+            currentJournalEntryId = entry ? entry.id : null;
+            editorBaseUpdatedAt = entry ? entry.updatedAt : null; // A newer save than the draft's is announced below
+            revisionVersions = [];
+            attachmentChanges = { added: [], removedIds: [] };
+            await this.showEntryAttachments(currentJournalEntryId, true);
+
+            if (entryId && !entry) {
+                // Keep the text under the new-entry slot from now on
+                await deleteDraft(owner, slot);
+                await this.saveDraft(null, values);
+                displayMessage('The entry of this draft was deleted, so it opens as a new entry.', 'info');
             } else {
-                displayMessage('Entry not found.', 'error');
+                editorHasDraft = true;
+                setDraftStatus(timestamp); // Direct call
+                if (entry && baseTimestamp && entry.updatedAt > baseTimestamp) {
+                    displayMessage('This entry was saved again after the draft was made. Saving the draft replaces that version, which stays in the history.', 'info');
+                }
             }
         } catch (error) {
-            console.error('Editing entry failed:', error);
-            displayMessage(`Failed to load entry for editing: ${error.message}`, 'error');
+            console.error('Resuming draft failed:', error);
+            displayMessage(`Failed to resume the draft: ${error.message}`, 'error');
         } finally {
             hideLoadingOverlay();
         }
     },
 
     /**
-     * Deletes a journal entry.
-     * @param {string} entryId - The ID of the entry to delete.
+     * Deletes a draft without opening it.
+     * @param {number|string} slot - The draft's slot.
      */
-    deleteJournalEntry: async function(entryId) {
-        if (!confirm('Are you sure you want to delete this entry?')) {
-            return;
-        }
-        showLoadingOverlay();
+    discardDraft: async function(slot) {
         try {
-            await deleteJournalEntry(entryId);
-            displayMessage('Entry deleted successfully!', 'success');
-            await this.loadAllJournalEntries();
-            clearJournalEntryForm(); // Direct call
-            showJournalEntriesList(); // Direct call
+            await deleteDraft(getCurrentUsername(), slot);
+            await this.offerDrafts();
+            displayMessage('Draft discarded.', 'info');
         } catch (error) {
-            console.error('Deleting entry failed:', error);
-            displayMessage(`Failed to delete entry: ${error.message}`, 'error');
-        } finally {
-            hideLoadingOverlay();
+            console.error('Discarding draft failed:', error);
+            displayMessage(`Failed to discard the draft: ${error.message}`, 'error');
         }
     },
 
     /**
-     * Handles the export of all encrypted data.
+     * Handles unlocking from the lock screen.
+     * @param {HTMLFormElement} form - The unlock form element.
      */
-    handleExportData: async function() {
+    handleUnlock: async function(form) {
         showLoadingOverlay();
-        try {
-            const masterPassword = prompt("Please enter your master password to export data:");
-            if (!masterPassword) {
-                displayMessage("Export cancelled.", "info");
-                return;
-            }
-
-            const isAuthenticated = await loginUser(masterPassword);
-            if (!isAuthenticated) {
-                displayMessage("Incorrect master password. Export failed.", "error");
-                return;
-            }
+        const username = getCurrentUsername();
+        const masterPassword = form.masterPassword.value;
 
-            const encryptionKey = await getCurrentEncryptionKey();
-            if (!encryptionKey) {
-                throw new Error("Encryption key not available after re-authentication.");
+        try {
+            const success = await loginUser(username, masterPassword, { onProgress: showReencryptionProgress });
+            if (success) {
+                const state = lockedViewState;
+                lockedViewState = null;
+                clearInterval(loginThrottleTimer);
+                await this.startSession(state);
+                displayMessage('Journal unlocked.', 'success');
+            } else {
+                form.reset();
+                displayMessage('Incorrect master password.', 'error');
+                await this.handleFailedLogin(username);
             }
-
-            const exportedData = await exportKeys(encryptionKey);
-            exportedData.journalEntries = await getAllJournalEntries();
-            const filename = `webx-journal-export-${getCurrentTimestamp()}.json`;
-            downloadFile(JSON.stringify(exportedData, null, 2), filename, 'application/json');
-            displayMessage('Data exported successfully!', 'success');
         } catch (error) {
-            console.error('Export failed:', error);
-            displayMessage(`Export failed: ${error.message}`, 'error');
+            console.error('Unlock failed:', error);
+            displayMessage(`Unlock failed: ${error.message}`, 'error');
+            if (!getCurrentEncryptionKey()) {
+                await this.handleFailedLogin(username);
+            }
         } finally {
             hideLoadingOverlay();
         }
     },
 
     /**
-     * Handles the import of encrypted data from a file.
-     * @param {File} file - The file to import.
+     * Handles unlocking from the lock screen with the quick-unlock PIN. Once the PIN cannot be
+     * used any more, the lock screen asks for the master password instead.
+     * @param {HTMLFormElement} form - The PIN unlock form element.
      */
-    handleImportData: async function(file) {
+    handlePinUnlock: async function(form) {
         showLoadingOverlay();
         try {
-            const fileContent = await readFile(file);
-            const importedData = safeJSONParse(fileContent);
-
-            if (!importedData || !importedData.userProfile || !importedData.journalEntries) {
-                throw new Error("Invalid import file format.");
-            }
-
-            const masterPassword = prompt("Please enter your master password for the imported data:");
-            if (!masterPassword) {
-                displayMessage("Import cancelled.", "info");
+            let success;
+            try {
+                success = await unlockWithPin(form.pin.value);
+            } catch (error) {
+                console.warn('PIN unlock failed:', error);
+                renderLockScreen(getCurrentUsername()); // Direct call
+                await this.showLoginThrottle(getCurrentUsername());
+                displayMessage(error.message, 'error');
                 return;
             }
-
-            // Temporarily import user profile to derive key, then delete
-            await clearStore(USER_PROFILE_STORE);
-            await addUserProfile(importedData.userProfile);
-
-            const isAuthenticated = await loginUser(masterPassword);
-            if (!isAuthenticated) {
-                await clearStore(USER_PROFILE_STORE); // Clean up if login fails
-                throw new Error("Incorrect master password for imported data.");
-            }
-
-            // If login successful, clear all existing journal entries and import new ones
-            await clearStore(JOURNAL_ENTRIES_STORE);
-            for (const entry of importedData.journalEntries) {
-                await addJournalEntry(entry);
+            if (success) {
+                const state = lockedViewState;
+                lockedViewState = null;
+                await this.startSession(state);
+                displayMessage('Journal unlocked.', 'success');
+            } else {
+                renderLockScreen(getCurrentUsername(), await getQuickUnlockStatus()); // Direct call
+                displayMessage('Incorrect PIN.', 'error');
             }
-
-            displayMessage('Data imported successfully! Please refresh or re-login.', 'success');
-            // Force a reload or full re-initialization to ensure new data is loaded
-            window.location.reload();
-
         } catch (error) {
-            console.error('Import failed:', error);
-            displayMessage(`Import failed: ${error.message}`, 'error');
-            // Ensure UI state is consistent after failed import
-            await logout(); // Clear current session
-            renderAuthForms(); // Direct call // Show login form
+            console.error('Unlock failed:', error);
+            displayMessage(`Unlock failed: ${error.message}`, 'error');
         } finally {
             hideLoadingOverlay();
         }
     },
 
     /**
-     * Handles user logout.
+     * Sets or changes the quick-unlock PIN after checking the master password.
+     * @param {HTMLFormElement} form - The PIN settings form element.
      */
-    handleLogout: async function() {
-        if (!confirm('Are you sure you want to log out?')) {
+    handleSetPin: async function(form) {
+        const pin = form.pin.value;
+        if (pin !== form.confirmPin.value) {
+            displayMessage('PINs do not match!', 'error');
             return;
         }
+        const maxAgeMinutes = Number(form.maxAgeMinutes.value);
+
         showLoadingOverlay();
         try {
-            await logout();
-            allJournalEntries = []; // Clear cached entries
-            renderAuthForms(); // Direct call // Show login/register forms
-            displayMessage('Logged out successfully.', 'info');
+            const hadPin = !!await getQuickUnlockStatus();
+            if (await setQuickUnlockPin(form.masterPassword.value, pin, maxAgeMinutes * 60 * 1000)) {
+                setSetting('quickUnlockMaxAgeMinutes', maxAgeMinutes);
+                renderQuickUnlock(await getQuickUnlockStatus(), maxAgeMinutes); // Direct call
+                displayMessage(hadPin ? 'PIN changed.' : 'PIN set. You can now unlock the journal with it.', 'success');
+            } else {
+                form.masterPassword.value = '';
+                displayMessage('Incorrect master password. PIN unchanged.', 'error');
+            }
         } catch (error) {
-            console.error('Logout failed:', error);
-            displayMessage(`Logout failed: ${error.message}`, 'error');
+            console.error('Setting PIN failed:', error);
+            displayMessage(`Failed to set the PIN: ${error.message}`, 'error');
         } finally {
             hideLoadingOverlay();
         }
     },
 
     /**
-     * Handles clearing all application data (user profile and journal entries).
+     * Turns the quick-unlock PIN off after re-checking the master password.
+     */
+    handleRemovePin: async function() {
+        const masterPassword = prompt("Please enter your master password to turn off the PIN:");
+        if (!masterPassword) {
+            displayMessage("PIN unchanged.", "info");
+            return;
+        }
+
+        showLoadingOverlay();
+        try {
+            if (await clearQuickUnlockPin(masterPassword)) {
+                renderQuickUnlock(null, getSetting('quickUnlockMaxAgeMinutes')); // Direct call
+                displayMessage('PIN turned off. Unlocking needs your master password again.', 'success');
+            } else {
+                displayMessage('Incorrect master password. PIN unchanged.', 'error');
+            }
+        } catch (error) {
+            console.error('Removing PIN failed:', error);
+            displayMessage(`Failed to turn off the PIN: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Stores after how many failed logins the journal is erased, confirming before it is turned on.
+     * @param {number} count - The number of failures (0 = never).
+     */
+    handleWipeAfterChange: async function(count) {
+        if (count > 0 && !confirm(`Erase this journal from this device after ${count} failed logins in a row? This cannot be undone, so keep a recent backup.`)) {
+            renderLoginProtection(await getWipeAfterFailedLogins()); // Direct call
+            return;
+        }
+        try {
+            await setWipeAfterFailedLogins(count);
+            displayMessage(count > 0 ? `The journal will be erased after ${count} failed logins in a row.` : 'The journal will never be erased after failed logins.', 'info');
+        } catch (error) {
+            console.error('Changing login protection failed:', error);
+            displayMessage(`Failed to change login protection: ${error.message}`, 'error');
+            renderLoginProtection(await getWipeAfterFailedLogins()); // Direct call
+        }
+    },
+
+    /**
+     * Handles changing the master password.
+     * @param {HTMLFormElement} form - The change password form element.
+     */
+    handleChangePassword: async function(form) {
+        const currentPassword = form.currentPassword.value;
+        const newPassword = form.newPassword.value;
+
+        if (newPassword !== form.confirmPassword.value) {
+            displayMessage('New passwords do not match!', 'error');
+            return;
+        }
+
+        showLoadingOverlay();
+        try {
+            const changed = await changeMasterPassword(currentPassword, newPassword, { onProgress: showReencryptionProgress });
+            if (changed) {
+                hideChangePasswordForm();
+                displayMessage('Master password changed successfully!', 'success');
+            } else {
+                displayMessage('Incorrect current master password.', 'error');
+            }
+        } catch (error) {
+            console.error('Changing master password failed:', error);
+            displayMessage(`Failed to change password: ${error.message}. Your journal is still protected by the old password.`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Persists a new auto-lock timeout and re-arms the timer for the current session.
+     * @param {number} minutes - The timeout in minutes (0 = never).
+     */
+    handleAutoLockChange: function(minutes) {
+        setSetting('autoLockMinutes', minutes);
+        if (getCurrentEncryptionKey()) {
+            startAutoLock(() => this.lockJournal(), minutes);
+        }
+        displayMessage(minutes > 0 ? `Journal will lock after ${minutes} min of inactivity.` : 'Auto-lock disabled.', 'info');
+    },
+
+    /**
+     * Handles saving a new or updated journal entry.
+     * @param {HTMLFormElement} form - The journal entry form.
+     */
+    handleSaveJournalEntry: async function(form) {
+        showLoadingOverlay();
+        const title = form.title.value;
+        const content = form.content.value;
+        const tags = parseTags(form.tags.value);
+        const entryDate = form.entryDate.value;
+
+        if (!title.trim() || !content.trim()) {
+            displayMessage('Title and content cannot be empty.', 'error');
+            hideLoadingOverlay();
+            return;
+        }
+        if (!isDateKey(entryDate)) {
+            displayMessage('Please choose a valid date for the entry.', 'error');
+            hideLoadingOverlay();
+            return;
+        }
+
+        try {
+            const encryptionKey = await getCurrentEncryptionKey();
+            if (!encryptionKey) {
+                throw new Error("Encryption key not available. Please log in again.");
+            }
+
+            const stored = currentJournalEntryId ? await this.getOwnJournalEntry(currentJournalEntryId) : null;
+            if (!await this.confirmEditorSave(stored)) {
+                displayMessage('The entry was not saved.', 'info');
+                return;
+            }
+            const now = getCurrentTimestamp();
+            const entry = {
+                id: currentJournalEntryId || await this.createEntryId(now), // Use current ID for update, a new one for new
+                owner: getCurrentUsername(),
+                schemaVersion: RECORD_SCHEMA_VERSION,
+                createdAt: stored ? stored.createdAt : currentJournalEntryId || now,
+                updatedAt: now,
+                entryDate
+            };
+            // The fields are bound to the entry, so they are encrypted once its id and owner are known
+            entry.title = await encryptEntryField(title, entry, 'title', encryptionKey);
+            entry.content = await encryptEntryField(content, entry, 'content', encryptionKey);
+            entry.tags = await encryptEntryField(JSON.stringify(tags), entry, 'tags', encryptionKey);
+            entry.summary = await encryptEntryField(markdownToPreview(content), entry, 'summary', encryptionKey); // Shown in the list
+            // Encrypt new attachments first, so a file that cannot be read stops the save before anything is written
+            const addedAttachments = [];
+            for (const file of attachmentChanges.added) {
+                addedAttachments.push(await encryptAttachment(file, entry.id, entry.owner, encryptionKey, privacyMode));
+            }
+
+            if (currentJournalEntryId) {
+                const previous = stored ? await this.decryptJournalEntry(stored, encryptionKey).catch(() => null) : null;
+                const unchanged = previous && previous.title === title && previous.content === content &&
+                    formatTags(previous.tags) === formatTags(tags) && previous.entryDate === entryDate;
+                if (unchanged) {
+                    await updateJournalEntry(await this.toStoredEntry(entry)); // Nothing to keep a revision of
+                } else {
+                    await updateJournalEntryWithRevision(await this.toStoredEntry(entry));
+                    await this.pruneRevisions();
+                }
+                displayMessage('Entry updated successfully!', 'success');
+            } else {
+                await addJournalEntry(await this.toStoredEntry(entry));
+                displayMessage('Entry saved successfully!', 'success');
+            }
+            if (addedAttachments.length > 0 || attachmentChanges.removedIds.length > 0) {
+                await updateAttachments(addedAttachments, attachmentChanges.removedIds);
+            }
+            broadcastTabEvent(currentJournalEntryId ? TAB_EVENT_ENTRY_UPDATED : TAB_EVENT_ENTRY_CREATED, entry.owner, { entryIds: [entry.id] });
+            await this.discardEditorDraft(); // The draft is now saved as the entry
+
+            clearJournalEntryForm(); // Direct call
+            showJournalEntriesList(); // Direct call
+            await this.refreshEntry(entry.id);
+            if (stored && stored.deletedAt) {
+                await this.countTrash(); // Saving took it out of the trash
+            }
+            currentJournalEntryId = null; // Reset
+            revisionVersions = [];
+            attachmentChanges = { added: [], removedIds: [] };
+        } catch (error) {
+            console.error('Saving entry failed:', error);
+            displayMessage(`Failed to save entry: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Before the editor is saved over an existing entry, checks whether the entry was saved,
+     * trashed or deleted elsewhere (e.g. in another tab) since it was opened, and if so asks
+     * before replacing it. An entry that was deleted for good is saved as a new one.
+     * @param {object|undefined} stored - The entry as it is stored now.
+     * @returns {Promise<boolean>} - Whether to go on with the save.
+     */
+    confirmEditorSave: async function(stored) {
+        if (!currentJournalEntryId) {
+            return true;
+        }
+        if (!stored) {
+            if (!confirm('This entry was deleted since you opened it. Save the text in the editor as a new entry?')) {
+                return false;
+            }
+            await this.discardEditorDraft(); // Its slot belongs to the deleted entry
+            currentJournalEntryId = null;
+            return true;
+        }
+        if (stored.deletedAt) {
+            return confirm('This entry was moved to the trash since you opened it. Save it anyway and take it out of the trash?');
+        }
+        if (editorBaseUpdatedAt !== null && stored.updatedAt !== editorBaseUpdatedAt) {
+            return confirm('This entry was saved elsewhere since you opened it. Replace that version with yours? It stays in the history.');
+        }
+        return true;
+    },
+
+    /**
+     * Loads what the entry list needs: the dates and tags of every entry, for the calendar, the
+     * tag sidebar and the filters, and then the first page of the list. Titles and summaries are
+     * decrypted a page at a time as the list is scrolled; full content only when an entry is opened.
+     */
+    loadJournalEntries: async function() {
+        showLoadingOverlay();
+        try {
+            const encryptionKey = await getCurrentEncryptionKey();
+            if (!encryptionKey) {
+                throw new Error("Encryption key not available. Please log in again.");
+            }
+
+            let storedEntries;
+            let unverified = 0;
+            if (privacyMode) {
+                // Sealed entries show nothing in plaintext, so all of them are unsealed to order the list
+                const unsealed = await unsealEntryRecords(await getAllJournalEntries(getCurrentUsername()), encryptionKey,
+                    (done, total) => showLoadingProgress('Decrypting entries…', done, total)); // Direct call
+                storedEntries = unsealed.filter(Boolean);
+                unverified = unsealed.length - storedEntries.length;
+                unsealedEntries = new Map(storedEntries.map(entry => [entry.id, entry]));
+            } else {
+                storedEntries = await getJournalEntryMetadata(getCurrentUsername());
+                unsealedEntries = null;
+            }
+            const activeEntries = storedEntries.filter(entry => !entry.deletedAt); // Trashed entries are listed separately
+            trashedEntryCount = storedEntries.length - activeEntries.length;
+            setTrashCount(trashedEntryCount); // Direct call
+            const decrypted = await decryptEntryRecords(activeEntries, ['tags'], encryptionKey,
+                (done, total) => showLoadingProgress('Decrypting tags…', done, total)); // Direct call
+            entryMetadata = new Map(activeEntries.map((entry, index) => [entry.id, this.toEntryMetadata(entry, decrypted[index])]));
+            unverified += decrypted.filter(result => !result).length;
+            if (unverified > 0) {
+                displayMessage(`${unverified} ${unverified === 1 ? 'entry' : 'entries'} failed verification: the stored data was altered or moved between entries.`, 'error');
+            }
+            searchIndex = null;
+            searchIndexBuild = null;
+            await this.renderEntries();
+        } catch (error) {
+            console.error('Loading entries failed:', error);
+            displayMessage(`Failed to load entries: ${error.message}`, 'error');
+            entryMetadata = new Map();
+            unsealedEntries = null;
+            entryListState = createEntryListState();
+            searchIndex = null;
+            renderJournalEntriesList([]); // Direct call // Clear list on error
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Decrypts the tags of a stored entry. Entries saved before tags existed have none.
+     * @param {object} entry - The encrypted entry.
+     * @param {KeyHandle} encryptionKey - The journal key.
+     * @returns {Promise<Array<string>>} - The entry's tags.
+     */
+    decryptTags: async function(entry, encryptionKey) {
+        return entry.tags ? JSON.parse(await decryptEntryField(entry, 'tags', encryptionKey)) : [];
+    },
+
+    /**
+     * Reduces a stored entry to its dates and tags.
+     * @param {object} entry - The stored entry (or its metadata).
+     * @param {{tags?: string}|null} decrypted - The entry's decrypted tags field, as given by
+     *     `decryptEntryRecords`; null if it could not be decrypted.
+     * @returns {{id: number, entryDate: string, createdAt: number, updatedAt: number, tags: Array<string>}}
+     *     - The entry's metadata; tags that cannot be decrypted are left out.
+     */
+    toEntryMetadata: function(entry, decrypted) {
+        let tags = [];
+        try {
+            if (!decrypted) {
+                throw new Error('The tags could not be decrypted or failed verification.');
+            }
+            tags = decrypted.tags ? JSON.parse(decrypted.tags) : [];
+        } catch (decryptionError) {
+            console.warn(`Could not decrypt the tags of entry ${entry.id}:`, decryptionError);
+        }
+        return { id: entry.id, entryDate: entry.entryDate, createdAt: entry.createdAt, updatedAt: entry.updatedAt, tags };
+    },
+
+    /**
+     * Reduces a stored entry to its dates and decrypted tags.
+     * @param {object} entry - The stored entry (or its metadata).
+     * @param {KeyHandle} encryptionKey - The journal key.
+     * @returns {Promise<{id: number, entryDate: string, createdAt: number, updatedAt: number, tags: Array<string>}>}
+     *     - The entry's metadata; tags that cannot be decrypted are left out.
+     */
+    decryptEntryMetadata: async function(entry, encryptionKey) {
+        const [decrypted] = await decryptEntryRecords([entry], ['tags'], encryptionKey);
+        return this.toEntryMetadata(entry, decrypted);
+    },
+
+    /**
+     * Decrypts the title and summary of a stored entry for the list. An entry without a
+     * summary (one whose content could not be decrypted when summaries were added) gets
+     * one made from its content.
+     * @param {object} entry - The stored entry.
+     * @param {KeyHandle} encryptionKey - The journal key.
+     * @returns {Promise<object>} - The list row: the entry's metadata, title and summary.
+     */
+    decryptEntrySummary: async function(entry, encryptionKey) {
+        const metadata = entryMetadata.get(entry.id) || await this.decryptEntryMetadata(entry, encryptionKey);
+        try {
+            const title = await decryptEntryField(entry, 'title', encryptionKey);
+            if (entry.summary) {
+                return { ...metadata, title, summary: await decryptEntryField(entry, 'summary', encryptionKey) };
+            }
+            return { ...metadata, title, summary: markdownToPreview(await decryptEntryField(entry, 'content', encryptionKey)) };
+        } catch (decryptionError) {
+            console.warn(`Could not decrypt entry ${entry.id}:`, decryptionError);
+            // Return placeholder data if decryption fails for one entry
+            return { ...metadata, title: "[Decryption Failed]", summary: "[Content not available due to decryption error]" };
+        }
+    },
+
+    /**
+     * Decrypts a stored entry in full.
+     * @param {object} entry - The stored entry.
+     * @param {KeyHandle} encryptionKey - The journal key.
+     * @returns {Promise<{id: number, entryDate: string, createdAt: number, updatedAt: number, title: string, content: string, tags: Array<string>}>}
+     *     - The decrypted entry. Throws if it cannot be decrypted.
+     */
+    decryptJournalEntry: async function(entry, encryptionKey) {
+        return {
+            id: entry.id,
+            entryDate: entry.entryDate,
+            createdAt: entry.createdAt,
+            updatedAt: entry.updatedAt,
+            title: await decryptEntryField(entry, 'title', encryptionKey),
+            content: await decryptEntryField(entry, 'content', encryptionKey),
+            tags: await this.decryptTags(entry, encryptionKey)
+        };
+    },
+
+    /**
+     * Keeps the entries that pass the tag filter and the calendar's day filter.
+     * @param {Array<object>} entries - Entry metadata.
+     * @returns {Array<object>} - The entries the list shows.
+     */
+    filterVisibleEntries: function(entries) {
+        return filterByTags(entries, selectedTags, tagFilterMode)
+            .filter(entry => !selectedDate || entry.entryDate === selectedDate);
+    },
+
+    /**
+     * Shows the calendar and the tag sidebar for the current entries and filters.
+     * A selected tag that no entry carries any more is dropped.
+     * @returns {boolean} - True if the tag filter changed.
+     */
+    renderFilters: function() {
+        this.renderCalendar();
+        const tagCounts = countTags([...entryMetadata.values()]);
+        const tagCount = selectedTags.length;
+        selectedTags = selectedTags.filter(tag => tagCounts.some(({ name }) => name === tag));
+        renderTagSidebar(tagCounts, selectedTags, tagFilterMode); // Direct call
+        renderDateFilter(selectedDate); // Direct call
+        return selectedTags.length !== tagCount;
+    },
+
+    /**
+     * Shows the calendar, the tag sidebar and the entries that pass the tag and day filters,
+     * or, while a search query is entered, the matching ones among them.
+     */
+    renderEntries: async function() {
+        this.renderFilters();
+        const query = getSearchQuery();
+        if (query.trim()) {
+            await this.showSearchResults(query);
+        } else {
+            await this.reloadEntryList();
+        }
+    },
+
+    /**
+     * Empties the list and loads its first page.
+     */
+    reloadEntryList: async function() {
+        let emptyMessage; // The default one
+        if (selectedDate) {
+            emptyMessage = selectedTags.length > 0 ? 'No entries on this day match the selected tags.' : 'No entries on this day.';
+        } else if (selectedTags.length > 0) {
+            emptyMessage = 'No entries match the selected tags.';
+        }
+        entryListState = createEntryListState();
+        renderJournalEntriesList([], emptyMessage, true); // Direct call
+        await this.loadMoreEntries();
+    },
+
+    /**
+     * Decrypts the next page of the list, walking the entries by date, and shows it.
+     * Pages keep loading while the end of the list is in view.
+     */
+    loadMoreEntries: async function() {
+        const state = entryListState;
+        if (state.loading || !state.hasMore) {
+            return;
+        }
+        state.loading = true;
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const visibleIds = new Set(this.filterVisibleEntries([...entryMetadata.values()]).map(entry => entry.id));
+            const pageOptions = {
+                after: state.nextKey,
+                limit: ENTRY_PAGE_SIZE,
+                entryDate: selectedDate,
+                filter: entry => visibleIds.has(entry.id)
+            };
+            const page = unsealedEntries
+                ? pageEntries([...unsealedEntries.values()], pageOptions)
+                : await getJournalEntryPage(getCurrentUsername(), pageOptions);
+            const rows = await Promise.all(page.entries.map(entry => this.decryptEntrySummary(entry, encryptionKey)));
+            if (state !== entryListState) {
+                return; // The list was reset (filters changed, or the journal was locked) meanwhile
+            }
+            state.entries = state.entries.concat(rows);
+            state.nextKey = page.nextKey;
+            state.hasMore = page.nextKey !== null;
+            updateJournalEntriesList(state.entries, state.hasMore); // Direct call
+        } catch (error) {
+            console.error('Loading entries failed:', error);
+            displayMessage(`Failed to load entries: ${error.message}`, 'error');
+            state.hasMore = false;
+            updateJournalEntriesList(state.entries, false); // Direct call
+        } finally {
+            state.loading = false;
+        }
+        if (state === entryListState && isEntryListNearEnd()) {
+            await this.loadMoreEntries(); // The page did not fill the list
+        }
+    },
+
+    /**
+     * Brings one entry up to date in the metadata, the list and the search index after it was
+     * saved or restored, without reloading the others.
+     * @param {number} entryId - The ID of the entry.
+     */
+    refreshEntry: async function(entryId) {
+        const encryptionKey = getCurrentEncryptionKey();
+        const stored = await this.getOwnJournalEntry(entryId);
+        await this.forgetEntry(entryId, false);
+        if (unsealedEntries) {
+            if (stored) {
+                unsealedEntries.set(entryId, stored);
+            } else {
+                unsealedEntries.delete(entryId);
+            }
+        }
+        if (stored && !stored.deletedAt) {
+            const metadata = await this.decryptEntryMetadata(stored, encryptionKey);
+            entryMetadata.set(entryId, metadata);
+            const state = entryListState;
+            if (this.filterVisibleEntries([metadata]).length > 0) {
+                const row = await this.decryptEntrySummary(stored, encryptionKey);
+                const index = state.entries.findIndex(other => compareEntriesByDate(row, other) < 0);
+                if (index !== -1) {
+                    state.entries.splice(index, 0, row);
+                } else if (!state.hasMore) {
+                    state.entries.push(row);
+                } // Otherwise it comes after the loaded pages and is read with them
+            }
+            if (searchIndex) {
+                try {
+                    searchIndex = searchIndex.concat(buildSearchIndex([await this.decryptJournalEntry(stored, encryptionKey)]));
+                } catch (error) {
+                    console.warn(`Could not index entry ${entryId} for search:`, error);
+                }
+            }
+        }
+        await this.showUpdatedEntries();
+    },
+
+    /**
+     * Removes an entry from the metadata, the list and the search index (e.g. after it was trashed).
+     * @param {number} entryId - The ID of the entry.
+     * @param {boolean} [show=true] - Whether to update the page afterwards.
+     */
+    forgetEntry: async function(entryId, show = true) {
+        entryMetadata.delete(entryId);
+        entryListState.entries = entryListState.entries.filter(entry => entry.id !== entryId);
+        if (searchIndex) {
+            searchIndex = searchIndex.filter(item => item.entry.id !== entryId);
+        }
+        if (show) {
+            await this.showUpdatedEntries();
+        }
+    },
+
+    /**
+     * Shows the entries after `refreshEntry` or `forgetEntry` changed them in place.
+     */
+    showUpdatedEntries: async function() {
+        const query = getSearchQuery();
+        if (this.renderFilters()) {
+            await this.renderEntries(); // The tag filter changed, so the list starts over
+        } else if (query.trim()) {
+            await this.showSearchResults(query);
+        } else {
+            updateJournalEntriesList(entryListState.entries, entryListState.hasMore); // Direct call
+        }
+    },
+
+    /**
+     * Shows the entries that match a search query among those that pass the filters.
+     * @param {string} query - The search query.
+     */
+    showSearchResults: async function(query) {
+        await this.ensureSearchIndex();
+        if (!searchIndex || getSearchQuery() !== query) {
+            return; // Locked meanwhile, or a newer query is shown instead
+        }
+        const visibleIds = new Set(this.filterVisibleEntries([...entryMetadata.values()]).map(entry => entry.id));
+        renderSearchResults(searchEntries(searchIndex, query).filter(result => visibleIds.has(result.entry.id))); // Direct call
+    },
+
+    /**
+     * Builds the search index the first time it is needed. Search looks at every entry's
+     * content, so this is the one place all of them are decrypted.
+     * @returns {Promise<void>} - Resolves once the index is ready (or could not be built).
+     */
+    ensureSearchIndex: function() {
+        if (!searchIndexBuild) {
+            searchIndexBuild = this.indexEntriesForSearch().catch(error => {
+                searchIndexBuild = null; // Try again with the next query
+                console.error('Building the search index failed:', error);
+                displayMessage(`Search is unavailable: ${error.message}`, 'error');
+            });
+        }
+        return searchIndexBuild;
+    },
+
+    /**
+     * Decrypts every entry outside the trash in one job in the crypto worker, so the page
+     * stays responsive, and builds the full-text index from them.
+     */
+    indexEntriesForSearch: async function() {
+        const encryptionKey = getCurrentEncryptionKey();
+        const storedEntries = (await this.getOwnJournalEntries()).filter(entry => !entry.deletedAt);
+        if (storedEntries.length > SEARCH_NOTICE_THRESHOLD) {
+            displayMessage('Preparing search…', 'info');
+        }
+        const decrypted = await decryptEntryRecords(storedEntries, ['title', 'content', 'tags'], encryptionKey);
+        const entries = [];
+        storedEntries.forEach((entry, index) => {
+            try {
+                if (!decrypted[index]) {
+                    throw new Error('The entry could not be decrypted.');
+                }
+                const { title, content, tags } = decrypted[index];
+                entries.push({
+                    id: entry.id,
+                    entryDate: entry.entryDate,
+                    createdAt: entry.createdAt,
+                    updatedAt: entry.updatedAt,
+                    title,
+                    content,
+                    tags: tags ? JSON.parse(tags) : []
+                });
+            } catch (decryptionError) {
+                console.warn(`Could not decrypt entry ${entry.id}:`, decryptionError); // Not searchable, but still listed
+            }
+        });
+        if (getCurrentEncryptionKey() === encryptionKey) {
+            searchIndex = buildSearchIndex(entries); // Unless the journal was locked meanwhile
+        }
+    },
+
+    /**
+     * Shows the calendar month, marking the days that have entries.
+     */
+    renderCalendar: function() {
+        const today = new Date();
+        const { year, month } = calendarMonth || { year: today.getFullYear(), month: today.getMonth() };
+        const entryCounts = new Map();
+        entryMetadata.forEach(entry => entryCounts.set(entry.entryDate, (entryCounts.get(entry.entryDate) || 0) + 1));
+        renderCalendar(year, month, entryCounts, selectedDate, toDateKey(today)); // Direct call
+    },
+
+    /**
+     * Moves the calendar by a number of months.
+     * @param {number} offset - Months to move; negative goes back.
+     */
+    shiftCalendarMonth: function(offset) {
+        const today = new Date();
+        const { year, month } = calendarMonth || { year: today.getFullYear(), month: today.getMonth() };
+        const shifted = new Date(year, month + offset, 1);
+        calendarMonth = { year: shifted.getFullYear(), month: shifted.getMonth() };
+        this.renderCalendar();
+    },
+
+    /**
+     * Filters the list to the entries of a day, or clears the filter if that day is already selected.
+     * @param {string} dateKey - The day clicked in the calendar ('YYYY-MM-DD').
+     */
+    toggleDateFilter: async function(dateKey) {
+        selectedDate = selectedDate === dateKey ? null : dateKey;
+        await this.renderEntries();
+    },
+
+    /**
+     * Adds a tag to the list filter, or removes it if it is already selected.
+     * @param {string} tag - The tag clicked in the sidebar.
+     */
+    toggleTagFilter: function(tag) {
+        selectedTags = selectedTags.includes(tag)
+            ? selectedTags.filter(selected => selected !== tag)
+            : [...selectedTags, tag];
+        this.renderEntries();
+    },
+
+    /**
+     * Renames a tag on every entry. Renaming to an existing tag merges the two.
+     * All affected entries are re-encrypted and written in one transaction.
+     * @param {string} tag - The tag to rename.
+     */
+    handleRenameTag: async function(tag) {
+        const newName = normalizeTag(prompt(`Rename the tag "${tag}" on all entries to:`, tag) || '');
+        if (!newName || newName === tag) {
+            return;
+        }
+        const existing = countTags([...entryMetadata.values()]).find(({ name }) => name !== tag && name.toLowerCase() === newName.toLowerCase());
+        if (existing && !confirm(`The tag "${existing.name}" already exists. Merge "${tag}" into it?`)) {
+            return;
+        }
+        const targetName = existing ? existing.name : newName;
+
+        showLoadingOverlay();
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const updatedEntries = [];
+            for (const entry of [...entryMetadata.values()].filter(e => e.tags.includes(tag))) {
+                const stored = await this.getOwnJournalEntry(entry.id);
+                if (stored) {
+                    const tags = renameTag(entry.tags, tag, targetName);
+                    updatedEntries.push({ ...stored, tags: await encryptEntryField(JSON.stringify(tags), stored, 'tags', encryptionKey) });
+                }
+            }
+            await putJournalEntries(await Promise.all(updatedEntries.map(entry => this.toStoredEntry(entry))));
+            broadcastTabEvent(TAB_EVENT_ENTRY_UPDATED, getCurrentUsername(), { entryIds: updatedEntries.map(entry => entry.id) });
+
+            selectedTags = selectedTags.map(selected => (selected === tag ? targetName : selected));
+            displayMessage(existing ? `Merged "${tag}" into "${targetName}".` : `Renamed "${tag}" to "${targetName}".`, 'success');
+            await this.loadJournalEntries();
+        } catch (error) {
+            console.error('Renaming tag failed:', error);
+            displayMessage(`Failed to rename tag: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Retrieves a stored entry only if it belongs to the logged-in profile. A sealed entry is unsealed.
+     * @param {number} entryId - The ID of the entry.
+     * @returns {Promise<object|undefined>} - The encrypted entry, or undefined if missing or not owned.
+     * @throws {Error} - If a sealed entry cannot be unsealed.
+     */
+    getOwnJournalEntry: async function(entryId) {
+        const entry = await getJournalEntry(entryId);
+        if (!entry || entry.owner !== getCurrentUsername()) {
+            return undefined;
+        }
+        return isSealed(entry) ? unsealEntryRecord(entry, getCurrentEncryptionKey()) : entry;
+    },
+
+    /**
+     * Retrieves every entry of the logged-in profile, trashed ones included, unsealing sealed ones.
+     * @returns {Promise<Array<object>>} - The encrypted entries; sealed ones that cannot be unsealed are left out.
+     */
+    getOwnJournalEntries: async function() {
+        const stored = await getAllJournalEntries(getCurrentUsername());
+        const entries = await unsealEntryRecords(stored, getCurrentEncryptionKey());
+        entries.forEach((entry, index) => {
+            if (!entry) {
+                console.warn(`Could not unseal entry ${stored[index].id}.`);
+            }
+        });
+        return entries.filter(Boolean);
+    },
+
+    /**
+     * Retrieves the revisions of one of the logged-in profile's entries, unsealing sealed ones.
+     * Sealed revisions do not show their entry, so in privacy mode all of them are unsealed to
+     * find this entry's.
+     * @param {number} entryId - The ID of the entry.
+     * @returns {Promise<Array<object>>} - The encrypted revisions, oldest first; sealed ones that
+     *     cannot be unsealed are left out.
+     */
+    getOwnEntryRevisions: async function(entryId) {
+        const owner = getCurrentUsername();
+        const stored = privacyMode
+            ? await getAllRevisions(owner)
+            : (await getEntryRevisions(entryId)).filter(revision => revision.owner === owner);
+        const revisions = await unsealRevisionRecords(stored, getCurrentEncryptionKey());
+        revisions.forEach((revision, index) => {
+            if (!revision) {
+                console.warn(`Could not unseal revision ${stored[index].id}.`);
+            }
+        });
+        return revisions.filter(revision => revision && revision.entryId === entryId)
+            .sort((a, b) => a.updatedAt - b.updatedAt); // Sealed revisions could not be sorted by storage
+    },
+
+    /**
+     * Retrieves the attachments of one of the logged-in profile's entries. Sealed attachments
+     * keep their entry in their metadata, so in privacy mode all of them are decrypted to find
+     * this entry's.
+     * @param {number} entryId - The ID of the entry.
+     * @returns {Promise<Array<object>>} - The stored attachments, in the order they were added.
+     */
+    getOwnEntryAttachments: async function(entryId) {
+        const owner = getCurrentUsername();
+        if (!privacyMode) {
+            return getEntryAttachments(owner, entryId);
+        }
+        const attachments = [];
+        for (const attachment of await getAllAttachments(owner)) {
+            try {
+                const { timestamp, ...info } = await decryptAttachmentInfo(attachment, getCurrentEncryptionKey());
+                if (info.entryId === entryId) {
+                    attachments.push({ attachment, timestamp });
+                }
+            } catch (error) {
+                console.warn(`Could not decrypt attachment ${attachment.id}:`, error);
+            }
+        }
+        return attachments.sort((a, b) => a.timestamp - b.timestamp).map(({ attachment }) => attachment);
+    },
+
+    /**
+     * Brings an entry into the form it is stored in: sealed in privacy mode, as it is otherwise.
+     * @param {object} entry - The entry, with its fields encrypted.
+     * @returns {Promise<object>} - The record to store.
+     */
+    toStoredEntry: async function(entry) {
+        return privacyMode ? sealEntryRecord(entry, getCurrentEncryptionKey()) : entry;
+    },
+
+    /**
+     * Picks the id of a new entry: its creation time, or in privacy mode a random id that says nothing about it.
+     * @param {number} now - The creation time.
+     * @returns {Promise<number>} - An id no stored entry has.
+     */
+    createEntryId: async function(now) {
+        if (!privacyMode) {
+            return now;
+        }
+        let id;
+        do {
+            id = createRandomId();
+        } while (await getJournalEntry(id));
+        return id;
+    },
+
+    /**
+     * Decrypts an entry and opens it in the read-only view, rendering its content as Markdown.
+     * @param {number} entryId - The ID of the entry to show.
+     */
+    viewJournalEntry: async function(entryId) {
+        try {
+            const stored = await this.getOwnJournalEntry(entryId);
+            if (!stored || stored.deletedAt) {
+                displayMessage('Entry not found.', 'error');
+                return;
+            }
+            showJournalEntryReader(await this.decryptJournalEntry(stored, getCurrentEncryptionKey())); // Direct call
+            await this.showEntryAttachments(entryId, false);
+        } catch (error) {
+            console.error('Opening entry failed:', error);
+            displayMessage(`Failed to open entry: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Loads a specific journal entry into the editor.
+     * @param {number} entryId - The ID of the entry to edit.
+     */
+    editJournalEntry: async function(entryId) {
+        showLoadingOverlay();
+        try {
+            const encryptionKey = await getCurrentEncryptionKey();
+            if (!encryptionKey) {
+                throw new Error("Encryption key not available. Please log in again.");
+            }
+            const encryptedEntry = await this.getOwnJournalEntry(entryId);
+            if (encryptedEntry) {
+                const decryptedTitle = await decryptEntryField(encryptedEntry, 'title', encryptionKey);
+                const decryptedContent = await decryptEntryField(encryptedEntry, 'content', encryptionKey);
+                const decryptedTags = await this.decryptTags(encryptedEntry, encryptionKey);
+                populateJournalEntryForm(decryptedTitle, decryptedContent, formatTags(decryptedTags), encryptedEntry.entryDate); // Direct call
+                showJournalEntryEditor('edit'); // Direct call
+                currentJournalEntryId = entryId;
+                editorBaseUpdatedAt = encryptedEntry.updatedAt;
+                revisionVersions = [];
+                attachmentChanges = { added: [], removedIds: [] };
+                editorHasDraft = false;
+                await this.showEntryAttachments(entryId, true);
+            } else {
+                displayMessage('Entry not found.', 'error');
+            }
+        } catch (error) {
+            console.error('Editing entry failed:', error);
+            displayMessage(`Failed to load entry for editing: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Lists an entry's attachments in the editor or the read view. The list is shown at once;
+     * image thumbnails are decrypted afterwards, one at a time.
+     * In the editor, unsaved changes (`attachmentChanges`) are included.
+     * @param {number|null} entryId - The entry, or null for a new one.
+     * @param {boolean} editable - True for the editor, false for the read view.
+     */
+    showEntryAttachments: async function(entryId, editable) {
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const removedIds = editable ? attachmentChanges.removedIds : [];
+            const stored = (entryId ? await this.getOwnEntryAttachments(entryId) : [])
+                .filter(attachment => !removedIds.includes(attachment.id));
+
+            const items = await Promise.all(stored.map(async (attachment) => {
+                try {
+                    return await decryptAttachmentInfo(attachment, encryptionKey);
+                } catch (error) {
+                    console.warn(`Could not decrypt attachment ${attachment.id}:`, error);
+                    return { id: attachment.id, name: '[Decryption Failed]', type: '', size: 0, hasThumbnail: false };
+                }
+            }));
+            if (editable) {
+                attachmentChanges.added.forEach((file, index) => items.push({
+                    pendingIndex: index,
+                    name: file.name,
+                    type: file.type,
+                    size: file.size,
+                    thumbnail: isImageType(file.type) ? file : null
+                }));
+            }
+            renderAttachmentList(items, editable); // Direct call
+
+            for (const attachment of stored.filter(a => a.thumbnail)) {
+                try {
+                    setAttachmentThumbnail(attachment.id, await decryptAttachmentThumbnail(attachment, encryptionKey)); // Direct call
+                } catch (error) {
+                    console.warn(`Could not decrypt the thumbnail of attachment ${attachment.id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Loading attachments failed:', error);
+            displayMessage(`Failed to load attachments: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Adds files picked in the editor to the entry's pending attachments.
+     * @param {Array<File>} files - The picked files.
+     */
+    handleAttachFiles: async function(files) {
+        const tooLarge = files.filter(file => file.size > MAX_ATTACHMENT_SIZE);
+        if (tooLarge.length > 0) {
+            displayMessage(`Not attached (larger than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB): ${tooLarge.map(file => file.name).join(', ')}`, 'error');
+        }
+        attachmentChanges.added.push(...files.filter(file => file.size <= MAX_ATTACHMENT_SIZE));
+        await this.showEntryAttachments(currentJournalEntryId, true);
+    },
+
+    /**
+     * Removes an attachment from the entry in the editor; stored attachments are deleted on save.
+     * @param {string} [attachmentId] - The ID of a stored attachment.
+     * @param {string} [pendingIndex] - The index of a file attached since the editor was opened.
+     */
+    removeAttachment: async function(attachmentId, pendingIndex) {
+        if (attachmentId) {
+            attachmentChanges.removedIds.push(attachmentId);
+        } else {
+            attachmentChanges.added.splice(Number(pendingIndex), 1);
+        }
+        await this.showEntryAttachments(currentJournalEntryId, true);
+    },
+
+    /**
+     * Decrypts an attachment and saves it as a file. Attachments are only ever downloaded,
+     * never opened in the app, so an attached HTML or SVG file cannot run script here.
+     * @param {string} attachmentId - The ID of the attachment.
+     */
+    downloadAttachment: async function(attachmentId) {
+        showLoadingOverlay();
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const attachment = await getAttachment(attachmentId);
+            if (!attachment || attachment.owner !== getCurrentUsername()) {
+                throw new Error('Attachment not found.');
+            }
+            const { name, type } = await decryptAttachmentInfo(attachment, encryptionKey);
+            downloadFile(await decryptAttachmentData(attachment, encryptionKey), name, type);
+        } catch (error) {
+            console.error('Downloading attachment failed:', error);
+            displayMessage(`Failed to download attachment: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Opens or closes the history panel of the entry being edited.
+     */
+    toggleRevisionHistory: async function() {
+        if (isRevisionHistoryVisible()) {
+            revisionVersions = [];
+            hideRevisionHistory(); // Direct call
+        } else {
+            await this.showRevisionHistory();
+        }
+    },
+
+    /**
+     * Decrypts the saved revisions of the entry being edited and shows them with a diff
+     * of the newest earlier version against the current one.
+     */
+    showRevisionHistory: async function() {
+        if (!currentJournalEntryId) {
+            return;
+        }
+        showLoadingOverlay();
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const current = await this.getOwnJournalEntry(currentJournalEntryId);
+            if (!current) {
+                throw new Error('Entry not found.');
+            }
+            const records = [current, ...(await this.getOwnEntryRevisions(currentJournalEntryId)).reverse()];
+            revisionVersions = await Promise.all(records.map(async (record, index) => ({
+                key: index === 0 ? 'current' : String(record.id),
+                updatedAt: record.updatedAt,
+                title: await decryptEntryField(record, 'title', encryptionKey),
+                content: await decryptEntryField(record, 'content', encryptionKey),
+                isCurrent: index === 0
+            })));
+            renderRevisionHistory(revisionVersions, getSetting('revisionRetentionDays')); // Direct call
+            this.renderSelectedDiff();
+        } catch (error) {
+            console.error('Loading history failed:', error);
+            displayMessage(`Failed to load history: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Shows the word-level diff between the two versions selected in the history panel.
+     */
+    renderSelectedDiff: function() {
+        const { from, to } = getDiffSelection();
+        const before = revisionVersions.find(version => version.key === from);
+        const after = revisionVersions.find(version => version.key === to);
+        if (before && after) {
+            renderRevisionDiff(diffWords(before.title, after.title), diffWords(before.content, after.content)); // Direct call
+        }
+    },
+
+    /**
+     * Makes an earlier revision the current version of the entry being edited.
+     * The version it replaces is kept as a revision, so a restore can be undone.
+     * @param {number} revisionId - The ID of the revision to restore.
+     */
+    restoreRevision: async function(revisionId) {
+        if (!confirm('Restore this version? Unsaved changes in the editor are discarded; the current version stays in the history.')) {
+            return;
+        }
+        showLoadingOverlay();
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const current = await this.getOwnJournalEntry(currentJournalEntryId);
+            const revision = (await this.getOwnEntryRevisions(currentJournalEntryId)).find(r => r.id === revisionId);
+            if (!current || !revision) {
+                throw new Error('Revision not found.');
+            }
+
+            const restored = await this.decryptJournalEntry(revision, encryptionKey);
+            const entry = {
+                ...current,
+                schemaVersion: RECORD_SCHEMA_VERSION,
+                updatedAt: getCurrentTimestamp(),
+                entryDate: revision.entryDate
+            };
+            // Encrypted afresh rather than copied, as the revision may be bound to an older schema version
+            entry.title = await encryptEntryField(restored.title, entry, 'title', encryptionKey);
+            entry.content = await encryptEntryField(restored.content, entry, 'content', encryptionKey);
+            entry.tags = await encryptEntryField(JSON.stringify(restored.tags), entry, 'tags', encryptionKey);
+            entry.summary = await encryptEntryField(markdownToPreview(restored.content), entry, 'summary', encryptionKey);
+            await updateJournalEntryWithRevision(await this.toStoredEntry(entry));
+            await this.pruneRevisions();
+            broadcastTabEvent(TAB_EVENT_ENTRY_UPDATED, entry.owner, { entryIds: [entry.id] });
+            editorBaseUpdatedAt = entry.updatedAt;
+
+            populateJournalEntryForm(restored.title, restored.content, formatTags(restored.tags), restored.entryDate); // Direct call
+            await this.refreshEntry(currentJournalEntryId);
+            await this.showRevisionHistory();
+            displayMessage('Earlier version restored.', 'success');
+        } catch (error) {
+            console.error('Restoring revision failed:', error);
+            displayMessage(`Failed to restore version: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Deletes the logged-in profile's revisions that fall outside the retention settings.
+     * Sealed revisions are unsealed first, as only their blob tells when they were saved and
+     * which entry they belong to.
+     */
+    pruneRevisions: async function() {
+        const retentionDays = getSetting('revisionRetentionDays');
+        try {
+            const unsealed = new Map(); // Sealed revision id -> unsealed revision
+            if (privacyMode) {
+                const revisions = (await getAllRevisions(getCurrentUsername())).filter(isSealed);
+                (await unsealRevisionRecords(revisions, getCurrentEncryptionKey()))
+                    .forEach((revision, index) => revision && unsealed.set(revisions[index].id, revision));
+            }
+            const read = (revision) => (isSealed(revision) ? unsealed.get(revision.id) : revision);
+            const deleted = await pruneRevisions(getCurrentUsername(), {
+                maxPerEntry: getSetting('maxRevisionsPerEntry'),
+                olderThan: retentionDays > 0 ? getCurrentTimestamp() - retentionDays * 24 * 60 * 60 * 1000 : 0,
+                getUpdatedAt: revision => read(revision)?.updatedAt,
+                getEntryId: revision => read(revision)?.entryId
+            });
+            if (deleted > 0) {
+                console.log(`Pruned ${deleted} old revision(s).`);
+            }
+        } catch (error) {
+            // Keeping too many revisions is harmless, so don't interrupt the user
+            console.warn('Pruning revisions failed:', error);
+        }
+    },
+
+    /**
+     * Persists a new revision retention period and prunes accordingly.
+     * @param {number} days - How many days to keep revisions (0 = forever).
+     */
+    handleRevisionRetentionChange: async function(days) {
+        setSetting('revisionRetentionDays', days);
+        await this.pruneRevisions();
+        await this.showRevisionHistory();
+        displayMessage(days > 0 ? `Revisions older than ${days} days are deleted.` : 'Revisions are kept forever.', 'info');
+    },
+
+    /**
+     * Moves a journal entry to the trash. It stays encrypted and can be restored until purged.
+     * @param {number} entryId - The ID of the entry to delete.
+     */
+    deleteJournalEntry: async function(entryId) {
+        showLoadingOverlay();
+        try {
+            const entry = await this.getOwnJournalEntry(entryId);
+            if (!entry) {
+                throw new Error('Entry not found.');
+            }
+            await updateJournalEntry(await this.toStoredEntry({ ...entry, deletedAt: getCurrentTimestamp() }));
+            await deleteDraft(getCurrentUsername(), await this.getDraftSlot(entryId));
+            broadcastTabEvent(TAB_EVENT_ENTRY_DELETED, entry.owner, { entryIds: [entryId] });
+            displayMessage('Entry moved to the trash.', 'success');
+            setTrashCount(++trashedEntryCount); // Direct call
+            await this.forgetEntry(entryId);
+            clearJournalEntryForm(); // Direct call
+            showJournalEntriesList(); // Direct call
+            currentJournalEntryId = null;
+            revisionVersions = [];
+        } catch (error) {
+            console.error('Deleting entry failed:', error);
+            displayMessage(`Failed to delete entry: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Shows the trash with the titles of the logged-in profile's trashed entries.
+     */
+    showTrash: async function() {
+        showLoadingOverlay();
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const trashed = (await this.getOwnJournalEntries()).filter(entry => entry.deletedAt);
+            const items = await Promise.all(trashed.map(async (entry) => {
+                let title;
+                try {
+                    title = await decryptEntryField(entry, 'title', encryptionKey);
+                } catch (error) {
+                    console.warn(`Could not decrypt trashed entry ${entry.id}:`, error);
+                    title = '[Decryption Failed]';
+                }
+                return { id: entry.id, title, deletedAt: entry.deletedAt };
+            }));
+            items.sort((a, b) => b.deletedAt - a.deletedAt);
+            trashedEntryCount = items.length;
+            setTrashCount(trashedEntryCount); // Direct call
+            renderTrash(items, getSetting('trashRetentionDays')); // Direct call
+        } catch (error) {
+            console.error('Loading trash failed:', error);
+            displayMessage(`Failed to load the trash: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Counts the logged-in profile's trashed entries again, e.g. after another tab moved some
+     * in or out of the trash.
+     */
+    countTrash: async function() {
+        const entries = unsealedEntries ? [...unsealedEntries.values()] : await getJournalEntryMetadata(getCurrentUsername());
+        trashedEntryCount = entries.filter(entry => entry.deletedAt).length;
+        setTrashCount(trashedEntryCount); // Direct call
+    },
+
+    /**
+     * Moves a trashed entry back into the journal.
+     * @param {number} entryId - The ID of the trashed entry.
+     */
+    restoreTrashedEntry: async function(entryId) {
+        showLoadingOverlay();
+        try {
+            const entry = await this.getOwnJournalEntry(entryId);
+            if (!entry) {
+                throw new Error('Entry not found.');
+            }
+            const { deletedAt, ...restored } = entry;
+            await updateJournalEntry(await this.toStoredEntry(restored));
+            broadcastTabEvent(TAB_EVENT_ENTRY_UPDATED, entry.owner, { entryIds: [entryId] });
+            displayMessage('Entry restored.', 'success');
+            await this.refreshEntry(entryId);
+            await this.showTrash();
+        } catch (error) {
+            console.error('Restoring entry failed:', error);
+            displayMessage(`Failed to restore entry: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Permanently deletes a trashed entry and its revisions.
+     * @param {number} entryId - The ID of the trashed entry.
+     */
+    purgeTrashedEntry: async function(entryId) {
+        if (!confirm('Delete this entry forever? This action cannot be undone.')) {
+            return;
+        }
+        showLoadingOverlay();
+        try {
+            const entry = await this.getOwnJournalEntry(entryId);
+            if (!entry || !entry.deletedAt) {
+                throw new Error('Entry not found in the trash.');
+            }
+            await this.deleteEntriesForever([entryId]);
+            broadcastTabEvent(TAB_EVENT_ENTRY_DELETED, entry.owner, { entryIds: [entryId] });
+            displayMessage('Entry deleted forever.', 'success');
+            await this.showTrash();
+        } catch (error) {
+            console.error('Deleting entry failed:', error);
+            displayMessage(`Failed to delete entry: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Permanently deletes entries of the logged-in profile with their revisions, attachments and
+     * drafts, in one transaction. Sealed ones do not show their entry, so they are found first.
+     * @param {Array<number>} entryIds - The IDs of the entries.
+     */
+    deleteEntriesForever: async function(entryIds) {
+        if (entryIds.length === 0) {
+            return;
+        }
+        const sealedRecords = await findSealedRecordsOfEntries(getCurrentUsername(), entryIds, getCurrentEncryptionKey());
+        await deleteJournalEntries(entryIds, sealedRecords);
+    },
+
+    /**
+     * Permanently deletes every entry in the logged-in profile's trash.
+     */
+    emptyTrash: async function() {
+        const trashed = (await this.getOwnJournalEntries()).filter(entry => entry.deletedAt);
+        if (trashed.length === 0 || !confirm(`Delete ${trashed.length} trashed ${trashed.length === 1 ? 'entry' : 'entries'} forever? This action cannot be undone.`)) {
+            return;
+        }
+        showLoadingOverlay();
+        try {
+            await this.deleteEntriesForever(trashed.map(entry => entry.id));
+            broadcastTabEvent(TAB_EVENT_ENTRY_DELETED, getCurrentUsername(), { entryIds: trashed.map(entry => entry.id) });
+            displayMessage('Trash emptied.', 'success');
+            await this.showTrash();
+        } catch (error) {
+            console.error('Emptying trash failed:', error);
+            displayMessage(`Failed to empty the trash: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Purges entries that have been in the trash longer than the retention setting.
+     * Runs at startup, before anyone logs in; it only reads deletion timestamps, not content.
+     * Sealed entries keep their deletion time in their blob, so in privacy mode it runs again
+     * after unlock on the unsealed entries.
+     * @param {Array<object>|null} [entries=null] - The logged-in profile's unsealed entries; if not
+     *     given, every profile's ordinary entries are checked.
+     */
+    purgeExpiredTrash: async function(entries = null) {
+        const retentionDays = getSetting('trashRetentionDays');
+        if (!(retentionDays > 0)) {
+            return;
+        }
+        try {
+            const olderThan = getCurrentTimestamp() - retentionDays * 24 * 60 * 60 * 1000;
+            let purged;
+            if (entries) {
+                const expired = entries.filter(entry => entry.deletedAt && entry.deletedAt < olderThan);
+                await this.deleteEntriesForever(expired.map(entry => entry.id));
+                purged = expired.length;
+                broadcastTabEvent(TAB_EVENT_ENTRY_DELETED, getCurrentUsername(), { entryIds: expired.map(entry => entry.id) });
+                trashedEntryCount -= purged;
+                setTrashCount(trashedEntryCount); // Direct call
+            } else {
+                purged = await purgeTrashedEntries(olderThan);
+            }
+            if (purged > 0) {
+                console.log(`Purged ${purged} entr${purged === 1 ? 'y' : 'ies'} from the trash.`);
+            }
+        } catch (error) {
+            console.warn('Purging the trash failed:', error);
+        }
+    },
+
+    /**
+     * Persists a new trash retention period. It takes effect at the next startup.
+     * @param {number} days - Days before trashed entries are purged (0 = never).
+     */
+    handleTrashRetentionChange: function(days) {
+        setSetting('trashRetentionDays', days);
+        displayMessage(days > 0 ? `Trashed entries will be purged after ${days} days.` : 'Trashed entries will be kept until you delete them.', 'info');
+    },
+
+    /**
+     * Turns privacy mode on or off after confirmation, converting every entry and revision of
+     * the profile. If the conversion fails, the setting is put back and nothing is changed.
+     */
+    handleTogglePrivacyMode: async function() {
+        if (isJournalEntryEditorVisible()) {
+            displayMessage('Save or close the entry you are editing before changing privacy mode.', 'error');
+            return;
+        }
+        const enable = !privacyMode;
+        const question = enable
+            ? 'Turn on privacy mode? Every entry is re-encrypted as a single padded blob with a random id, and its earlier versions, attachments and drafts no longer show which entry they belong to. Opening the journal then decrypts all entries to order the list.'
+            : 'Turn off privacy mode? Entries are stored with their dates in plaintext again, so the entry list can be read page by page.';
+        if (!confirm(question)) {
+            return;
+        }
+        showLoadingOverlay();
+        try {
+            await setPrivacyMode(enable);
+            try {
+                await this.enforcePrivacyMode();
+            } catch (error) {
+                await setPrivacyMode(!enable);
+                privacyMode = !enable;
+                throw error;
+            }
+            broadcastTabEvent(TAB_EVENT_PRIVACY_MODE, getCurrentUsername());
+            showJournalEntriesList(); // Direct call // An entry open in the read view may have a new id
+            renderPrivacyMode(privacyMode); // Direct call
+            await this.loadJournalEntries();
+            displayMessage(privacyMode ? 'Privacy mode is on.' : 'Privacy mode is off.', 'success');
+        } catch (error) {
+            console.error('Changing privacy mode failed:', error);
+            displayMessage(`Failed to change privacy mode: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Handles the export of all encrypted data as a `.webx` backup file.
+     */
+    handleExportData: async function() {
+        showLoadingOverlay();
+        try {
+            const masterPassword = prompt("Please enter your master password to export data:");
+            if (!masterPassword) {
+                displayMessage("Export cancelled.", "info");
+                return;
+            }
+
+            if (!await checkMasterPassword(masterPassword)) {
+                displayMessage("Incorrect master password. Export failed.", "error");
+                return;
+            }
+
+            const encryptionKey = await getCurrentEncryptionKey();
+            if (!encryptionKey) {
+                throw new Error("Encryption key not available after re-authentication.");
+            }
+
+            const exportedData = await exportKeys(encryptionKey);
+            // Sealed entries are exported sealed; unsealing only tells which are in the trash
+            const storedEntries = await getAllJournalEntries(getCurrentUsername());
+            const unsealed = await unsealEntryRecords(storedEntries, encryptionKey);
+            exportedData.journalEntries = storedEntries.filter((entry, index) => !(unsealed[index] || entry).deletedAt);
+            const exportedIds = new Set(exportedData.journalEntries.map(entry => entry.id));
+            const attachments = [];
+            for (const attachment of await getAllAttachments(getCurrentUsername())) {
+                if (exportedIds.has(await getAttachmentEntryId(attachment, encryptionKey))) {
+                    attachments.push(attachment);
+                }
+            }
+            const steps = attachments.length + 1; // Reading each attachment, then encrypting the backup
+            exportedData.attachments = [];
+            for (const attachment of attachments) {
+                showLoadingProgress('Exporting…', exportedData.attachments.length, steps); // Direct call
+                exportedData.attachments.push(await serializeAttachment(attachment));
+            }
+            showLoadingProgress('Exporting…', attachments.length, steps); // Direct call
+            const backup = await createBackup(exportedData, masterPassword);
+            downloadFile(backup, getBackupFilename(), BACKUP_MIME_TYPE);
+            displayMessage('Data exported successfully!', 'success');
+        } catch (error) {
+            console.error('Export failed:', error);
+            displayMessage(`Export failed: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Handles the import of a `.webx` backup file.
+     * The file is verified and its key unlocked, then the import options and a summary
+     * are shown; nothing in the database changes until the user confirms.
+     * @param {File} file - The file to import.
+     */
+    handleImportData: async function(file) {
+        const masterPassword = prompt("Please enter the master password the backup was made with:");
+        if (!masterPassword) {
+            displayMessage("Import cancelled.", "info");
+            return;
+        }
+
+        showLoadingOverlay();
+        try {
+            const username = getCurrentUsername();
+            if (!username) {
+                throw new Error("Please log in to the profile you want to import into.");
+            }
+            const backup = await readBackup(await readFileAsArrayBuffer(file), masterPassword);
+            const backupKey = await unlockImportedProfile(backup.userProfile, masterPassword);
+            if (!backupKey) {
+                throw new Error("Incorrect master password for imported data.");
+            }
+            // Entries of a backup made in privacy mode are sealed; they are imported as ordinary
+            // entries and sealed again if this profile uses privacy mode
+            const entries = await unsealEntryRecords(backup.journalEntries, backupKey);
+            const failed = entries.indexOf(null);
+            if (failed !== -1) {
+                await crypto.releaseKeys(backupKey);
+                throw new Error(`Entry ${failed + 1} of the backup cannot be decrypted or failed verification.`);
+            }
+            backup.journalEntries = entries.map(entry => withEntryDates(entry)); // Backups made before entries had dates
+
+            await this.discardPendingImport(); // A backup picked earlier but not imported
+            pendingImport = {
+                backup,
+                backupKey,
+                existingEntries: await this.getOwnJournalEntries()
+            };
+            showImportDialog({ // Direct call
+                createdAt: backup.header.createdAt,
+                entryCount: backup.journalEntries.length,
+                attachmentCount: backup.attachments.length
+            });
+            this.updateImportSummary();
+        } catch (error) {
+            // Nothing has been written yet, so the session stays as it was
+            console.error('Import failed:', error);
+            displayMessage(`Import failed: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Plans the pending import with the selected options and shows its summary.
+     * @returns {object|null} - The plan, or null if no import is pending.
+     */
+    updateImportSummary: function() {
+        if (!pendingImport) {
+            return null;
+        }
+        const plan = planImport(pendingImport.existingEntries, pendingImport.backup.journalEntries, getImportOptions());
+        renderImportSummary(describeImportPlan(plan), plan.mode === IMPORT_MODE_MERGE); // Direct call
+        return plan;
+    },
+
+    /**
+     * Applies the pending import as summarized in the import dialog.
+     */
+    handleConfirmImport: async function() {
+        const plan = this.updateImportSummary();
+        if (!plan) {
+            return;
+        }
+        const { backup, backupKey } = pendingImport;
+        pendingImport = null;
+        hideImportDialog(); // Direct call
+
+        try {
+            if (plan.mode === IMPORT_MODE_MERGE) {
+                await this.mergeImportedEntries(plan, backup, backupKey);
+            } else {
+                await this.replaceJournal(backup, backupKey);
+            }
+        } finally {
+            await crypto.releaseKeys(backupKey);
+        }
+    },
+
+    /**
+     * Drops the import waiting for confirmation, if any, and has the crypto worker forget the backup's key.
+     */
+    discardPendingImport: async function() {
+        if (pendingImport) {
+            const { backupKey } = pendingImport;
+            pendingImport = null;
+            await crypto.releaseKeys(backupKey);
+        }
+    },
+
+    /**
+     * Stages backup entries for writing. Every entry must be well formed, have a unique id
+     * and decrypt with the backup's key; the first one that doesn't aborts the import before
+     * anything is written. Ids that belong to another profile's entries are replaced.
+     * @param {Array<object>} entries - The backup entries to stage.
+     * @param {KeyHandle} backupKey - The key the backup's entries are encrypted with.
+     * @param {KeyHandle} [encryptionKey] - If given, entries are re-encrypted with this key; otherwise they
+     *     stay under the backup's key. Either way their fields are bound to their new owner and id.
+     * @returns {Promise<{entries: Array<object>, entryIds: Map<number, number>}>} - The records to store,
+     *     owned by the logged-in profile, and the id each backup entry is stored under.
+     */
+    stageImportedEntries: async function(entries, backupKey, encryptionKey) {
+        const username = getCurrentUsername();
+        const isEncryptedField = (field) => field && field.ciphertext instanceof Uint8Array && field.iv instanceof Uint8Array;
+        const stagedIds = new Set(entries.map(entry => entry.id));
+        let nextFreeId = getCurrentTimestamp();
+
+        const staged = [];
+        const sources = []; // The entries as their fields are bound in the backup
+        const entryIds = new Map();
+        for (const [index, { sourceId, ...entry }] of entries.entries()) {
+            const label = `Entry ${index + 1} of the backup`;
+            const fields = ENCRYPTED_ENTRY_FIELDS.filter(field => entry && entry[field] !== undefined);
+            if (!entry || !Number.isFinite(entry.id) || !Number.isFinite(entry.createdAt) ||
+                !Number.isFinite(entry.updatedAt) || !isDateKey(entry.entryDate) ||
+                !fields.includes('title') || !fields.includes('content') ||
+                !fields.every(field => isEncryptedField(entry[field]))) {
+                throw new Error(`${label} is malformed.`);
+            }
+            if (!isKnownSchemaVersion(entry)) {
+                throw new Error(`${label} was saved by a newer version of WebX Journal.`);
+            }
+            if (staged.some(other => other.id === entry.id)) {
+                throw new Error(`${label} has a duplicate id.`);
+            }
+
+            let id = entry.id;
+            const stored = await getJournalEntry(id);
+            if (stored && stored.owner !== username) {
+                // Ids are unique across profiles; never overwrite another profile's entry
+                while (stagedIds.has(nextFreeId) || await getJournalEntry(nextFreeId)) {
+                    nextFreeId++;
+                }
+                id = nextFreeId++;
+                stagedIds.add(id);
+            }
+
+            sources.push({ ...entry, id: sourceId ?? entry.id });
+            staged.push({ ...entry, id, owner: username });
+            entryIds.set(sourceId ?? entry.id, id);
+        }
+
+        // Decrypting every entry proves the backup's key opens it and that its fields belong to it
+        const results = await crypto.reencryptRecords(staged, ENCRYPTED_ENTRY_FIELDS, backupKey, encryptionKey || backupKey, {
+            oldAssociatedData: sources.map(entry => getEntryAssociatedData(entry, ENCRYPTED_ENTRY_FIELDS)),
+            newAssociatedData: staged.map(entry => getEntryAssociatedData(entry, ENCRYPTED_ENTRY_FIELDS)),
+            onProgress: (done, total) => showLoadingProgress('Decrypting the backup…', done, total) // Direct call
+        });
+        const failed = results.indexOf(null);
+        if (failed !== -1) {
+            throw new Error(`Entry ${failed + 1} of the backup cannot be decrypted or failed verification.`);
+        }
+        return { entries: results, entryIds };
+    },
+
+    /**
+     * Stages the backup attachments of the entries being imported. Each one must be well formed
+     * and decrypt with the backup's key, or the import is aborted before anything is written.
+     * Merging (`encryptionKey` given) skips attachments already stored with the same entry.
+     * @param {Array<object>} attachments - The backup attachments.
+     * @param {Map<number, number>} entryIds - Backup entry id to stored id, from `stageImportedEntries`.
+     * @param {KeyHandle} backupKey - The key the backup's attachments are encrypted with.
+     * @param {KeyHandle} [encryptionKey] - If given, attachments are re-encrypted with this key; otherwise they
+     *     keep the backup's key, which the replaced profile takes over.
+     * @returns {Promise<Array<object>>} - The attachment records to store.
+     */
+    stageImportedAttachments: async function(attachments, entryIds, backupKey, encryptionKey) {
+        const username = getCurrentUsername();
+        const isMerge = !!encryptionKey;
+        const stagedIds = new Set();
+
+        const staged = [];
+        for (const [index, attachment] of attachments.entries()) {
+            showLoadingProgress('Decrypting attachments…', index, attachments.length); // Direct call
+            let record = deserializeAttachment(attachment);
+            const backupEntryId = await getAttachmentEntryId(record, backupKey);
+            if (backupEntryId === null) {
+                throw new Error('An attachment in the backup cannot be decrypted.');
+            }
+            if (!entryIds.has(backupEntryId)) {
+                continue; // Its entry is skipped or not in the backup
+            }
+            const entryId = entryIds.get(backupEntryId);
+
+            let id = record.id;
+            const stored = await getAttachment(id);
+            if (isMerge && stored && stored.owner === username && await getAttachmentEntryId(stored, encryptionKey) === entryId) {
+                continue; // Attachments never change, so this one is already here
+            }
+            // Replacing deletes the profile's own attachments first; any other stored one must be kept
+            if (stagedIds.has(id) || (stored && (isMerge || stored.owner !== username))) {
+                id = window.crypto.randomUUID();
+            }
+            stagedIds.add(id);
+
+            try {
+                // Bound afresh to the id, entry and profile it is stored under, as an ordinary attachment
+                // like the imported entries; privacy mode seals it again
+                record = await reencryptAttachment(record, backupKey, encryptionKey || backupKey, { id, entryId, owner: username, sealed: false });
+            } catch (error) {
+                throw new Error('An attachment in the backup cannot be decrypted.');
+            }
+            staged.push(record);
+        }
+        return staged;
+    },
+
+    /**
+     * Adds and updates the planned backup entries and their attachments, re-encrypted with the
+     * current journal key, in one transaction.
+     * @param {object} plan - The merge plan.
+     * @param {object} backup - The verified backup.
+     * @param {KeyHandle} backupKey - The key the backup's entries are encrypted with.
+     */
+    mergeImportedEntries: async function(plan, backup, backupKey) {
+        showLoadingOverlay();
+        try {
+            const encryptionKey = getCurrentEncryptionKey();
+            const { entries, entryIds } = await this.stageImportedEntries([...plan.add, ...plan.update], backupKey, encryptionKey);
+            const attachments = await this.stageImportedAttachments(backup.attachments, entryIds, backupKey, encryptionKey);
+            await putJournalEntries(entries, attachments);
+            await this.migrateJournal(); // Entries from an older backup
+            await this.enforcePrivacyMode(); // The imported entries are stored as ordinary ones
+            broadcastTabEvent(TAB_EVENT_IMPORT, getCurrentUsername(), { replaced: false });
+            displayMessage(`Import complete: ${plan.add.length} added, ${plan.update.length} updated, ${plan.skip.length} skipped.`, 'success');
+            await this.loadJournalEntries();
+        } catch (error) {
+            console.error('Merging the backup failed:', error);
+            displayMessage(`Import failed: ${error.message} Your journal was not changed.`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Replaces the logged-in profile and its entries with the backup; other profiles are left alone.
+     * The swap is a single transaction, so on any error the previous profile and entries remain.
+     * @param {object} backup - The verified backup.
+     * @param {KeyHandle} backupKey - The key the backup's entries are encrypted with.
+     */
+    replaceJournal: async function(backup, backupKey) {
+        showLoadingOverlay();
+        try {
+            await cancelAutosave(); // A draft saved after the swap could not be read with the backup's key
+            const { entries, entryIds } = await this.stageImportedEntries(backup.journalEntries, backupKey);
+            const attachments = await this.stageImportedAttachments(backup.attachments, entryIds, backupKey);
+            await replaceUserData({ ...backup.userProfile, username: getCurrentUsername() }, entries, attachments);
+            broadcastTabEvent(TAB_EVENT_IMPORT, getCurrentUsername(), { replaced: true });
+
+            displayMessage('Data imported successfully! Please log in again.', 'success');
+            // The profile now has the backup's key, so start over from the login screen
+            window.location.reload();
+        } catch (error) {
+            console.error('Replacing the journal failed:', error);
+            displayMessage(`Import failed: ${error.message} Your journal was not changed.`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Handles user logout.
+     * @param {boolean} [skipConfirm=false] - Log out without asking (e.g. from the lock screen).
+     */
+    handleLogout: async function(skipConfirm = false) {
+        if (!skipConfirm && !confirm('Are you sure you want to log out?')) {
+            return;
+        }
+        showLoadingOverlay();
+        try {
+            await flushAutosave(); // Keep what was typed last as a draft
+            broadcastTabEvent(TAB_EVENT_LOGOUT, getCurrentUsername());
+            await this.endSession();
+            await this.showAuthForms(); // Show login/register forms
+            displayMessage('Logged out successfully.', 'info');
+        } catch (error) {
+            console.error('Logout failed:', error);
+            displayMessage(`Logout failed: ${error.message}`, 'error');
+        } finally {
+            hideLoadingOverlay();
+        }
+    },
+
+    /**
+     * Asks for confirmation before clearing the logged-in profile, stating how many
+     * entries (including trashed ones) will be removed.
+     */
+    confirmClearAllData: async function() {
+        const entries = await this.getOwnJournalEntries();
+        const trashedCount = entries.filter(entry => entry.deletedAt).length;
+        const activeCount = entries.length - trashedCount;
+        const plural = (n) => `${n} ${n === 1 ? 'entry' : 'entries'}`;
+        if (confirm(`Are you sure you want to delete your profile, its ${plural(activeCount)} and the ${plural(trashedCount)} in its trash? Other profiles on this device are not affected. This action cannot be undone.`)) {
+            await this.handleClearAllData();
+        }
+    },
+
+    /**
+     * Handles clearing all data of the logged-in profile (user profile and its journal entries).
+     * Other profiles on the device are left intact.
      */
     handleClearAllData: async function() {
         showLoadingOverlay();
         try {
-            await clearAllData();
-            await logout(); // Clear current session state
-            allJournalEntries = []; // Clear cached entries
-            renderAuthForms(); // Direct call // Show login/register forms
-            displayMessage('All application data cleared successfully!', 'success');
+            await cancelAutosave(); // So no draft is written after the profile is gone
+            await deleteUserData(getCurrentUsername());
+            broadcastTabEvent(TAB_EVENT_CLEAR_ALL, getCurrentUsername());
+            await this.endSession(); // Clear current session state
+            await this.showAuthForms(); // Show login/register forms
+            displayMessage('Profile and its data cleared successfully!', 'success');
         } catch (error) {
             console.error('Clearing all data failed:', error);
             displayMessage(`Failed to clear all data: ${error.message}`, 'error');
         } finally {
             hideLoadingOverlay();
         }
+    },
+
+    /**
+     * Catches up with a change another tab made to the profile open in this one (see tabSync.js):
+     * signs out or locks along with it, or re-reads the entries it changed.
+     * @param {{type: string, owner: string, entryIds: Array<number>, replaced?: boolean}} event - The message.
+     */
+    handleTabEvent: async function(event) {
+        if (event.owner !== getCurrentUsername()) {
+            return; // Another profile, or nobody is logged in here
+        }
+        try {
+            if (event.type === TAB_EVENT_LOGOUT || event.type === TAB_EVENT_CLEAR_ALL || (event.type === TAB_EVENT_IMPORT && event.replaced)) {
+                if (event.type === TAB_EVENT_LOGOUT) {
+                    await flushAutosave(); // Keep what was typed last as a draft
+                }
+                await this.endSession();
+                await this.showAuthForms();
+                displayMessage({
+                    [TAB_EVENT_LOGOUT]: 'You were logged out in another tab.',
+                    [TAB_EVENT_CLEAR_ALL]: 'This profile was deleted in another tab.',
+                    [TAB_EVENT_IMPORT]: 'The journal was replaced from a backup in another tab. Please log in again.'
+                }[event.type], 'info');
+                return;
+            }
+            if (!getCurrentEncryptionKey()) {
+                return; // Locked: everything is read again at unlock
+            }
+
+            if (event.type === TAB_EVENT_LOCK) {
+                await this.lockJournal();
+            } else if (event.type === TAB_EVENT_IMPORT || event.type === TAB_EVENT_PRIVACY_MODE) {
+                privacyMode = await isPrivacyModeEnabled();
+                if (isPrivacyModeVisible()) {
+                    renderPrivacyMode(privacyMode); // Direct call
+                }
+                if (isJournalEntryReaderVisible()) {
+                    showJournalEntriesList(); // Direct call // The entry may have a new id
+                }
+                await this.loadJournalEntries();
+                if (isJournalEntryEditorVisible() && currentJournalEntryId) {
+                    displayMessage(event.type === TAB_EVENT_PRIVACY_MODE
+                        ? 'Privacy mode was changed in another tab, which gives entries new ids. Close this entry and open it again before saving it.'
+                        : 'Entries were imported in another tab. If this entry was among them, you will be asked before your save replaces it.', 'info');
+                }
+            } else if ([TAB_EVENT_ENTRY_CREATED, TAB_EVENT_ENTRY_UPDATED, TAB_EVENT_ENTRY_DELETED].includes(event.type)) {
+                await this.refreshChangedEntries(event.type, event.entryIds);
+            }
+        } catch (error) {
+            console.error(`Handling the "${event.type}" event of another tab failed:`, error);
+        }
+    },
+
+    /**
+     * Shows entries another tab created, changed or deleted, without reloading the others.
+     * @param {string} type - The TAB_EVENT_ENTRY_* event.
+     * @param {Array<number>} entryIds - The IDs of the entries.
+     */
+    refreshChangedEntries: async function(type, entryIds) {
+        for (const entryId of entryIds) {
+            await this.refreshEntry(entryId);
+        }
+        if (isTrashVisible()) {
+            await this.showTrash();
+        } else {
+            await this.countTrash();
+        }
+
+        if (isJournalEntryReaderVisible()) {
+            const readingId = Number(document.getElementById('readEditBtn').dataset.id);
+            if (!entryIds.includes(readingId)) {
+                return;
+            }
+            if (entryMetadata.has(readingId)) {
+                await this.viewJournalEntry(readingId);
+            } else {
+                showJournalEntriesList(); // Direct call
+                displayMessage('The entry you were reading was deleted in another tab.', 'info');
+            }
+        } else if (isJournalEntryEditorVisible() && entryIds.includes(currentJournalEntryId)) {
+            if (isRevisionHistoryVisible()) {
+                await this.showRevisionHistory();
+            }
+            displayMessage(type === TAB_EVENT_ENTRY_DELETED
+                ? 'The entry you are editing was deleted in another tab. You will be asked before it is saved again.'
+                : 'The entry you are editing was saved in another tab. You will be asked before your save replaces that version.', 'info');
+        }
     }
 };
 
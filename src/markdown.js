@@ -0,0 +1,267 @@
+// src/markdown.js
+
+/**
+ * @fileoverview A small Markdown renderer for entry content.
+ *
+ * Supported: headings, paragraphs, emphasis (bold, italic, strikethrough), inline code,
+ * fenced code blocks, block quotes, horizontal rules, links, and nested bullet, numbered
+ * and check lists.
+ *
+ * Rendering is done in two steps. The Markdown is converted to HTML in which all entry text
+ * is escaped, then that HTML is parsed into an inert <template> and passed through a strict
+ * allowlist sanitizer, so only the elements and attributes listed below survive and links can
+ * only point to http(s) or mailto URLs.
+ */
+
+const ALLOWED_ELEMENTS = {
+    P: [], BR: [], HR: [],
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    STRONG: [], EM: [], DEL: [], CODE: [], PRE: [], BLOCKQUOTE: [],
+    UL: [], OL: ['start'], LI: [],
+    A: ['href', 'title'],
+    INPUT: ['type', 'checked', 'disabled']
+};
+const SAFE_URL = /^(https?:|mailto:)/i;
+const PREVIEW_LENGTH = 140;
+
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Applies emphasis to already escaped text.
+ * @param {string} html - Escaped text.
+ * @returns {string} - HTML with <strong>, <em> and <del>.
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*(?!\s)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?!\s)(.+?)__/g, '<strong>$1</strong>')
+        .replace(/\*(?!\s)(.+?)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?!\s)(.+?)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Renders inline Markdown (code spans, links, emphasis) of one block of text.
+ * @param {string} text - The raw text.
+ * @returns {string} - HTML with all text escaped.
+ */
+function renderInline(text) {
+    // Code spans and links are rendered first and swapped for placeholders, so emphasis
+    // is not applied inside code or URLs
+    const rendered = [];
+    const hold = (html) => `\u0000${rendered.push(html) - 1}\u0000`;
+
+    const withPlaceholders = text
+        .replace(/\u0000/g, '')
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        // A URL may contain one level of balanced parentheses, e.g. https://en.wikipedia.org/wiki/Foo_(bar)
+        .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"([^"]*)")?\)/g, (match, label, url, title) =>
+            hold(`<a href="${escapeHtml(url)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${renderEmphasis(escapeHtml(label))}</a>`))
+        .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/g, (match, url) => hold(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+    return renderEmphasis(escapeHtml(withPlaceholders))
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => rendered[Number(index)]);
+}
+
+/**
+ * Renders consecutive list lines, nesting items that are indented further than the first.
+ * @param {Array<string>} lines - Lines that each start a list item or continue one.
+ * @returns {string} - The list HTML.
+ */
+function renderList(lines) {
+    const first = lines[0].match(LIST_ITEM);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+
+    for (const [index, line] of lines.entries()) {
+        const match = line.match(LIST_ITEM);
+        if (match && match[1].length <= baseIndent) {
+            if (/\d/.test(match[2]) !== ordered) {
+                // Switching between bullets and numbers starts a new list
+                return renderListItems(items, ordered, first[2]) + renderList(lines.slice(index));
+            }
+            items.push({ text: match[3], children: [] });
+        } else if (items.length) {
+            items[items.length - 1].children.push(line);
+        }
+    }
+    return renderListItems(items, ordered, first[2]);
+}
+
+/**
+ * Renders the items of one list.
+ * @param {Array<{text: string, children: Array<string>}>} items - The items and their nested lines.
+ * @param {boolean} ordered - Whether the list is numbered.
+ * @param {string} firstMarker - The marker of the first item (gives the start number).
+ * @returns {string} - The list HTML.
+ */
+function renderListItems(items, ordered, firstMarker) {
+    const itemsHtml = items.map(({ text, children }) => {
+        const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+        let html = task
+            ? `<input type="checkbox" disabled${task[1] !== ' ' ? ' checked' : ''}> ${renderInline(task[2])}`
+            : renderInline(text);
+        const nested = children.filter(child => LIST_ITEM.test(child));
+        const continuation = children.filter(child => !LIST_ITEM.test(child)).map(child => child.trim());
+        if (continuation.length) {
+            html += `<br>${continuation.map(renderInline).join('<br>')}`;
+        }
+        if (nested.length) {
+            html += renderList(nested);
+        }
+        return `<li>${html}</li>`;
+    }).join('');
+
+    const start = ordered ? parseInt(firstMarker, 10) : 1;
+    return ordered
+        ? `<ol${start !== 1 ? ` start="${start}"` : ''}>${itemsHtml}</ol>`
+        : `<ul>${itemsHtml}</ul>`;
+}
+
+/**
+ * Converts Markdown to HTML. All text is escaped; the result still goes through `sanitize`.
+ * @param {string} source - The Markdown source.
+ * @returns {string} - The HTML.
+ */
+export function markdownToHtml(source) {
+    const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+        } else if (FENCE.test(line)) {
+            const code = [];
+            for (i++; i < lines.length && !FENCE.test(lines[i]); i++) {
+                code.push(lines[i]);
+            }
+            i++; // Skip the closing fence
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if (HEADING.test(line)) {
+            const [, hashes, text] = line.match(HEADING);
+            blocks.push(`<h${hashes.length}>${renderInline(text)}</h${hashes.length}>`);
+            i++;
+        } else if (RULE.test(line)) {
+            blocks.push('<hr>');
+            i++;
+        } else if (QUOTE.test(line)) {
+            const quoted = [];
+            for (; i < lines.length && QUOTE.test(lines[i]); i++) {
+                quoted.push(lines[i].match(QUOTE)[1]);
+            }
+            blocks.push(`<blockquote>${markdownToHtml(quoted.join('\n'))}</blockquote>`);
+        } else if (LIST_ITEM.test(line)) {
+            const listLines = [];
+            // Indented lines belong to the list; a blank line or unindented text ends it
+            for (; i < lines.length && lines[i].trim() && (LIST_ITEM.test(lines[i]) || /^\s/.test(lines[i])); i++) {
+                listLines.push(lines[i]);
+            }
+            blocks.push(renderList(listLines));
+        } else {
+            const paragraph = [];
+            for (; i < lines.length && lines[i].trim() && !FENCE.test(lines[i]) && !HEADING.test(lines[i]) &&
+                !QUOTE.test(lines[i]) && !LIST_ITEM.test(lines[i]) && !RULE.test(lines[i]); i++) {
+                paragraph.push(renderInline(lines[i].trim()));
+            }
+            blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+    }
+    return blocks.join('\n');
+}
+
+/**
+ * Removes every element and attribute that is not on the allowlist.
+ * Disallowed elements are replaced by their text; links must use a safe URL scheme.
+ * @param {Node} root - The node whose descendants to sanitize (in place).
+ */
+function sanitize(root) {
+    [...root.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || !ALLOWED_ELEMENTS[node.tagName]) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                node.replaceWith(document.createTextNode(node.textContent));
+            } else {
+                node.remove(); // Comments, processing instructions, ...
+            }
+            return;
+        }
+
+        const allowed = ALLOWED_ELEMENTS[node.tagName];
+        [...node.attributes].forEach(attribute => {
+            if (!allowed.includes(attribute.name)) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+        if (node.tagName === 'A') {
+            if (!SAFE_URL.test(node.getAttribute('href') || '')) {
+                node.removeAttribute('href');
+            }
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+        if (node.tagName === 'INPUT') {
+            if (node.getAttribute('type') !== 'checkbox') {
+                node.remove();
+                return;
+            }
+            node.setAttribute('disabled', '');
+        }
+        sanitize(node);
+    });
+}
+
+/**
+ * Renders Markdown into a sanitized document fragment, ready to be inserted into the page.
+ * @param {string} source - The Markdown source.
+ * @returns {DocumentFragment} - The rendered content.
+ */
+export function renderMarkdown(source) {
+    // Template content is inert: nothing in it loads or runs while it is being sanitized
+    const template = document.createElement('template');
+    template.innerHTML = markdownToHtml(source);
+    sanitize(template.content);
+    return template.content;
+}
+
+/**
+ * Reduces Markdown to a short plain-text preview for the entry list.
+ * @param {string} source - The Markdown source.
+ * @param {number} [length=PREVIEW_LENGTH] - The maximum preview length.
+ * @returns {string} - The preview text.
+ */
+export function markdownToPreview(source, length = PREVIEW_LENGTH) {
+    const text = (source || '')
+        .replace(/```/g, '')
+        .replace(/^\s*(#{1,6}|>|[-*+]|\d{1,9}[.)])\s+/gm, '')
+        .replace(/^\s*\[[ xX]\]\s+/gm, '')
+        .replace(/\[([^\]]+)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+        .replace(/(\*\*|__|~~|`)(.+?)\1/g, '$2')
+        .replace(/(^|\W)[*_](\S.*?)[*_](?!\w)/g, '$1$2')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text.length > length ? `${text.slice(0, length).trimEnd()}…` : text;
+}
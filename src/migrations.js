@@ -0,0 +1,183 @@
+// src/migrations.js
+
+/**
+ * @fileoverview Record schema migrations: changes to stored records that need the journal key
+ * (decrypting or re-encrypting fields), so they run after unlock rather than when the database
+ * is opened. Structural changes (stores, indexes, plaintext fields) are database migrations in
+ * storage.js.
+ *
+ * Every entry, revision, attachment and draft carries the `schemaVersion` it was written with;
+ * records without one are version 1. A migration brings a profile's records in its stores from
+ * below its `version` to that version, in batches that are each stored in one transaction, so
+ * a migration that is interrupted (the tab is closed, the journal is locked) carries on where it
+ * stopped at the next unlock. Each run is recorded in the migration log.
+ */
+
+import { encrypt, decrypt } from './crypto.js';
+import { decryptEntryRecords, encryptEntryField, rebindEntryRecords } from './entryCrypto.js';
+import { markdownToPreview } from './markdown.js';
+import { rebindAttachments } from './attachments.js';
+import { resealEntryRecords } from './privacy.js';
+import {
+    JOURNAL_ENTRIES_STORE,
+    REVISIONS_STORE,
+    ATTACHMENTS_STORE,
+    DRAFTS_STORE,
+    ENCRYPTED_ENTRY_FIELDS,
+    countRecordsBySchemaVersion,
+    getRecordsBelowSchemaVersion,
+    putMigratedRecords,
+    putMigrationLogEntry,
+    getMigrationLog
+} from './storage.js';
+
+const MIGRATION_BATCH_SIZE = 50;
+
+/**
+ * The record migrations, in order. `migrate` receives a batch of records, the journal key and the
+ * name of their store, and returns them in the same order, each converted record with its new `schemaVersion`. A record it
+ * could not convert (one that cannot be decrypted) keeps its old version, so it is not read as the
+ * new version and is tried again at the next unlock. `batchSize` overrides `MIGRATION_BATCH_SIZE`
+ * for records too large to hold many of at once.
+ */
+const RECORD_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Entries keep an encrypted summary for the entry list',
+        stores: [JOURNAL_ENTRIES_STORE],
+        migrate: async (entries, key) => {
+            const decrypted = await decryptEntryRecords(entries, ['content'], key);
+            return Promise.all(entries.map(async (entry, index) => {
+                if (entry.summary) {
+                    return { ...entry, schemaVersion: 2 };
+                }
+                if (!decrypted[index]) {
+                    return entry; // Unreadable entries keep showing a placeholder in the list
+                }
+                const summary = await encryptEntryField(markdownToPreview(decrypted[index].content), entry, 'summary', key);
+                return { ...entry, summary, schemaVersion: 2 };
+            }));
+        }
+    },
+    {
+        version: 3,
+        description: 'Entry fields are bound to their entry, field, schema version and profile',
+        stores: [JOURNAL_ENTRIES_STORE, REVISIONS_STORE],
+        migrate: async (records, key) => rebindEntryRecords(records, ENCRYPTED_ENTRY_FIELDS, key, 3)
+    },
+    {
+        version: 4,
+        description: 'Attachments are bound to their entry, id, field, schema version and profile',
+        stores: [ATTACHMENTS_STORE],
+        batchSize: 5, // Each attachment holds a whole file
+        migrate: async (attachments, key) => rebindAttachments(attachments, key, 4)
+    },
+    {
+        version: 5,
+        description: 'Drafts keep their save times inside their encrypted contents',
+        stores: [DRAFTS_STORE],
+        migrate: async (drafts, key) => Promise.all(drafts.map(async ({ timestamp, baseTimestamp, ...draft }) => {
+            try {
+                const values = JSON.parse(await decrypt(draft.draft, key));
+                return { ...draft, schemaVersion: 5, draft: await encrypt(JSON.stringify({ ...values, timestamp, baseTimestamp }), key) };
+            } catch (error) {
+                console.warn(`Could not decrypt the draft of slot ${draft.slot}, so its save times were dropped.`, error);
+                return draft; // It cannot be resumed either way, but the times do not stay in plaintext
+            }
+        }))
+    },
+    {
+        version: 6,
+        description: 'Sealed entries and revisions hold their entry id and are bound to their profile only',
+        stores: [JOURNAL_ENTRIES_STORE, REVISIONS_STORE],
+        migrate: async (records, key, storeName) => resealEntryRecords(records, key, 6, storeName === REVISIONS_STORE)
+    }
+];
+
+/**
+ * The record schema version this version of the app writes.
+ */
+export const RECORD_SCHEMA_VERSION = RECORD_MIGRATIONS[RECORD_MIGRATIONS.length - 1].version;
+
+/**
+ * Checks that a record can be read by this version of the app.
+ * @param {object} record - A stored or imported record.
+ * @returns {boolean} - False if it was written by a newer version.
+ */
+export function isKnownSchemaVersion(record) {
+    return (record.schemaVersion || 1) <= RECORD_SCHEMA_VERSION;
+}
+
+/**
+ * Brings all of a profile's records up to `RECORD_SCHEMA_VERSION`. Migrations that raise the
+ * version of entries or revisions re-encrypt their fields, as the version is part of what
+ * binds them (see entryCrypto.js).
+ * @param {string} owner - The username whose records to migrate.
+ * @param {KeyHandle} key - The journal key.
+ * @param {Function|null} [onProgress=null] - Receives (done, total) records while migrations run.
+ * @returns {Promise<number>} - The number of records converted (0 if everything was current).
+ * @throws {Error} - If some records were written by a newer version; nothing is changed then.
+ */
+export async function migrateRecords(owner, key, onProgress = null) {
+    const storeNames = [...new Set(RECORD_MIGRATIONS.flatMap(migration => migration.stores))];
+    const counts = new Map();
+    for (const storeName of storeNames) {
+        const storeCounts = await countRecordsBySchemaVersion(storeName, owner);
+        if ([...storeCounts.keys()].some(version => version > RECORD_SCHEMA_VERSION)) {
+            throw new Error('Some of your journal was saved by a newer version of WebX Journal. Please reload the app while online to update it.');
+        }
+        counts.set(storeName, storeCounts);
+    }
+
+    // A record passes through every migration above its version
+    const pendingIn = (storeName, version) => [...counts.get(storeName)]
+        .filter(([recordVersion]) => recordVersion < version)
+        .reduce((sum, [, count]) => sum + count, 0);
+    const total = RECORD_MIGRATIONS.reduce((sum, migration) =>
+        sum + migration.stores.reduce((storeSum, storeName) => storeSum + pendingIn(storeName, migration.version), 0), 0);
+    if (total === 0) {
+        return 0;
+    }
+
+    const interrupted = (await getMigrationLog()).filter(entry => entry.type === 'records' && entry.owner === owner && entry.status === 'running');
+    let done = 0;
+    let convertedTotal = 0;
+    for (const migration of RECORD_MIGRATIONS) {
+        for (const storeName of migration.stores) {
+            if (pendingIn(storeName, migration.version) === 0) {
+                continue;
+            }
+            const previous = interrupted.find(entry => entry.version === migration.version && entry.store === storeName);
+            const logEntry = {
+                ...(previous || { type: 'records', owner, store: storeName, version: migration.version, description: migration.description, startedAt: Date.now() }),
+                status: 'running',
+                resumedAt: previous ? Date.now() : undefined
+            };
+            logEntry.id = await putMigrationLogEntry(logEntry);
+            console.log(`Record migration ${migration.version} (${storeName}) ${previous ? 'resumed' : 'started'}: ${migration.description}.`);
+
+            let migrated = 0;
+            let failed = 0;
+            let batch;
+            let after = null; // Records that could not be converted stay behind, so each batch starts after the last one
+            while ((batch = await getRecordsBelowSchemaVersion(storeName, owner, migration.version, migration.batchSize || MIGRATION_BATCH_SIZE, after)).length > 0) {
+                const records = await migration.migrate(batch, key, storeName);
+                await putMigratedRecords(storeName, records, batch);
+                const converted = records.filter(record => (record.schemaVersion || 1) >= migration.version).length;
+                migrated += converted;
+                failed += batch.length - converted;
+                after = batch[batch.length - 1];
+                done = Math.min(total, done + batch.length);
+                if (onProgress) {
+                    onProgress(done, total);
+                }
+            }
+            convertedTotal += migrated;
+
+            await putMigrationLogEntry({ ...logEntry, status: 'completed', records: migrated, failed, finishedAt: Date.now() });
+            console.log(`Record migration ${migration.version} (${storeName}) completed: ${migrated} records` +
+                (failed > 0 ? `; ${failed} could not be converted and stay at their version until the next unlock.` : '.'));
+        }
+    }
+    return convertedTotal;
+}
@@ -0,0 +1,513 @@
+// src/privacy.js
+
+/**
+ * @fileoverview Privacy mode: every entry and revision is stored as one sealed, padded blob, and
+ * no revision, attachment or draft shows in plaintext which entry it belongs to.
+ *
+ * An ordinary entry keeps its id (its creation time), dates and trash time in plaintext, and
+ * its title, content, tags and summary as separate ciphertexts whose lengths show; its
+ * revisions, attachments and drafts name it in their `entryId`. In privacy mode an entry or
+ * revision is stored as
+ *
+ *   { id, owner, schemaVersion, sealed: {ciphertext, iv} }
+ *
+ * where `id` is random (for revisions too, so their ids do not show the order of the edits) and
+ * `sealed` encrypts the rest of the record (the id of its entry, dates, trash time and the field
+ * ciphertexts) as JSON padded to a size bucket. Unsealing gives back the ordinary record,
+ * so the rest of the app works on the same shape in either mode; only the entry list, which
+ * cannot walk the date index, is ordered in memory after unsealing (`pageEntries`).
+ *
+ * The blob is bound to its profile with AES-GCM associated data, and the entry id inside it must
+ * match the record when an entry is unsealed; a revision copies its entry's blob as it is. The
+ * schema version stays in plaintext, as migrations pick records by it, but is not bound. Blobs
+ * sealed before `SEALED_FORMAT_VERSION` were bound to their entry id and schema version, and
+ * their revisions kept `entryId` in plaintext; record migration 6 seals them again.
+ *
+ * A sealed attachment keeps its entry id and the time it was added in its encrypted metadata,
+ * and is padded like the blobs (see attachments.js). A sealed draft is stored under a random
+ * slot, with its entry id inside its padded, encrypted contents. Finding the revisions,
+ * attachments or draft of an entry therefore means decrypting all of the profile's.
+ */
+
+import { encrypt, decrypt, decryptRecords, reencryptRecords, encodeBytes, decodeBytes } from './crypto.js';
+import { getEntryAssociatedData, rebindEntryRecords } from './entryCrypto.js';
+import { reencryptAttachment, getAttachmentEntryId } from './attachments.js';
+import { compareEntriesByDate } from './dates.js';
+import {
+    ENCRYPTED_ENTRY_FIELDS,
+    NEW_ENTRY_SLOT,
+    getAllJournalEntries,
+    getAllRevisions,
+    getAllAttachments,
+    getDrafts,
+    rewriteEntryRecords,
+    createRandomId
+} from './storage.js';
+
+export const SEALED_FORMAT_VERSION = 6; // The first record schema version whose blobs hold their entry id
+const MIN_BUCKET_SIZE = 1024; // Blobs are padded to 1 KiB, 2 KiB, 4 KiB, … up to
+const MAX_BUCKET_SIZE = 1024 * 1024; // 1 MiB, then to whole MiB
+
+/**
+ * Checks whether a stored record is sealed.
+ * @param {object} record - An entry, revision, attachment or draft.
+ * @returns {boolean} - True if it was stored in privacy mode.
+ */
+export function isSealed(record) {
+    return !!(record && record.sealed);
+}
+
+/**
+ * Builds the associated data that binds a sealed blob to its record.
+ * @param {object} record - The entry or revision.
+ * @returns {string} - The associated data.
+ */
+function sealedAssociatedData(record) {
+    const schemaVersion = record.schemaVersion || 1;
+    if (schemaVersion < SEALED_FORMAT_VERSION) {
+        return JSON.stringify(['webx-sealed-entry', record.owner, record.entryId ?? record.id, schemaVersion]);
+    }
+    return JSON.stringify(['webx-sealed-entry', record.owner]);
+}
+
+/**
+ * Works out the size a blob is padded to, so that only its bucket shows.
+ * @param {number} length - The size of the serialized record in bytes.
+ * @returns {number} - The padded size.
+ */
+export function bucketSize(length) {
+    if (length > MAX_BUCKET_SIZE) {
+        return Math.ceil(length / MAX_BUCKET_SIZE) * MAX_BUCKET_SIZE;
+    }
+    let size = MIN_BUCKET_SIZE;
+    while (size < length) {
+        size *= 2;
+    }
+    return size;
+}
+
+/**
+ * Pads serialized JSON with spaces to its size bucket. Trailing whitespace is valid JSON, so
+ * the padding needs no length prefix.
+ * @param {string} json - The JSON text.
+ * @returns {string} - The padded text.
+ */
+export function padJson(json) {
+    const length = new TextEncoder().encode(json).length;
+    return json + ' '.repeat(bucketSize(length) - length);
+}
+
+/**
+ * Seals an entry or revision for storage in privacy mode.
+ * @param {object} record - The ordinary record, at `SEALED_FORMAT_VERSION` or later; its encrypted
+ *     fields stay encrypted inside the blob.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<object>} - The sealed record.
+ */
+export async function sealEntryRecord(record, key) {
+    const { id, entryId = id, owner, schemaVersion, ...fields } = record;
+    const kept = { id, owner, schemaVersion };
+    const json = JSON.stringify({ ...fields, entryId }, encodeBytes);
+    return { ...kept, sealed: await encrypt(padJson(json), key, sealedAssociatedData(kept)) };
+}
+
+/**
+ * Unseals entries or revisions in one job in the crypto worker. Records that are not sealed
+ * are returned as they are.
+ * @param {Array<object>} records - The stored records.
+ * @param {KeyHandle} key - The journal key.
+ * @param {boolean} areRevisions - True for revisions, which take their `entryId` from the blob.
+ * @param {Function|null} onProgress - Receives (done, total).
+ * @returns {Promise<Array<object|null>>} - The ordinary records, or null for those that could not
+ *     be unsealed or failed verification.
+ */
+async function unsealRecords(records, key, areRevisions, onProgress) {
+    const sealed = records.filter(isSealed);
+    const opened = sealed.length > 0
+        ? await decryptRecords(sealed, ['sealed'], key, {
+            associatedData: sealed.map(record => ({ sealed: sealedAssociatedData(record) })),
+            onProgress
+        })
+        : [];
+    let next = 0; // Results come back in the order of `sealed`
+    return records.map(record => {
+        if (!isSealed(record)) {
+            return record;
+        }
+        const result = opened[next++];
+        if (!result) {
+            return null;
+        }
+        const { sealed: blob, ...kept } = record;
+        const { entryId, ...fields } = JSON.parse(result.sealed, decodeBytes);
+        const belongsTo = entryId ?? kept.entryId ?? kept.id; // Older blobs were bound to it instead
+        if (areRevisions) {
+            return { ...fields, ...kept, entryId: belongsTo };
+        }
+        return belongsTo === kept.id ? { ...fields, ...kept } : null; // Another entry's blob
+    });
+}
+
+/**
+ * Unseals many entries in one job in the crypto worker. Entries that are not sealed are
+ * returned as they are.
+ * @param {Array<object>} records - The stored entries.
+ * @param {KeyHandle} key - The journal key.
+ * @param {Function} [onProgress] - Receives (done, total).
+ * @returns {Promise<Array<object|null>>} - The ordinary entries, or null for those that could not
+ *     be unsealed or failed verification.
+ */
+export async function unsealEntryRecords(records, key, onProgress = null) {
+    return unsealRecords(records, key, false, onProgress);
+}
+
+/**
+ * Unseals many revisions in one job in the crypto worker, like `unsealEntryRecords`.
+ * @param {Array<object>} records - The stored revisions.
+ * @param {KeyHandle} key - The journal key.
+ * @param {Function} [onProgress] - Receives (done, total).
+ * @returns {Promise<Array<object|null>>} - The ordinary revisions, with the `entryId` their blob
+ *     holds, or null for those that could not be unsealed.
+ */
+export async function unsealRevisionRecords(records, key, onProgress = null) {
+    return unsealRecords(records, key, true, onProgress);
+}
+
+/**
+ * Unseals a single entry.
+ * @param {object} record - The stored entry.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<object>} - The ordinary entry.
+ * @throws {Error} - If it cannot be unsealed or does not belong to this entry.
+ */
+export async function unsealEntryRecord(record, key) {
+    const [unsealed] = await unsealEntryRecords([record], key);
+    if (!unsealed) {
+        throw new Error(`Entry ${record.id} failed verification: it was altered or does not belong to this entry.`);
+    }
+    return unsealed;
+}
+
+/**
+ * Brings entries or revisions to a new schema version: their fields are re-encrypted for it
+ * (see entryCrypto.js), and sealed ones are sealed again in the form that version stores.
+ * A record that cannot be decrypted is returned as it is, at its old version.
+ * @param {Array<object>} records - The entries or revisions, at their current version.
+ * @param {KeyHandle} key - The journal key.
+ * @param {number} schemaVersion - The version the records are brought to.
+ * @param {boolean} areRevisions - True for revisions.
+ * @returns {Promise<Array<object>>} - The records, those that could be converted at the new version.
+ */
+export async function resealEntryRecords(records, key, schemaVersion, areRevisions) {
+    const opened = await unsealRecords(records, key, areRevisions, null);
+    const rebound = await rebindEntryRecords(opened.filter(Boolean), ENCRYPTED_ENTRY_FIELDS, key, schemaVersion);
+    let next = 0; // Results come back in the order of the records that could be unsealed
+    return Promise.all(records.map(async (record, index) => {
+        if (!opened[index]) {
+            return record;
+        }
+        const result = rebound[next++];
+        if ((result.schemaVersion || 1) < schemaVersion) {
+            return record;
+        }
+        return isSealed(record) ? sealEntryRecord(result, key) : result;
+    }));
+}
+
+/**
+ * Decrypts a draft's contents, with the entry it belongs to: a sealed draft keeps it inside.
+ * @param {object} draft - The stored draft.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<object>} - The editor contents and save times, and `entryId` (null for a new entry).
+ */
+export async function openDraft(draft, key) {
+    const { entryId = draft.entryId ?? null, ...values } = JSON.parse(await decrypt(draft.draft, key));
+    return { ...values, entryId };
+}
+
+/**
+ * Builds the stored form of a draft in privacy mode.
+ * @param {{owner: string, slot: number, schemaVersion: number}} draft - The draft record without its
+ *     contents; `slot` comes from `findDraftSlot`.
+ * @param {object} values - The editor contents and save times, and `entryId` (null for a new entry).
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<object>} - The sealed draft.
+ */
+export async function sealDraft({ owner, slot, schemaVersion }, values, key) {
+    return { owner, slot, schemaVersion, sealed: true, draft: await encrypt(padJson(JSON.stringify(values)), key) };
+}
+
+/**
+ * Picks a random id that is not in a set, and adds it.
+ * @param {Set<number|string>} takenIds - The ids in use.
+ * @returns {number} - The new id.
+ */
+function pickUnusedId(takenIds) {
+    let id;
+    do {
+        id = createRandomId();
+    } while (takenIds.has(id));
+    takenIds.add(id);
+    return id;
+}
+
+/**
+ * Finds the slot of an entry's sealed draft. Sealed drafts are stored under random slots, so
+ * the profile's drafts are decrypted to find it; without one, a free slot is picked.
+ * @param {string} owner - The profile.
+ * @param {number|null} entryId - The entry, or null for a new entry.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<number>} - The slot.
+ */
+export async function findDraftSlot(owner, entryId, key) {
+    const drafts = await getDrafts(owner);
+    for (const draft of drafts.filter(isSealed)) {
+        try {
+            if ((await openDraft(draft, key)).entryId === entryId) {
+                return draft.slot;
+            }
+        } catch (error) {
+            console.warn(`Could not decrypt the draft of slot ${draft.slot}.`);
+        }
+    }
+    return pickUnusedId(new Set(drafts.map(draft => draft.slot)));
+}
+
+/**
+ * Finds the sealed revisions, attachments and drafts of entries, which do not show their entry
+ * in plaintext. Those that cannot be decrypted cannot be told apart and are not included.
+ * @param {string} owner - The profile.
+ * @param {Array<number>} entryIds - The entries.
+ * @param {KeyHandle} key - The journal key.
+ * @returns {Promise<{revisionIds: Array<number>, attachmentIds: Array<string>, draftKeys: Array<Array>}>}
+ *     - The keys of the records, for `deleteJournalEntries`.
+ */
+export async function findSealedRecordsOfEntries(owner, entryIds, key) {
+    const wanted = new Set(entryIds);
+    const [revisions, attachments, drafts] = (await Promise.all([getAllRevisions(owner), getAllAttachments(owner), getDrafts(owner)]))
+        .map(records => records.filter(isSealed));
+    const unsealed = await unsealRevisionRecords(revisions, key);
+    const revisionIds = revisions.filter((revision, index) => unsealed[index] && wanted.has(unsealed[index].entryId)).map(revision => revision.id);
+
+    const attachmentIds = [];
+    for (const attachment of attachments) {
+        if (wanted.has(await getAttachmentEntryId(attachment, key))) {
+            attachmentIds.push(attachment.id);
+        }
+    }
+    const draftKeys = [];
+    for (const draft of drafts) {
+        try {
+            if (wanted.has((await openDraft(draft, key)).entryId)) {
+                draftKeys.push([draft.owner, draft.slot]);
+            }
+        } catch (error) {
+            console.warn(`Could not decrypt the draft of slot ${draft.slot}.`);
+        }
+    }
+    return { revisionIds, attachmentIds, draftKeys };
+}
+
+/**
+ * Orders two entries newest first, by entry date, then creation time, then id, the order of
+ * the date index.
+ */
+function compareEntries(a, b) {
+    return compareEntriesByDate(a, b) || b.id - a.id;
+}
+
+/**
+ * Reads one page of unsealed entries, newest entry date first: the in-memory counterpart of
+ * `getJournalEntryPage` in storage.js.
+ * @param {Array<object>} entries - The profile's unsealed entries.
+ * @param {object} [options]
+ * @param {object|null} [options.after=null] - The `nextKey` of the previous page, or null for the first page.
+ * @param {number} [options.limit=50] - The maximum number of entries in the page.
+ * @param {string|null} [options.entryDate=null] - Only read the entries of this day ('YYYY-MM-DD').
+ * @param {Function} [options.filter] - Called with each entry; entries it rejects are skipped.
+ * @returns {{entries: Array<object>, nextKey: object|null}} - The page, and the key to continue
+ *     after, or null once the last entry has been read.
+ */
+export function pageEntries(entries, { after = null, limit = 50, entryDate = null, filter = () => true } = {}) {
+    const candidates = entries
+        .filter(entry => (!entryDate || entry.entryDate === entryDate) && (!after || compareEntries(after, entry) < 0))
+        .sort(compareEntries);
+    const page = [];
+    for (const entry of candidates) {
+        if (filter(entry)) {
+            page.push(entry);
+            if (page.length === limit) {
+                return { entries: page, nextKey: { entryDate: entry.entryDate, createdAt: entry.createdAt, id: entry.id } };
+            }
+        }
+    }
+    return { entries: page, nextKey: null };
+}
+
+/**
+ * Seals a profile's ordinary records. Every entry and revision gets a random id, and an
+ * entry's fields are re-encrypted for it; its revisions, attachments and drafts follow it and
+ * are sealed too. A record that cannot be decrypted stays as it is, since it cannot be read
+ * either way.
+ */
+async function sealJournal(owner, key, { entries, revisions, attachments, drafts }, onProgress) {
+    const storedIds = new Set((await getAllJournalEntries(owner)).map(entry => entry.id));
+    const storedRevisionIds = new Set((await getAllRevisions(owner)).map(revision => revision.id));
+    const entryIds = new Map(); // Old id -> random id
+    for (const entry of entries) {
+        entryIds.set(entry.id, pickUnusedId(storedIds));
+    }
+    const rebind = (records, renamed) => reencryptRecords(renamed, ENCRYPTED_ENTRY_FIELDS, key, key, {
+        oldAssociatedData: records.map(record => getEntryAssociatedData(record, ENCRYPTED_ENTRY_FIELDS)),
+        newAssociatedData: renamed.map(record => getEntryAssociatedData(record, ENCRYPTED_ENTRY_FIELDS))
+    });
+
+    const reboundEntries = await rebind(entries, entries.map(entry => ({ ...entry, id: entryIds.get(entry.id) })));
+    entries.forEach((entry, index) => {
+        if (!reboundEntries[index]) {
+            console.warn(`Entry ${entry.id} could not be decrypted, so it was not sealed.`);
+            entryIds.delete(entry.id);
+        }
+    });
+    const newEntryId = (entryId) => entryIds.get(entryId) ?? entryId;
+    const reboundRevisions = await rebind(revisions, revisions.map(revision => ({
+        ...revision,
+        id: pickUnusedId(storedRevisionIds),
+        entryId: newEntryId(revision.entryId)
+    })));
+    const removedRevisionIds = revisions.filter((revision, index) => reboundRevisions[index]).map(revision => revision.id);
+
+    const toSeal = [...reboundEntries, ...reboundRevisions].filter(Boolean);
+    const total = toSeal.length + attachments.length;
+    const sealed = [];
+    for (const record of toSeal) {
+        sealed.push(await sealEntryRecord(record, key));
+        if (onProgress) {
+            onProgress(sealed.length, total);
+        }
+    }
+
+    const sealedAttachments = [];
+    for (const attachment of attachments) {
+        const entryId = newEntryId(attachment.entryId);
+        try {
+            sealedAttachments.push(await reencryptAttachment(attachment, key, key, { entryId, sealed: true }));
+        } catch (error) {
+            console.warn(`${error.message} It was not sealed.`);
+            sealedAttachments.push({ ...attachment, entryId }); // Deleted with its entry all the same
+        }
+        if (onProgress) {
+            onProgress(sealed.length + sealedAttachments.length, total);
+        }
+    }
+
+    const draftSlots = new Set((await getDrafts(owner)).map(draft => draft.slot));
+    const removedDraftKeys = [];
+    const sealedDrafts = [];
+    for (const draft of drafts) {
+        try {
+            const { entryId, ...values } = await openDraft(draft, key);
+            const record = { owner, slot: pickUnusedId(draftSlots), schemaVersion: draft.schemaVersion };
+            sealedDrafts.push(await sealDraft(record, { ...values, entryId: entryId === null ? null : newEntryId(entryId) }, key));
+        } catch (error) {
+            console.warn(`Could not decrypt the draft of slot ${draft.slot}, so it was not sealed.`);
+            if (!entryIds.has(draft.entryId)) {
+                continue;
+            }
+            sealedDrafts.push({ ...draft, slot: entryIds.get(draft.entryId), entryId: entryIds.get(draft.entryId) });
+        }
+        removedDraftKeys.push([draft.owner, draft.slot]);
+    }
+
+    const sealedEntryCount = reboundEntries.filter(Boolean).length;
+    await rewriteEntryRecords({
+        removedEntryIds: [...entryIds.keys()],
+        removedRevisionIds,
+        entries: sealed.slice(0, sealedEntryCount),
+        revisions: sealed.slice(sealedEntryCount),
+        attachments: sealedAttachments,
+        removedDraftKeys,
+        drafts: sealedDrafts
+    });
+    return sealed.length + [...sealedAttachments, ...sealedDrafts].filter(isSealed).length;
+}
+
+/**
+ * Turns a profile's sealed records back into ordinary ones. Entries and revisions keep their
+ * random ids, which work like any other; drafts go back to the slot of their entry.
+ */
+async function unsealJournal(owner, key, { entries, revisions, attachments, drafts }, onProgress) {
+    const total = entries.length + revisions.length + attachments.length;
+    const unsealedEntries = await unsealEntryRecords(entries, key, onProgress && ((done) => onProgress(done, total)));
+    const unsealedRevisions = await unsealRevisionRecords(revisions, key, onProgress && ((done) => onProgress(entries.length + done, total)));
+    [...unsealedEntries, ...unsealedRevisions].forEach((record, index) => {
+        if (!record) {
+            const { id } = [...entries, ...revisions][index];
+            console.warn(`${index < entries.length ? 'Entry' : 'Revision'} ${id} could not be unsealed, so it was left sealed.`);
+        }
+    });
+
+    const unsealedAttachments = [];
+    for (const [index, attachment] of attachments.entries()) {
+        try {
+            unsealedAttachments.push(await reencryptAttachment(attachment, key, key, { sealed: false }));
+        } catch (error) {
+            console.warn(`${error.message} It was left sealed.`);
+        }
+        if (onProgress) {
+            onProgress(entries.length + revisions.length + index + 1, total);
+        }
+    }
+
+    const removedDraftKeys = [];
+    const unsealedDrafts = [];
+    for (const draft of drafts) {
+        try {
+            const { entryId, ...values } = await openDraft(draft, key);
+            unsealedDrafts.push({
+                owner,
+                slot: entryId ?? NEW_ENTRY_SLOT,
+                schemaVersion: draft.schemaVersion,
+                entryId,
+                draft: await encrypt(JSON.stringify(values), key)
+            });
+            removedDraftKeys.push([draft.owner, draft.slot]);
+        } catch (error) {
+            console.warn(`Could not decrypt the draft of slot ${draft.slot}, so it was left sealed.`);
+        }
+    }
+
+    const records = {
+        entries: unsealedEntries.filter(Boolean),
+        revisions: unsealedRevisions.filter(Boolean),
+        attachments: unsealedAttachments,
+        removedDraftKeys,
+        drafts: unsealedDrafts
+    };
+    await rewriteEntryRecords(records);
+    return records.entries.length + records.revisions.length + records.attachments.length + records.drafts.length;
+}
+
+/**
+ * Stores a profile's entries, revisions, attachments and drafts as its privacy mode setting
+ * says. Only records that are not in that form yet are converted: after the setting changed,
+ * after an import, or to finish a conversion that was interrupted. Everything is written in one
+ * transaction. Runs after the record migrations, so sealed records take the current form.
+ * @param {string} owner - The username whose records to convert.
+ * @param {KeyHandle} key - The journal key.
+ * @param {boolean} enabled - Whether privacy mode is on.
+ * @param {Function|null} [onProgress=null] - Receives (done, total) while records are converted.
+ * @returns {Promise<number>} - The number of records converted.
+ */
+export async function applyPrivacyMode(owner, key, enabled, onProgress = null) {
+    const [entries, revisions, attachments, drafts] = (await Promise.all([
+        getAllJournalEntries(owner), getAllRevisions(owner), getAllAttachments(owner), getDrafts(owner)
+    ])).map(records => records.filter(record => isSealed(record) !== enabled));
+    if (entries.length + revisions.length + attachments.length + drafts.length === 0) {
+        return 0;
+    }
+    const pending = { entries, revisions, attachments, drafts };
+    return enabled
+        ? sealJournal(owner, key, pending, onProgress)
+        : unsealJournal(owner, key, pending, onProgress);
+}
@@ -0,0 +1,181 @@
+// src/search.js
+
+/**
+ * @fileoverview Full-text search over decrypted journal entries.
+ * The index holds plaintext, so it only ever lives in memory: callers build it after
+ * login and drop it when the session locks or ends. Nothing here touches IndexedDB.
+ */
+
+import { compareEntriesByDate } from './dates.js';
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Splits a query into lowercase terms and "quoted phrases".
+ * @param {string} query - The query as typed.
+ * @returns {Array<string>} - The needles; every one must match for an entry to be found.
+ */
+export function parseQuery(query) {
+    const needles = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+        const needle = (match[1] ?? match[2]).trim().toLowerCase().replace(/\s+/g, ' ');
+        if (needle && !needles.includes(needle)) {
+            needles.push(needle);
+        }
+    }
+    return needles;
+}
+
+/**
+ * Builds the in-memory search index.
+ * @param {Array<object>} entries - Decrypted entries ({id, entryDate, createdAt, title, content}).
+ * @returns {Array<object>} - The index.
+ */
+export function buildSearchIndex(entries) {
+    const collapse = (text) => text.replace(/\s+/g, ' ');
+    return entries.map(entry => ({
+        entry,
+        title: foldText(collapse(entry.title)),
+        content: foldText(collapse(entry.content))
+    }));
+}
+
+/**
+ * Lowercases text one character at a time, keeping track of where each lowercased character
+ * came from. Lowercasing can change the length of a text (e.g. "İ" becomes two code units), so
+ * an offset found in the lowercased text is not an offset in the original. Final sigma is folded
+ * into "σ", as a lone "Σ" lowercases to it.
+ * @param {string} text - The original text.
+ * @returns {{text: string, lower: string, starts: Array<number>, ends: Array<number>}} - The text,
+ *     its lowercased form, and for each code unit of `lower` the range in `text` of the character
+ *     it came from.
+ */
+function foldText(text) {
+    let lower = '';
+    const starts = [];
+    const ends = [];
+    let offset = 0;
+    for (const char of text) {
+        const folded = char.toLowerCase().replace(/ς/g, 'σ');
+        lower += folded;
+        for (let i = 0; i < folded.length; i++) {
+            starts.push(offset);
+            ends.push(offset + char.length);
+        }
+        offset += char.length;
+    }
+    return { text, lower, starts, ends };
+}
+
+/**
+ * Finds the occurrences of `needle` in a folded text.
+ * @param {object} folded - A text from `foldText`.
+ * @param {string} needle - A folded needle.
+ * @returns {Array<{start: number, end: number}>} - The matches, as ranges in the original text.
+ */
+function findMatches(folded, needle) {
+    const matches = [];
+    for (let i = folded.lower.indexOf(needle); i !== -1; i = folded.lower.indexOf(needle, i + needle.length)) {
+        matches.push({ start: folded.starts[i], end: folded.ends[i + needle.length - 1] });
+    }
+    return matches;
+}
+
+/**
+ * Splits a text into plain and highlighted segments.
+ * @param {object} folded - The text, from `foldText`.
+ * @param {Array<string>} needles - The folded needles to highlight.
+ * @returns {Array<{text: string, match: boolean}>} - The segments, in order.
+ */
+export function highlight(folded, needles) {
+    const text = folded.text;
+    const marked = new Array(text.length).fill(false);
+    for (const needle of needles) {
+        for (const { start, end } of findMatches(folded, needle)) {
+            marked.fill(true, start, end);
+        }
+    }
+
+    const segments = [];
+    for (let i = 0; i < text.length; i++) {
+        const last = segments[segments.length - 1];
+        if (last && last.match === marked[i]) {
+            last.text += text[i];
+        } else {
+            segments.push({ text: text[i], match: marked[i] });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Cuts a window of content around the first match and highlights the needles in it.
+ */
+function makeSnippet(item, needles) {
+    const text = item.content.text;
+    const positions = needles.map(needle => findMatches(item.content, needle)).filter(matches => matches.length > 0).map(matches => matches[0].start);
+    const first = positions.length ? Math.min(...positions) : 0;
+
+    let start = Math.max(0, first - SNIPPET_RADIUS);
+    let end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    // Don't cut words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < first ? space + 1 : start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > first ? space : end;
+    }
+
+    const segments = highlight(foldText(text.slice(start, end)), needles);
+    if (start > 0) {
+        segments.unshift({ text: '…', match: false });
+    }
+    if (end < text.length) {
+        segments.push({ text: '…', match: false });
+    }
+    return segments;
+}
+
+/**
+ * Finds the entries that contain every term and phrase of the query, in title or content.
+ * Results are ranked by title matches, then number of matches, then date.
+ * @param {Array<object>} index - An index from `buildSearchIndex`.
+ * @param {string} query - The query as typed.
+ * @returns {Array<{entry: object, titleSegments: Array<object>, snippetSegments: Array<object>}>} - The results.
+ */
+export function searchEntries(index, query) {
+    const needles = parseQuery(query).map(needle => foldText(needle).lower);
+    if (needles.length === 0) {
+        return [];
+    }
+
+    const results = [];
+    for (const item of index) {
+        let titleHits = 0;
+        let contentHits = 0;
+        const allFound = needles.every(needle => {
+            const inTitle = findMatches(item.title, needle).length;
+            const inContent = findMatches(item.content, needle).length;
+            titleHits += inTitle;
+            contentHits += inContent;
+            return inTitle + inContent > 0;
+        });
+        if (allFound) {
+            results.push({ item, titleHits, contentHits });
+        }
+    }
+
+    results.sort((a, b) => (b.titleHits - a.titleHits) ||
+        (b.contentHits - a.contentHits) ||
+        compareEntriesByDate(a.item.entry, b.item.entry));
+
+    return results.map(({ item }) => ({
+        entry: item.entry,
+        titleSegments: highlight(item.title, needles),
+        snippetSegments: makeSnippet(item, needles)
+    }));
+}
@@ -0,0 +1,50 @@
+// src/settings.js
+
+/**
+ * @fileoverview Non-sensitive application preferences, persisted in localStorage.
+ * Nothing stored here is secret; journal data and keys stay in IndexedDB / memory.
+ */
+
+const SETTINGS_KEY = 'webx-journal-settings';
+
+const DEFAULT_SETTINGS = {
+    autoLockMinutes: 10, // 0 disables the inactivity lock
+    revisionRetentionDays: 0, // 0 keeps revisions regardless of age
+    maxRevisionsPerEntry: 50,
+    trashRetentionDays: 30, // Trashed entries are purged at startup after this many days; 0 = never
+    quickUnlockMaxAgeMinutes: 480 // How long a new quick-unlock PIN stays valid
+};
+
+/**
+ * Reads all stored settings merged over the defaults.
+ * @returns {object} - The current settings.
+ */
+function readSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        return { ...DEFAULT_SETTINGS, ...(stored || {}) };
+    } catch (e) {
+        console.warn('Could not read settings, using defaults:', e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Retrieves a single setting.
+ * @param {string} name - The setting name.
+ * @returns {*} - The stored value, or its default.
+ */
+export function getSetting(name) {
+    return readSettings()[name];
+}
+
+/**
+ * Persists a single setting.
+ * @param {string} name - The setting name.
+ * @param {*} value - The value to store.
+ */
+export function setSetting(name, value) {
+    const settings = readSettings();
+    settings[name] = value;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
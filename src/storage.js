@@ -1,9 +1,126 @@
 // src/storage.js
 
+import { withEntryDates } from './dates.js';
+
 const DB_NAME = 'WebXJournalDB';
-const DB_VERSION = 2; // Incremented version to ensure onupgradeneeded runs
 export const USER_PROFILE_STORE = 'user-profile';
 export const JOURNAL_ENTRIES_STORE = 'journal-entries';
+export const REVISIONS_STORE = 'entry-revisions';
+export const ATTACHMENTS_STORE = 'entry-attachments';
+export const DRAFTS_STORE = 'entry-drafts';
+const MIGRATION_LOG_STORE = 'migration-log';
+// Draft slot of the entry being written in the "New Entry" editor; drafts of existing entries use the entry id
+export const NEW_ENTRY_SLOT = 'new';
+const OWNER_INDEX = 'owner';
+const ENTRY_INDEX = 'entryId';
+// Orders a profile's entries by date for the paged list; `id` makes every key unique, so a page can resume after the last one
+const DATE_INDEX = 'owner-entryDate';
+// Before v3 there was a single, fixed profile; its entries are assigned to it on upgrade
+export const LEGACY_USERNAME = 'qwerty';
+// Entry fields that hold ciphertext; `tags` and `summary` are optional (entries saved before they existed lack them)
+export const ENCRYPTED_ENTRY_FIELDS = ['title', 'content', 'tags', 'summary'];
+const RANDOM_ID_BITS = 52; // Leaves room below Number.MAX_SAFE_INTEGER for ids counted up from one (see importer.js)
+
+/**
+ * Database migrations, in order. Each one takes the database from the previous version to its
+ * `version`: `upgrade` creates stores and indexes, and `records` maps store names to a function
+ * that transforms one stored record. Nothing here has the journal key; changes that need it are
+ * record migrations (see migrations.js).
+ */
+const DB_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Profile and journal entry stores',
+        upgrade: (db) => {
+            // Version 1 databases may already have either of them
+            if (!db.objectStoreNames.contains(USER_PROFILE_STORE)) {
+                db.createObjectStore(USER_PROFILE_STORE, { keyPath: 'username' });
+            }
+            if (!db.objectStoreNames.contains(JOURNAL_ENTRIES_STORE)) {
+                db.createObjectStore(JOURNAL_ENTRIES_STORE, { keyPath: 'id' });
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Entries belong to a profile',
+        upgrade: (db, transaction) => {
+            transaction.objectStore(JOURNAL_ENTRIES_STORE).createIndex(OWNER_INDEX, 'owner', { unique: false });
+        },
+        records: {
+            // Before v3 there was a single, fixed profile
+            [JOURNAL_ENTRIES_STORE]: entry => ({ ...entry, owner: entry.owner || LEGACY_USERNAME })
+        }
+    },
+    {
+        version: 4,
+        description: 'Entry revisions store',
+        upgrade: (db) => {
+            // Earlier versions of entries, encrypted like the entries themselves
+            const revisionStore = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id', autoIncrement: true });
+            revisionStore.createIndex(ENTRY_INDEX, 'entryId', { unique: false });
+            revisionStore.createIndex(OWNER_INDEX, 'owner', { unique: false });
+        }
+    },
+    {
+        version: 5,
+        description: 'Attachments store',
+        upgrade: (db) => {
+            // Encrypted files linked to an entry; keyed by a random id that is kept across export/import
+            const attachmentStore = db.createObjectStore(ATTACHMENTS_STORE, { keyPath: 'id' });
+            attachmentStore.createIndex(ENTRY_INDEX, 'entryId', { unique: false });
+            attachmentStore.createIndex(OWNER_INDEX, 'owner', { unique: false });
+        }
+    },
+    {
+        version: 6,
+        description: 'Drafts store',
+        upgrade: (db) => {
+            // Autosaved, encrypted editor contents; one per profile and slot
+            const draftStore = db.createObjectStore(DRAFTS_STORE, { keyPath: ['owner', 'slot'] });
+            draftStore.createIndex(ENTRY_INDEX, 'entryId', { unique: false });
+            draftStore.createIndex(OWNER_INDEX, 'owner', { unique: false });
+        }
+    },
+    {
+        version: 7,
+        description: 'Entries and revisions carry createdAt, updatedAt and entryDate instead of timestamp',
+        records: {
+            [JOURNAL_ENTRIES_STORE]: entry => withEntryDates(entry),
+            [REVISIONS_STORE]: revision => withEntryDates(revision, revision.entryId)
+        }
+    },
+    {
+        version: 8,
+        description: 'Entry date index',
+        upgrade: (db, transaction) => {
+            transaction.objectStore(JOURNAL_ENTRIES_STORE)
+                .createIndex(DATE_INDEX, ['owner', 'entryDate', 'createdAt', 'id'], { unique: true });
+        }
+    },
+    {
+        version: 9,
+        description: 'Migration log store',
+        upgrade: (db) => {
+            db.createObjectStore(MIGRATION_LOG_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+    },
+    {
+        version: 10,
+        description: 'Sealed revisions are stored under a random id',
+        upgrade: (db, transaction) => {
+            // Counted-up ids showed the order of every edit; the sealed blob is bound to the entry id, not this one
+            const store = transaction.objectStore(REVISIONS_STORE);
+            store.getAll().onsuccess = (event) => {
+                event.target.result.filter(revision => revision.sealed).forEach(revision => {
+                    store.delete(revision.id);
+                    addUnderRandomId(store, revision);
+                });
+            };
+        }
+    }
+];
+const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
 
 let db; // IndexedDB database instance
 
@@ -17,16 +134,7 @@ export function initDb() {
 
         request.onupgradeneeded = (event) => {
             db = event.target.result;
-            // Create object stores if they don't exist
-            if (!db.objectStoreNames.contains(USER_PROFILE_STORE)) {
-                db.createObjectStore(USER_PROFILE_STORE, { keyPath: 'username' });
-                console.log(`Object store '${USER_PROFILE_STORE}' created.`);
-            }
-            if (!db.objectStoreNames.contains(JOURNAL_ENTRIES_STORE)) {
-                db.createObjectStore(JOURNAL_ENTRIES_STORE, { keyPath: 'id' });
-                console.log(`Object store '${JOURNAL_ENTRIES_STORE}' created.`);
-            }
-            console.log('IndexedDB upgrade complete.');
+            runDbMigrations(db, event.target.transaction, event.oldVersion);
         };
 
         request.onsuccess = (event) => {
@@ -36,12 +144,97 @@ export function initDb() {
         };
 
         request.onerror = (event) => {
+            if (event.target.error && event.target.error.name === 'VersionError') {
+                // Opening would need a downgrade, which IndexedDB refuses; the database is untouched
+                reject(new Error('Your journal was saved by a newer version of WebX Journal. Please reload the app while online to update it.'));
+                return;
+            }
             console.error('IndexedDB error:', event.target.errorCode);
             reject(new Error(`IndexedDB error: ${event.target.errorCode}`));
         };
     });
 }
 
+/**
+ * Upgrades the database from `oldVersion` to `DB_VERSION` by running the migrations after it
+ * in order, and logs them. Everything happens in the upgrade transaction, so an upgrade that
+ * is interrupted leaves the database at its old version and simply runs again next time.
+ * @param {IDBDatabase} database - The database being upgraded.
+ * @param {IDBTransaction} transaction - The upgrade transaction.
+ * @param {number} oldVersion - The version the database had (0 if it is new).
+ */
+function runDbMigrations(database, transaction, oldVersion) {
+    const pending = DB_MIGRATIONS.filter(migration => migration.version > oldVersion);
+    const transforms = new Map(); // Store name -> record transforms, in migration order
+    pending.forEach(migration => {
+        if (migration.upgrade) {
+            migration.upgrade(database, transaction);
+        }
+        Object.entries(migration.records || {}).forEach(([storeName, transform]) => {
+            transforms.set(storeName, [...(transforms.get(storeName) || []), transform]);
+        });
+        console.log(`Database migration ${migration.version}: ${migration.description}.`);
+    });
+
+    // A single pass per store, so the transforms never overwrite each other's changes
+    transforms.forEach((storeTransforms, storeName) => {
+        updateEachRecord(transaction.objectStore(storeName), record => storeTransforms.reduce((result, transform) => transform(result), record));
+    });
+
+    const log = transaction.objectStore(MIGRATION_LOG_STORE);
+    pending.forEach(migration => log.add({
+        type: 'database',
+        version: migration.version,
+        description: migration.description,
+        fromVersion: oldVersion,
+        status: 'completed',
+        finishedAt: Date.now()
+    }));
+    console.log(`IndexedDB upgraded from version ${oldVersion} to ${DB_VERSION}.`);
+}
+
+/**
+ * Picks a random id for an entry or revision. Ids stay numbers, so they work as before as keys
+ * and in the page.
+ * @returns {number} - A random positive integer.
+ */
+export function createRandomId() {
+    const [high, low] = window.crypto.getRandomValues(new Uint32Array(2));
+    return ((high % 2 ** (RANDOM_ID_BITS - 32)) * 2 ** 32 + low) || 1;
+}
+
+/**
+ * Adds a record to a store under a random id that no record in it has yet. The check and the
+ * add run in the caller's transaction, so nothing else can take the id in between.
+ * @param {IDBObjectStore} store - The store, in a readwrite or upgrade transaction.
+ * @param {object} record - The record; its `id` is replaced.
+ */
+function addUnderRandomId(store, record) {
+    const id = createRandomId();
+    store.getKey(id).onsuccess = (event) => {
+        if (event.target.result === undefined) {
+            store.add({ ...record, id });
+        } else {
+            addUnderRandomId(store, record);
+        }
+    };
+}
+
+/**
+ * Rewrites every record of a store during an upgrade.
+ * @param {IDBObjectStore} store - The store, in the upgrade transaction.
+ * @param {Function} update - Returns the new version of a record.
+ */
+function updateEachRecord(store, update) {
+    store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            cursor.update(update(cursor.value));
+            cursor.continue();
+        }
+    };
+}
+
 /**
  * Adds a user profile to IndexedDB.
  * @param {object} profile - The user profile object.
@@ -58,6 +251,69 @@ export function addUserProfile(profile) {
     });
 }
 
+/**
+ * Retrieves the usernames of all local profiles.
+ * @returns {Promise<Array<string>>} - The usernames, in key order.
+ */
+export function getAllUsernames() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([USER_PROFILE_STORE], 'readonly');
+        const store = transaction.objectStore(USER_PROFILE_STORE);
+        const request = store.getAllKeys();
+
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(new Error(`Get usernames error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Updates (or inserts) a user profile in IndexedDB.
+ * @param {object} profile - The user profile object.
+ * @returns {Promise<void>}
+ */
+export function updateUserProfile(profile) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([USER_PROFILE_STORE], 'readwrite');
+        const store = transaction.objectStore(USER_PROFILE_STORE);
+        const request = store.put(profile);
+
+        request.onsuccess = () => resolve();
+        request.onerror = (event) => reject(new Error(`Update user profile error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Reads a user profile and writes back a changed version of it in a single transaction, so that
+ * no other write (e.g. from another tab) can land in between and be lost.
+ * @param {string} username - The profile to change.
+ * @param {Function} update - Receives the stored profile and returns the new one, or null to
+ *     leave it as it is. It must not wait for anything, or the transaction closes.
+ * @returns {Promise<object>} - The profile as stored afterwards.
+ */
+export function modifyUserProfile(username, update) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([USER_PROFILE_STORE], 'readwrite');
+        const store = transaction.objectStore(USER_PROFILE_STORE);
+        let result;
+
+        store.get(username).onsuccess = (event) => {
+            const profile = event.target.result;
+            if (!profile) {
+                transaction.abort();
+                return;
+            }
+            result = update(profile) || profile;
+            if (result !== profile) {
+                store.put(result);
+            }
+        };
+        transaction.oncomplete = () => resolve(result);
+        transaction.onabort = (event) => reject(new Error(result === undefined
+            ? `No user profile found for ${username}.`
+            : `Update user profile error: ${event.target.error}`));
+    });
+}
+
 /**
  * Retrieves a user profile from IndexedDB.
  * @param {string} username - The username to retrieve.
@@ -77,6 +333,36 @@ export function getUserProfile(username) {
     });
 }
 
+/**
+ * Writes a user profile together with a set of journal entries, revisions, attachments and
+ * drafts in a single transaction, so either all records are committed or none are (used when
+ * re-encrypting the journal).
+ * @param {object} profile - The user profile object.
+ * @param {Array<object>} entries - The journal entries to write.
+ * @param {Array<object>} [revisions=[]] - The entry revisions to write.
+ * @param {Array<object>} [attachments=[]] - The attachments to write.
+ * @param {Array<object>} [drafts=[]] - The drafts to write.
+ * @returns {Promise<void>}
+ */
+export function saveUserProfileAndEntries(profile, entries, revisions = [], attachments = [], drafts = []) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([USER_PROFILE_STORE, JOURNAL_ENTRIES_STORE, REVISIONS_STORE, ATTACHMENTS_STORE, DRAFTS_STORE], 'readwrite');
+        transaction.objectStore(USER_PROFILE_STORE).put(profile);
+        const entryStore = transaction.objectStore(JOURNAL_ENTRIES_STORE);
+        entries.forEach(entry => entryStore.put(entry));
+        const revisionStore = transaction.objectStore(REVISIONS_STORE);
+        revisions.forEach(revision => revisionStore.put(revision));
+        const attachmentStore = transaction.objectStore(ATTACHMENTS_STORE);
+        attachments.forEach(attachment => attachmentStore.put(attachment));
+        const draftStore = transaction.objectStore(DRAFTS_STORE);
+        drafts.forEach(draft => draftStore.put(draft));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Save user data error: ${event.target.error}`));
+        transaction.onabort = () => reject(new Error(`Save user data aborted: ${transaction.error}`));
+    });
+}
+
 /**
  * Clears all data from a specific object store.
  * @param {string} storeName - The name of the object store to clear.
@@ -126,20 +412,214 @@ export function getJournalEntry(id) {
 }
 
 /**
- * Retrieves all journal entries from IndexedDB.
+ * Retrieves all journal entries belonging to a profile.
+ * @param {string} owner - The username whose entries to retrieve.
  * @returns {Promise<Array<object>>} - An array of journal entries.
  */
-export function getAllJournalEntries() {
+export function getAllJournalEntries(owner) {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([JOURNAL_ENTRIES_STORE], 'readonly');
         const store = transaction.objectStore(JOURNAL_ENTRIES_STORE);
-        const request = store.getAll();
+        const request = store.index(OWNER_INDEX).getAll(owner);
 
         request.onsuccess = (event) => resolve(event.target.result);
         request.onerror = (event) => reject(new Error(`Get all journal entries error: ${event.target.error}`));
     });
 }
 
+/**
+ * Retrieves the plaintext dates and the encrypted tags of all entries belonging to a profile,
+ * without their titles and contents. The owner and schema version are included, as the tags
+ * are bound to them.
+ * @param {string} owner - The username whose entries to read.
+ * @returns {Promise<Array<{id: number, owner: string, schemaVersion: number|undefined, entryDate: string, createdAt: number, updatedAt: number, deletedAt: number|undefined, tags: object|undefined}>>}
+ *     - One item per entry, trashed ones included.
+ */
+export function getJournalEntryMetadata(owner) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_ENTRIES_STORE], 'readonly');
+        const request = transaction.objectStore(JOURNAL_ENTRIES_STORE).index(OWNER_INDEX).openCursor(IDBKeyRange.only(owner));
+        const metadata = [];
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                const { id, owner, schemaVersion, entryDate, createdAt, updatedAt, deletedAt, tags } = cursor.value;
+                metadata.push({ id, owner, schemaVersion, entryDate, createdAt, updatedAt, deletedAt, tags });
+                cursor.continue();
+            } else {
+                resolve(metadata);
+            }
+        };
+        request.onerror = (event) => reject(new Error(`Get journal entry metadata error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves one page of a profile's entries, newest entry date first, by walking the date index.
+ * @param {string} owner - The username whose entries to read.
+ * @param {object} [options]
+ * @param {Array|null} [options.after=null] - The `nextKey` of the previous page, or null for the first page.
+ * @param {number} [options.limit=50] - The maximum number of entries in the page.
+ * @param {string|null} [options.entryDate=null] - Only read the entries of this day ('YYYY-MM-DD').
+ * @param {Function} [options.filter] - Called with each stored entry; entries it rejects are skipped.
+ * @returns {Promise<{entries: Array<object>, nextKey: Array|null}>} - The encrypted entries, and the key to
+ *     continue after, or null once the last entry has been read.
+ */
+export function getJournalEntryPage(owner, { after = null, limit = 50, entryDate = null, filter = () => true } = {}) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_ENTRIES_STORE], 'readonly');
+        const index = transaction.objectStore(JOURNAL_ENTRIES_STORE).index(DATE_INDEX);
+        // Arrays sort after every string and number, so `[]` is above any key with the same prefix
+        const lower = entryDate ? [owner, entryDate] : [owner];
+        const upper = after || (entryDate ? [owner, entryDate, []] : [owner, []]);
+        const request = index.openCursor(IDBKeyRange.bound(lower, upper, false, !!after), 'prev');
+        const entries = [];
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve({ entries, nextKey: null });
+                return;
+            }
+            if (filter(cursor.value)) {
+                entries.push(cursor.value);
+                if (entries.length === limit) {
+                    resolve({ entries, nextKey: cursor.key });
+                    return;
+                }
+            }
+            cursor.continue();
+        };
+        request.onerror = (event) => reject(new Error(`Get journal entry page error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Counts a profile's records in a store by record schema version. Records written before
+ * records carried a `schemaVersion` count as version 1.
+ * @param {string} storeName - The store.
+ * @param {string} owner - The username whose records to count.
+ * @returns {Promise<Map<number, number>>} - The number of records of each version.
+ */
+export function countRecordsBySchemaVersion(storeName, owner) {
+    return new Promise((resolve, reject) => {
+        const counts = new Map();
+        const transaction = db.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).index(OWNER_INDEX).openCursor(IDBKeyRange.only(owner));
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                const version = cursor.value.schemaVersion || 1;
+                counts.set(version, (counts.get(version) || 0) + 1);
+                cursor.continue();
+            }
+        };
+        transaction.oncomplete = () => resolve(counts);
+        transaction.onerror = (event) => reject(new Error(`Count records error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves some of a profile's records that are older than a record schema version, in key order.
+ * @param {string} storeName - The store.
+ * @param {string} owner - The username whose records to retrieve.
+ * @param {number} version - Records with a lower schema version are returned.
+ * @param {number} limit - The most records to return.
+ * @param {object|null} [after=null] - The last record of the previous batch; only records after it are
+ *     returned, so those a migration had to leave at their version are not read again.
+ * @returns {Promise<Array<object>>} - The records.
+ */
+export function getRecordsBelowSchemaVersion(storeName, owner, version, limit, after = null) {
+    return new Promise((resolve, reject) => {
+        const records = [];
+        const transaction = db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const afterKey = after && (Array.isArray(store.keyPath) ? store.keyPath.map(path => after[path]) : after[store.keyPath]);
+        const request = store.index(OWNER_INDEX).openCursor(IDBKeyRange.only(owner));
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+            const position = afterKey === null ? 1 : indexedDB.cmp(cursor.primaryKey, afterKey);
+            if (position < 0) {
+                cursor.continuePrimaryKey(owner, afterKey); // Skips ahead to the last record of the previous batch
+                return;
+            }
+            if (position > 0 && (cursor.value.schemaVersion || 1) < version) {
+                records.push(cursor.value);
+            }
+            if (records.length < limit) {
+                cursor.continue();
+            }
+        };
+        transaction.oncomplete = () => resolve(records);
+        transaction.onerror = (event) => reject(new Error(`Get records error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Stores records brought up to a record schema version, in a single transaction. A record that
+ * changed since it was read is left alone and migrated again later: records the app writes
+ * carry the current schema version, so an old one only changes when it is trashed or restored.
+ * @param {string} storeName - The store.
+ * @param {Array<object>} records - The records as the migration returned them; those it converted carry their new `schemaVersion`.
+ * @param {Array<object>} originals - The records as they were read, in the same order.
+ * @returns {Promise<void>}
+ */
+export function putMigratedRecords(storeName, records, originals) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const keyOf = (record) => Array.isArray(store.keyPath) ? store.keyPath.map(path => record[path]) : record[store.keyPath];
+        records.forEach((record, index) => {
+            const original = originals[index];
+            store.get(keyOf(original)).onsuccess = (event) => {
+                const current = event.target.result;
+                if (current && current.schemaVersion === original.schemaVersion &&
+                    current.updatedAt === original.updatedAt && current.deletedAt === original.deletedAt) {
+                    store.put(record);
+                }
+            };
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Store migrated records error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Adds or updates an entry of the migration log.
+ * @param {object} entry - The log entry; without an `id` it is added as a new one.
+ * @returns {Promise<number>} - The id of the log entry.
+ */
+export function putMigrationLogEntry(entry) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([MIGRATION_LOG_STORE], 'readwrite');
+        const request = transaction.objectStore(MIGRATION_LOG_STORE).put(entry);
+
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(new Error(`Migration log error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves the migration log.
+ * @returns {Promise<Array<object>>} - The log entries, oldest first.
+ */
+export function getMigrationLog() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([MIGRATION_LOG_STORE], 'readonly');
+        const request = transaction.objectStore(MIGRATION_LOG_STORE).getAll();
+
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(new Error(`Get migration log error: ${event.target.error}`));
+    });
+}
+
 /**
  * Updates an existing journal entry in IndexedDB.
  * @param {object} entry - The updated journal entry object.
@@ -157,28 +637,472 @@ export function updateJournalEntry(entry) {
 }
 
 /**
- * Deletes a journal entry from IndexedDB.
- * @param {string} id - The ID of the journal entry to delete.
+ * Adds or updates several journal entries, and optionally their attachments, in a single transaction.
+ * @param {Array<object>} entries - The journal entries to write.
+ * @param {Array<object>} [attachments=[]] - Attachments to write along with them.
  * @returns {Promise<void>}
  */
-export function deleteJournalEntry(id) {
+export function putJournalEntries(entries, attachments = []) {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([JOURNAL_ENTRIES_STORE], 'readwrite');
+        const transaction = db.transaction([JOURNAL_ENTRIES_STORE, ATTACHMENTS_STORE], 'readwrite');
         const store = transaction.objectStore(JOURNAL_ENTRIES_STORE);
-        const request = store.delete(id);
+        const attachmentStore = transaction.objectStore(ATTACHMENTS_STORE);
+        try {
+            entries.forEach(entry => store.put(entry));
+            attachments.forEach(attachment => attachmentStore.put(attachment));
+        } catch (error) {
+            transaction.abort(); // Don't commit the entries queued before the invalid one
+            reject(new Error(`Put journal entries error: ${error}`));
+            return;
+        }
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Put journal entries error: ${event.target.error}`));
+        transaction.onabort = () => reject(new Error(`Put journal entries aborted: ${transaction.error}`));
+    });
+}
+
+/**
+ * Rewrites a profile's entries together with the records that refer to them, in one transaction
+ * (used when entries change ids, as privacy mode does). Deletions are queued before writes, so
+ * a record may move to a new key.
+ * @param {object} changes
+ * @param {Array<number>} [changes.removedEntryIds=[]] - Entries to delete; their revisions, attachments
+ *     and drafts are not touched, so they must be moved with the other changes.
+ * @param {Array<number>} [changes.removedRevisionIds=[]] - Revisions to delete.
+ * @param {Array<object>} [changes.entries=[]] - Entries to write.
+ * @param {Array<object>} [changes.revisions=[]] - Revisions to write.
+ * @param {Array<object>} [changes.attachments=[]] - Attachments to write.
+ * @param {Array<Array>} [changes.removedDraftKeys=[]] - The `[owner, slot]` keys of drafts to delete.
+ * @param {Array<object>} [changes.drafts=[]] - Drafts to write.
+ * @returns {Promise<void>}
+ */
+export function rewriteEntryRecords({ removedEntryIds = [], removedRevisionIds = [], entries = [], revisions = [], attachments = [], removedDraftKeys = [], drafts = [] }) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_ENTRIES_STORE, REVISIONS_STORE, ATTACHMENTS_STORE, DRAFTS_STORE], 'readwrite');
+        const entryStore = transaction.objectStore(JOURNAL_ENTRIES_STORE);
+        const revisionStore = transaction.objectStore(REVISIONS_STORE);
+        const draftStore = transaction.objectStore(DRAFTS_STORE);
+        try {
+            removedEntryIds.forEach(id => entryStore.delete(id));
+            removedRevisionIds.forEach(id => revisionStore.delete(id));
+            removedDraftKeys.forEach(key => draftStore.delete(key));
+            entries.forEach(entry => entryStore.put(entry));
+            revisions.forEach(revision => revisionStore.put(revision));
+            attachments.forEach(attachment => transaction.objectStore(ATTACHMENTS_STORE).put(attachment));
+            drafts.forEach(draft => draftStore.put(draft));
+        } catch (error) {
+            transaction.abort(); // Nothing queued before the invalid record is committed
+            reject(new Error(`Rewrite journal entries error: ${error}`));
+            return;
+        }
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Rewrite journal entries error: ${event.target.error}`));
+        transaction.onabort = () => reject(new Error(`Rewrite journal entries aborted: ${transaction.error}`));
+    });
+}
+
+/**
+ * Updates a journal entry and keeps the version it replaces as a revision, in one transaction.
+ * A sealed version (see privacy.js) is kept under a random id, as counted-up ids would show the
+ * order of the edits.
+ * @param {object} entry - The updated journal entry object.
+ * @returns {Promise<void>}
+ */
+export function updateJournalEntryWithRevision(entry) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_ENTRIES_STORE, REVISIONS_STORE], 'readwrite');
+        const entryStore = transaction.objectStore(JOURNAL_ENTRIES_STORE);
+
+        entryStore.get(entry.id).onsuccess = (event) => {
+            const previous = event.target.result;
+            if (previous) {
+                const { id, ...previousFields } = previous;
+                const revisionStore = transaction.objectStore(REVISIONS_STORE);
+                if (previous.sealed) {
+                    addUnderRandomId(revisionStore, previousFields); // Its blob holds the entry id
+                } else {
+                    revisionStore.add({ ...previousFields, entryId: id });
+                }
+            }
+            entryStore.put(entry);
+        };
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Update journal entry error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves the saved revisions of a journal entry.
+ * @param {number} entryId - The ID of the journal entry.
+ * @returns {Promise<Array<object>>} - The revisions, oldest first.
+ */
+export function getEntryRevisions(entryId) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([REVISIONS_STORE], 'readonly');
+        const request = transaction.objectStore(REVISIONS_STORE).index(ENTRY_INDEX).getAll(entryId);
+
+        request.onsuccess = (event) => resolve(event.target.result.sort((a, b) => a.updatedAt - b.updatedAt));
+        request.onerror = (event) => reject(new Error(`Get entry revisions error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves every revision belonging to a profile.
+ * @param {string} owner - The username whose revisions to retrieve.
+ * @returns {Promise<Array<object>>} - The revisions.
+ */
+export function getAllRevisions(owner) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([REVISIONS_STORE], 'readonly');
+        const request = transaction.objectStore(REVISIONS_STORE).index(OWNER_INDEX).getAll(owner);
+
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(new Error(`Get revisions error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Deletes a profile's revisions that fall outside the retention policy: those older than
+ * `olderThan`, and all but the newest `maxPerEntry` of each entry.
+ * @param {string} owner - The username whose revisions to prune.
+ * @param {object} policy
+ * @param {number} policy.maxPerEntry - How many revisions to keep per entry.
+ * @param {number} [policy.olderThan=0] - Delete revisions saved before this timestamp (0 = no age limit).
+ * @param {Function} [policy.getUpdatedAt] - Returns when a stored revision was saved; by default its
+ *     `updatedAt`, which sealed revisions (see privacy.js) only have inside their blob.
+ * @param {Function} [policy.getEntryId] - Returns the entry of a stored revision; by default its
+ *     `entryId`, which sealed revisions also keep inside their blob.
+ * @returns {Promise<number>} - How many revisions were deleted.
+ */
+export function pruneRevisions(owner, { maxPerEntry, olderThan = 0, getUpdatedAt = revision => revision.updatedAt, getEntryId = revision => revision.entryId }) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([REVISIONS_STORE], 'readwrite');
+        const store = transaction.objectStore(REVISIONS_STORE);
+        const byEntry = new Map();
+        let deleted = 0;
+
+        store.index(OWNER_INDEX).openCursor(IDBKeyRange.only(owner)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                const entryId = getEntryId(cursor.value);
+                byEntry.set(entryId, [...(byEntry.get(entryId) || []), { id: cursor.value.id, updatedAt: getUpdatedAt(cursor.value) }]);
+                cursor.continue();
+                return;
+            }
+            byEntry.forEach(revisions => {
+                revisions.sort((a, b) => b.updatedAt - a.updatedAt);
+                revisions.forEach((revision, index) => {
+                    if (index >= maxPerEntry || revision.updatedAt < olderThan) {
+                        store.delete(revision.id);
+                        deleted++;
+                    }
+                });
+            });
+        };
+
+        transaction.oncomplete = () => resolve(deleted);
+        transaction.onerror = (event) => reject(new Error(`Prune revisions error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves a single attachment, including its encrypted data.
+ * @param {string} id - The ID of the attachment.
+ * @returns {Promise<object|undefined>} - The attachment or undefined if not found.
+ */
+export function getAttachment(id) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ATTACHMENTS_STORE], 'readonly');
+        const request = transaction.objectStore(ATTACHMENTS_STORE).get(id);
+
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(new Error(`Get attachment error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves the attachments of one of a profile's journal entries. Entry ids can repeat across
+ * profiles (imports, creation times), so attachments of other profiles are left out.
+ * @param {string} owner - The username the entry belongs to.
+ * @param {number} entryId - The ID of the journal entry.
+ * @returns {Promise<Array<object>>} - The attachments, in the order they were added.
+ */
+export function getEntryAttachments(owner, entryId) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ATTACHMENTS_STORE], 'readonly');
+        const request = transaction.objectStore(ATTACHMENTS_STORE).index(ENTRY_INDEX).getAll(entryId);
+
+        request.onsuccess = (event) => resolve(event.target.result
+            .filter(attachment => attachment.owner === owner)
+            .sort((a, b) => a.timestamp - b.timestamp));
+        request.onerror = (event) => reject(new Error(`Get entry attachments error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves every attachment belonging to a profile.
+ * @param {string} owner - The username whose attachments to retrieve.
+ * @returns {Promise<Array<object>>} - The attachments.
+ */
+export function getAllAttachments(owner) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ATTACHMENTS_STORE], 'readonly');
+        const request = transaction.objectStore(ATTACHMENTS_STORE).index(OWNER_INDEX).getAll(owner);
+
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(new Error(`Get attachments error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Adds and removes attachments in a single transaction (applied when an entry is saved).
+ * @param {Array<object>} added - The new attachments.
+ * @param {Array<string>} [removedIds=[]] - The IDs of the attachments to delete.
+ * @returns {Promise<void>}
+ */
+export function updateAttachments(added, removedIds = []) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([ATTACHMENTS_STORE], 'readwrite');
+        const store = transaction.objectStore(ATTACHMENTS_STORE);
+        added.forEach(attachment => store.add(attachment));
+        removedIds.forEach(id => store.delete(id));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Update attachments error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Stores (or replaces) the autosaved draft of an editor slot.
+ * @param {{owner: string, slot: number|string, entryId: number|null, draft: object}} draft - The draft
+ *     record; `slot` is the entry id, or `NEW_ENTRY_SLOT` for a new entry. A sealed draft (see
+ *     privacy.js) has a random slot and no `entryId`.
+ * @returns {Promise<void>}
+ */
+export function putDraft(draft) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([DRAFTS_STORE], 'readwrite');
+        const request = transaction.objectStore(DRAFTS_STORE).put(draft);
 
         request.onsuccess = () => resolve();
-        request.onerror = (event) => reject(new Error(`Delete journal entry error: ${event.target.error}`));
+        request.onerror = (event) => reject(new Error(`Save draft error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Retrieves every draft belonging to a profile.
+ * @param {string} owner - The username whose drafts to retrieve.
+ * @returns {Promise<Array<object>>} - The drafts, in key order; when they were saved is only in their encrypted contents.
+ */
+export function getDrafts(owner) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([DRAFTS_STORE], 'readonly');
+        const request = transaction.objectStore(DRAFTS_STORE).index(OWNER_INDEX).getAll(owner);
+
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(new Error(`Get drafts error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Deletes the draft of an editor slot, if there is one.
+ * @param {string} owner - The profile the draft belongs to.
+ * @param {number|string} slot - The entry id, `NEW_ENTRY_SLOT`, or the random slot of a sealed draft.
+ * @returns {Promise<void>}
+ */
+export function deleteDraft(owner, slot) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([DRAFTS_STORE], 'readwrite');
+        const request = transaction.objectStore(DRAFTS_STORE).delete([owner, slot]);
+
+        request.onsuccess = () => resolve();
+        request.onerror = (event) => reject(new Error(`Delete draft error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Deletes several journal entries and their revisions, attachments and drafts in one
+ * transaction, so either all of them go or none does. Sealed revisions, attachments and drafts
+ * (see privacy.js) do not show their entry, so they are passed by key.
+ * @param {Array<number>} ids - The IDs of the journal entries to delete.
+ * @param {object} [sealedRecords={}] - The sealed records of the entries, from `findSealedRecordsOfEntries`.
+ * @param {Array<number>} [sealedRecords.revisionIds=[]] - The IDs of their sealed revisions.
+ * @param {Array<string>} [sealedRecords.attachmentIds=[]] - The IDs of their sealed attachments.
+ * @param {Array<Array>} [sealedRecords.draftKeys=[]] - The `[owner, slot]` keys of their sealed drafts.
+ * @returns {Promise<void>}
+ */
+export function deleteJournalEntries(ids, { revisionIds = [], attachmentIds = [], draftKeys = [] } = {}) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_ENTRIES_STORE, REVISIONS_STORE, ATTACHMENTS_STORE, DRAFTS_STORE], 'readwrite');
+        ids.forEach(id => {
+            transaction.objectStore(JOURNAL_ENTRIES_STORE).delete(id);
+            deleteRecordsOfEntry(transaction.objectStore(REVISIONS_STORE), id);
+            deleteRecordsOfEntry(transaction.objectStore(ATTACHMENTS_STORE), id);
+            deleteRecordsOfEntry(transaction.objectStore(DRAFTS_STORE), id);
+        });
+        revisionIds.forEach(id => transaction.objectStore(REVISIONS_STORE).delete(id));
+        attachmentIds.forEach(id => transaction.objectStore(ATTACHMENTS_STORE).delete(id));
+        draftKeys.forEach(key => transaction.objectStore(DRAFTS_STORE).delete(key));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Delete journal entries error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Permanently deletes every trashed entry (of any profile) that was moved to the trash
+ * before `olderThan`, together with its revisions, attachments and draft. Needs no key, so it
+ * can run at startup. Sealed entries (see privacy.js) keep their trash time in their blob and
+ * are purged after unlock instead.
+ * @param {number} olderThan - Timestamp; entries trashed before it are purged.
+ * @returns {Promise<number>} - How many entries were purged.
+ */
+export function purgeTrashedEntries(olderThan) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_ENTRIES_STORE, REVISIONS_STORE, ATTACHMENTS_STORE, DRAFTS_STORE], 'readwrite');
+        let purged = 0;
+
+        transaction.objectStore(JOURNAL_ENTRIES_STORE).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+            const { id, deletedAt } = cursor.value;
+            if (deletedAt && deletedAt < olderThan) {
+                cursor.delete();
+                purged++;
+                deleteRecordsOfEntry(transaction.objectStore(REVISIONS_STORE), id);
+                deleteRecordsOfEntry(transaction.objectStore(ATTACHMENTS_STORE), id);
+                deleteRecordsOfEntry(transaction.objectStore(DRAFTS_STORE), id);
+            }
+            cursor.continue();
+        };
+
+        transaction.oncomplete = () => resolve(purged);
+        transaction.onerror = (event) => reject(new Error(`Purge trash error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Deletes all journal entries belonging to a profile, leaving other profiles' entries intact.
+ * @param {string} owner - The username whose entries to delete.
+ * @returns {Promise<void>}
+ */
+export function clearJournalEntries(owner) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_ENTRIES_STORE], 'readwrite');
+        deleteEntriesByOwner(transaction.objectStore(JOURNAL_ENTRIES_STORE), owner);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Clear journal entries error: ${event.target.error}`));
     });
 }
 
 /**
- * Clears all user data (profile and journal entries) from IndexedDB.
+ * Deletes a profile and all of its journal entries, revisions, attachments and drafts in one transaction.
+ * @param {string} username - The profile to delete.
+ * @returns {Promise<void>}
+ */
+export function deleteUserData(username) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([USER_PROFILE_STORE, JOURNAL_ENTRIES_STORE, REVISIONS_STORE, ATTACHMENTS_STORE, DRAFTS_STORE], 'readwrite');
+        transaction.objectStore(USER_PROFILE_STORE).delete(username);
+        deleteEntriesByOwner(transaction.objectStore(JOURNAL_ENTRIES_STORE), username);
+        deleteEntriesByOwner(transaction.objectStore(REVISIONS_STORE), username);
+        deleteEntriesByOwner(transaction.objectStore(ATTACHMENTS_STORE), username);
+        deleteEntriesByOwner(transaction.objectStore(DRAFTS_STORE), username);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(new Error(`Delete user data error: ${event.target.error}`));
+    });
+}
+
+/**
+ * Replaces a profile and all of its journal entries and attachments in one transaction
+ * (used by import). The profile's revisions and drafts are dropped, as the backup's key cannot read them.
+ * If any write fails the transaction is aborted and the previous profile, entries,
+ * revisions and attachments stay exactly as they were.
+ * @param {object} profile - The user profile object.
+ * @param {Array<object>} entries - The profile's new journal entries.
+ * @param {Array<object>} [attachments=[]] - The attachments of the new entries.
+ * @returns {Promise<void>}
+ */
+export function replaceUserData(profile, entries, attachments = []) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([USER_PROFILE_STORE, JOURNAL_ENTRIES_STORE, REVISIONS_STORE, ATTACHMENTS_STORE, DRAFTS_STORE], 'readwrite');
+        const entryStore = transaction.objectStore(JOURNAL_ENTRIES_STORE);
+        const attachmentStore = transaction.objectStore(ATTACHMENTS_STORE);
+        let failure = null;
+        const addAll = (store, records) => {
+            try {
+                records.forEach(record => store.add(record));
+            } catch (error) {
+                failure = error;
+                transaction.abort();
+            }
+        };
+
+        transaction.objectStore(USER_PROFILE_STORE).put(profile);
+        deleteEntriesByOwner(transaction.objectStore(REVISIONS_STORE), profile.username);
+        deleteEntriesByOwner(transaction.objectStore(DRAFTS_STORE), profile.username);
+        // The new records share the owner index with the old ones, so add them only once the old ones are gone
+        deleteEntriesByOwner(entryStore, profile.username, () => addAll(entryStore, entries));
+        deleteEntriesByOwner(attachmentStore, profile.username, () => addAll(attachmentStore, attachments));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => {
+            failure = failure || event.target.error;
+        };
+        transaction.onabort = () => reject(new Error(`Replace user data aborted: ${failure || transaction.error}`));
+    });
+}
+
+/**
+ * Queues deletion of every record owned by `owner` within an open transaction.
+ * @param {IDBObjectStore} entryStore - A store with an owner index (entries, revisions, attachments, drafts) of a readwrite transaction.
+ * @param {string} owner - The username whose records to delete.
+ * @param {Function} [onDone] - Called inside the transaction once every deletion is queued.
+ */
+function deleteEntriesByOwner(entryStore, owner, onDone) {
+    entryStore.index(OWNER_INDEX).openKeyCursor(IDBKeyRange.only(owner)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            entryStore.delete(cursor.primaryKey);
+            cursor.continue();
+        } else if (onDone) {
+            onDone();
+        }
+    };
+}
+
+/**
+ * Queues deletion of every revision, attachment or draft of an entry within an open transaction.
+ * @param {IDBObjectStore} store - The revisions, attachments or drafts store of a readwrite transaction.
+ * @param {number} entryId - The entry whose records to delete.
+ */
+function deleteRecordsOfEntry(store, entryId) {
+    store.index(ENTRY_INDEX).openKeyCursor(IDBKeyRange.only(entryId)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        }
+    };
+}
+
+/**
+ * Clears all user data (all profiles and journal entries) from IndexedDB.
  * @returns {Promise<void>}
  */
 export function clearAllData() {
     return Promise.all([
         clearStore(USER_PROFILE_STORE),
-        clearStore(JOURNAL_ENTRIES_STORE)
+        clearStore(JOURNAL_ENTRIES_STORE),
+        clearStore(REVISIONS_STORE),
+        clearStore(ATTACHMENTS_STORE),
+        clearStore(DRAFTS_STORE)
     ]);
 }
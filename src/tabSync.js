@@ -0,0 +1,70 @@
+// src/tabSync.js
+
+/**
+ * @fileoverview Coordination between tabs that have the journal open. Each tab keeps its own
+ * key and entry cache, so a tab that changes the journal tells the others over a
+ * BroadcastChannel, and they lock, sign out or re-read the entries it names.
+ *
+ * Messages only name the profile and the entries:  { type, owner, entryIds, ...details }
+ * No entry content or key material is ever sent. A tab does not receive its own messages.
+ */
+
+const CHANNEL_NAME = 'webx-journal';
+
+export const TAB_EVENT_LOCK = 'lock';
+export const TAB_EVENT_LOGOUT = 'logout';
+export const TAB_EVENT_ENTRY_CREATED = 'entry-created';
+export const TAB_EVENT_ENTRY_UPDATED = 'entry-updated';
+export const TAB_EVENT_ENTRY_DELETED = 'entry-deleted';
+export const TAB_EVENT_IMPORT = 'import';
+export const TAB_EVENT_CLEAR_ALL = 'clear-all';
+export const TAB_EVENT_PRIVACY_MODE = 'privacy-mode';
+
+let channel = null;
+
+/**
+ * Starts listening to the other tabs. Replaces any previously started listener. Does nothing
+ * where BroadcastChannel is not supported; each tab then works on its own as before.
+ * @param {Function} onEvent - Called with each message from another tab.
+ */
+export function startTabSync(onEvent) {
+    stopTabSync();
+    if (typeof BroadcastChannel === 'undefined') {
+        return;
+    }
+
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', (event) => {
+        const message = event.data;
+        if (message && typeof message.type === 'string') {
+            onEvent({ ...message, entryIds: Array.isArray(message.entryIds) ? message.entryIds : [] });
+        }
+    });
+}
+
+/**
+ * Stops listening to the other tabs.
+ */
+export function stopTabSync() {
+    if (channel) {
+        channel.close();
+        channel = null;
+    }
+}
+
+/**
+ * Tells the other tabs about a change made in this one.
+ * @param {string} type - One of the TAB_EVENT_* constants.
+ * @param {string} owner - The username whose journal changed.
+ * @param {object} [details={}] - `entryIds` for entry events, and any other plain values.
+ */
+export function broadcastTabEvent(type, owner, details = {}) {
+    if (!channel || !owner) {
+        return;
+    }
+    try {
+        channel.postMessage({ entryIds: [], ...details, type, owner });
+    } catch (error) {
+        console.warn('Could not notify the other tabs:', error);
+    }
+}
@@ -0,0 +1,99 @@
+// src/tags.js
+
+/**
+ * @fileoverview Tag helpers. Tags are stored inside each entry as an encrypted JSON array,
+ * so everything here works on decrypted entries held in memory.
+ */
+
+export const TAG_FILTER_ANY = 'any';
+export const TAG_FILTER_ALL = 'all';
+
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normalizes a single tag name: trims it and collapses inner whitespace.
+ * @param {string} tag - The tag as typed.
+ * @returns {string} - The normalized tag (may be empty).
+ */
+export function normalizeTag(tag) {
+    return (tag || '').trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Parses the comma-separated tags typed in the editor.
+ * Duplicates are dropped case-insensitively, keeping the first spelling.
+ * @param {string} text - The tags input value.
+ * @returns {Array<string>} - The tags.
+ */
+export function parseTags(text) {
+    return uniqueTags((text || '').split(',').map(normalizeTag));
+}
+
+/**
+ * Formats tags for the editor input.
+ * @param {Array<string>} tags - The tags.
+ * @returns {string} - The comma-separated tags.
+ */
+export function formatTags(tags) {
+    return (tags || []).join(', ');
+}
+
+/**
+ * Removes empty and case-insensitively duplicate tags.
+ */
+function uniqueTags(tags) {
+    const seen = new Set();
+    return tags.filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Counts how many entries carry each tag.
+ * @param {Array<object>} entries - Decrypted entries with a `tags` array.
+ * @returns {Array<{name: string, count: number}>} - The tags, sorted by name.
+ */
+export function countTags(entries) {
+    const counts = new Map();
+    entries.forEach(entry => (entry.tags || []).forEach(tag => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+    }));
+    return [...counts.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Keeps the entries that carry any (or all) of the selected tags.
+ * @param {Array<object>} entries - Decrypted entries with a `tags` array.
+ * @param {Array<string>} selectedTags - The tags to filter by; none means no filtering.
+ * @param {string} [mode=TAG_FILTER_ANY] - `TAG_FILTER_ANY` or `TAG_FILTER_ALL`.
+ * @returns {Array<object>} - The matching entries, in their original order.
+ */
+export function filterByTags(entries, selectedTags, mode = TAG_FILTER_ANY) {
+    if (selectedTags.length === 0) {
+        return entries;
+    }
+    return entries.filter(entry => {
+        const tags = entry.tags || [];
+        return mode === TAG_FILTER_ALL
+            ? selectedTags.every(tag => tags.includes(tag))
+            : selectedTags.some(tag => tags.includes(tag));
+    });
+}
+
+/**
+ * Renames a tag in a list of tags. If the new name is already present the two are merged.
+ * @param {Array<string>} tags - The entry's tags.
+ * @param {string} from - The tag to rename.
+ * @param {string} to - The new (normalized) name.
+ * @returns {Array<string>} - The updated tags.
+ */
+export function renameTag(tags, from, to) {
+    return uniqueTags(tags.map(tag => (tag === from ? to : tag)));
+}
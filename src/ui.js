@@ -1,5 +1,8 @@
 // src/ui.js
 
+import { renderMarkdown } from './markdown.js';
+import { formatDateKey, getMonthWeeks } from './dates.js';
+
 const selectors = {
     appContentContainer: '#app-content-container', // New selector for the main app content area
     authSection: '#authSection',
@@ -10,13 +13,98 @@ const selectors = {
     journalEntryForm: '#journalEntryForm',
     journalEntryTitle: '#journalEntryTitle',
     journalEntryContent: '#journalEntryContent',
+    journalEntryTags: '#journalEntryTags',
+    journalEntryDate: '#journalEntryDate',
+    attachmentInput: '#attachmentInput',
+    attachmentList: '#attachmentList',
+    readEntryAttachments: '#readEntryAttachments',
+    draftStatus: '#draftStatus',
+    draftsSection: '#draftsSection',
+    draftList: '#draftList',
+    previewBtn: '#previewBtn',
+    journalEntryPreview: '#journalEntryPreview',
+    journalEntryReadSection: '#journalEntryReadSection',
+    readEntryTitle: '#readEntryTitle',
+    readEntryMeta: '#readEntryMeta',
+    readEntryContent: '#readEntryContent',
+    readEditBtn: '#readEditBtn',
+    tagList: '#tagList',
+    calendarTitle: '#calendarTitle',
+    calendarGrid: '#calendarGrid',
+    dateFilter: '#dateFilter',
+    dateFilterLabel: '#dateFilterLabel',
+    tagFilterMode: '#tagFilterMode',
     messageContainer: '#messageContainer',
     loadingOverlay: '#loadingOverlay',
+    loadingProgress: '#loadingProgress',
+    loadingProgressBar: '#loadingProgressBar',
+    loadingProgressLabel: '#loadingProgressLabel',
     loginRegisterContainer: '#loginRegisterContainer', // Selector for the form container
     registerForm: '#registerForm',
     loginForm: '#loginForm',
+    recoveryForm: '#recoveryForm',
     showLoginLink: '#showLogin',
-    showRegisterLink: '#showRegister'
+    showRegisterLink: '#showRegister',
+    showRecoveryLink: '#showRecovery',
+    backToLoginLink: '#backToLogin',
+    autoLockSelect: '#autoLockSelect',
+    changePasswordSection: '#changePasswordSection',
+    changePasswordForm: '#changePasswordForm',
+    pinSection: '#pinSection',
+    pinStatus: '#pinStatus',
+    pinForm: '#pinForm',
+    pinMaxAgeSelect: '#pinMaxAgeSelect',
+    setPinBtn: '#setPinBtn',
+    removePinBtn: '#removePinBtn',
+    loginThrottleNotice: '#loginThrottleNotice',
+    loginProtectionSection: '#loginProtectionSection',
+    wipeAfterSelect: '#wipeAfterSelect',
+    importSection: '#importSection',
+    importForm: '#importForm',
+    importBackupInfo: '#importBackupInfo',
+    importConflictOptions: '#importConflictOptions',
+    importSummary: '#importSummary',
+    searchInput: '#searchInput',
+    historyBtn: '#historyBtn',
+    historyPanel: '#historyPanel',
+    revisionList: '#revisionList',
+    revisionRetentionSelect: '#revisionRetentionSelect',
+    diffFromSelect: '#diffFromSelect',
+    diffToSelect: '#diffToSelect',
+    revisionDiff: '#revisionDiff',
+    trashBtn: '#trashBtn',
+    trashSection: '#trashSection',
+    trashList: '#trashList',
+    trashRetentionSelect: '#trashRetentionSelect',
+    emptyTrashBtn: '#emptyTrashBtn',
+    privacySection: '#privacySection',
+    privacyModeStatus: '#privacyModeStatus',
+    togglePrivacyModeBtn: '#togglePrivacyModeBtn'
+};
+
+// List rows have a fixed height, so the list can be virtualized: only rows in view are in the page
+const ENTRY_ROW_HEIGHT = 164; // px, including the gap below the row
+const ENTRY_ROW_GAP = 12;
+const ENTRY_LIST_OVERSCAN = 5; // Rows rendered above and below the visible ones
+const entryList = { rows: [], createItem: null, hasMore: false, emptyMessage: '', renderedRange: null };
+
+// The sanitizer drops class attributes, so rendered Markdown is styled here by tag name
+const MARKDOWN_CLASSES = {
+    H1: 'text-3xl font-bold text-white mt-4 mb-2',
+    H2: 'text-2xl font-bold text-white mt-4 mb-2',
+    H3: 'text-xl font-semibold text-white mt-3 mb-2',
+    H4: 'text-lg font-semibold text-white mt-3 mb-1',
+    H5: 'font-semibold text-white mt-2 mb-1',
+    H6: 'font-semibold text-gray-300 mt-2 mb-1',
+    P: 'mb-3',
+    UL: 'list-disc pl-6 mb-3',
+    OL: 'list-decimal pl-6 mb-3',
+    BLOCKQUOTE: 'border-l-4 border-gray-500 pl-4 italic text-gray-300 mb-3',
+    PRE: 'bg-gray-900 p-3 rounded mb-3 overflow-x-auto',
+    CODE: 'bg-gray-900 rounded px-1 font-mono text-sm',
+    A: 'text-blue-400 underline hover:text-blue-300',
+    HR: 'border-gray-600 my-4',
+    INPUT: 'mr-1 align-middle'
 };
 
 /**
@@ -52,12 +140,35 @@ export function toggleVisibility(selector) {
     }
 }
 
+/**
+ * Fills a profile picker with the local usernames.
+ * Options are built as DOM nodes so usernames are never interpreted as HTML.
+ * @param {HTMLSelectElement|null} select - The select element to fill.
+ * @param {Array<string>} usernames - The usernames to offer.
+ * @param {string|null} selectedUsername - The username to preselect, if present.
+ */
+function populateUsernameSelect(select, usernames, selectedUsername) {
+    if (!select) {
+        return;
+    }
+    select.innerHTML = '';
+    usernames.forEach(username => {
+        const option = document.createElement('option');
+        option.value = username;
+        option.textContent = username;
+        option.selected = username === selectedUsername;
+        select.appendChild(option);
+    });
+}
+
 /**
  * Renders the authentication forms (login/register).
  * This function now also injects the HTML for the forms.
  * @param {boolean} showRegisterDefault - If true, shows register form by default; otherwise, login.
+ * @param {Array<string>} [usernames=[]] - Local profiles offered in the login and recovery pickers.
+ * @param {string|null} [selectedUsername=null] - The profile to preselect (e.g. the last one used).
  */
-export function renderAuthForms(showRegisterDefault = true) {
+export function renderAuthForms(showRegisterDefault = true, usernames = [], selectedUsername = null) {
     hideElement(selectors.loadingOverlay); // Ensure loading overlay is hidden
 
     // Show the main app content container
@@ -71,6 +182,7 @@ export function renderAuthForms(showRegisterDefault = true) {
         container.innerHTML = `
             <form id="registerForm" class="space-y-6 bg-gray-800 p-8 rounded-lg shadow-xl border border-gray-700">
                 <h2 class="mt-6 text-center text-3xl font-extrabold text-white">Register</h2>
+                <input type="text" id="registerUsername" name="username" required maxlength="32" autocomplete="username" autocapitalize="none" class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="Username">
                 <input type="password" id="registerMasterPassword" name="masterPassword" required class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="Master Password">
                 <input type="password" id="registerConfirmPassword" name="confirmPassword" required class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="Confirm Password">
                 <button type="submit" class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">Register</button>
@@ -79,15 +191,31 @@ export function renderAuthForms(showRegisterDefault = true) {
 
             <form id="loginForm" class="space-y-6 bg-gray-800 p-8 rounded-lg shadow-xl border border-gray-700 hidden">
                 <h2 class="mt-6 text-center text-3xl font-extrabold text-white">Login</h2>
+                <label for="loginUsername" class="block text-sm text-gray-400">Profile</label>
+                <select id="loginUsername" name="username" required class="block w-full px-3 py-2 border border-gray-600 text-white bg-gray-700 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"></select>
                 <input type="password" id="loginMasterPassword" name="masterPassword" required class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="Master Password">
+                <p id="loginThrottleNotice" class="hidden text-center text-sm text-red-400" aria-live="polite"></p>
                 <button type="submit" class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">Login</button>
                 <p class="text-center text-sm text-gray-400">Don't have an account? <a href="#" id="showRegister" class="font-medium text-blue-500 hover:text-blue-400">Register</a></p>
+                <p class="text-center text-sm text-gray-400">Forgot your password? <a href="#" id="showRecovery" class="font-medium text-blue-500 hover:text-blue-400">Use recovery phrase</a></p>
+            </form>
+
+            <form id="recoveryForm" class="space-y-6 bg-gray-800 p-8 rounded-lg shadow-xl border border-gray-700 hidden">
+                <h2 class="mt-6 text-center text-3xl font-extrabold text-white">Recover Journal</h2>
+                <p class="text-center text-sm text-gray-400">Enter the recovery phrase you wrote down at registration and choose a new master password.</p>
+                <select id="recoveryUsername" name="username" required class="block w-full px-3 py-2 border border-gray-600 text-white bg-gray-700 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"></select>
+                <textarea id="recoveryPhraseInput" name="recoveryPhrase" rows="3" required autocomplete="off" autocapitalize="none" spellcheck="false" class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="Recovery phrase (12 words)"></textarea>
+                <input type="password" id="recoveryNewPassword" name="newPassword" required autocomplete="new-password" class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="New Master Password">
+                <input type="password" id="recoveryConfirmPassword" name="confirmPassword" required autocomplete="new-password" class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="Confirm New Master Password">
+                <button type="submit" class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">Recover and Log In</button>
+                <p class="text-center text-sm text-gray-400"><a href="#" id="backToLogin" class="font-medium text-blue-500 hover:text-blue-400">Back to login</a></p>
             </form>
         `;
 
+        populateUsernameSelect(document.getElementById('loginUsername'), usernames, selectedUsername);
+        populateUsernameSelect(document.getElementById('recoveryUsername'), usernames, selectedUsername);
+
         // Set initial form visibility
-        const registerForm = document.querySelector(selectors.registerForm);
-        const loginForm = document.querySelector(selectors.loginForm);
 
         if (showRegisterDefault) {
             showElement(selectors.registerForm);
@@ -111,6 +239,157 @@ export function renderAuthForms(showRegisterDefault = true) {
             hideElement(selectors.loginForm);
             displayMessage('', 'info'); // Clear any previous messages
         });
+
+        document.querySelector(selectors.showRecoveryLink)?.addEventListener('click', (e) => {
+            e.preventDefault();
+            showElement(selectors.recoveryForm);
+            hideElement(selectors.loginForm);
+            displayMessage('', 'info'); // Clear any previous messages
+        });
+
+        document.querySelector(selectors.backToLoginLink)?.addEventListener('click', (e) => {
+            e.preventDefault();
+            showElement(selectors.loginForm);
+            hideElement(selectors.recoveryForm);
+            displayMessage('', 'info'); // Clear any previous messages
+        });
+    }
+}
+
+/**
+ * Shows a newly generated recovery phrase once, with a confirmation that it was written down.
+ * The phrase is only kept in the DOM until `hideRecoveryPhrase` is called.
+ * @param {string} recoveryPhrase - The space-separated recovery phrase.
+ */
+export function renderRecoveryPhrase(recoveryPhrase) {
+    hideElement(selectors.loadingOverlay);
+    showElement(selectors.appContentContainer);
+
+    hideElement(selectors.mainJournalSection);
+    showElement(selectors.authSection);
+
+    const container = document.querySelector(selectors.loginRegisterContainer);
+    if (!container) {
+        return;
+    }
+    container.innerHTML = `
+        <div class="space-y-6 bg-gray-800 p-8 rounded-lg shadow-xl border border-gray-700">
+            <h2 class="mt-6 text-center text-3xl font-extrabold text-white">Your Recovery Phrase</h2>
+            <p class="text-sm text-gray-400">Write these words down in order and keep them somewhere safe and offline. They are the only way back into your journal if you forget your master password, and they will not be shown again.</p>
+            <ol id="recoveryPhraseWords" class="grid grid-cols-2 sm:grid-cols-3 gap-2 list-decimal list-inside font-mono text-white bg-gray-900 p-4 rounded-md"></ol>
+            <label class="flex items-center gap-2 text-sm text-gray-300">
+                <input type="checkbox" id="recoveryConfirmCheckbox">
+                I have written down my recovery phrase.
+            </label>
+            <button id="recoveryPhraseDoneBtn" disabled class="w-full py-2 px-4 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed">Continue</button>
+        </div>
+    `;
+
+    const list = document.getElementById('recoveryPhraseWords');
+    recoveryPhrase.split(' ').forEach(word => {
+        const item = document.createElement('li');
+        item.textContent = word;
+        list.appendChild(item);
+    });
+
+    document.getElementById('recoveryConfirmCheckbox').addEventListener('change', (e) => {
+        document.getElementById('recoveryPhraseDoneBtn').disabled = !e.target.checked;
+    });
+}
+
+/**
+ * Removes a displayed recovery phrase from the page.
+ */
+export function hideRecoveryPhrase() {
+    const container = document.querySelector(selectors.loginRegisterContainer);
+    if (container) {
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Renders the lock screen shown after the session was locked for inactivity.
+ * Reuses the auth section so no journal content stays on screen. With a quick-unlock PIN the
+ * PIN is asked for first, and the master password is one click away.
+ * @param {string} username - The profile that is locked.
+ * @param {{attemptsLeft: number}|null} [pinStatus=null] - The session's quick-unlock PIN, if one can be used.
+ */
+export function renderLockScreen(username, pinStatus = null) {
+    hideElement(selectors.loadingOverlay);
+    showElement(selectors.appContentContainer);
+
+    hideElement(selectors.mainJournalSection);
+    showElement(selectors.authSection);
+
+    const container = document.querySelector(selectors.loginRegisterContainer);
+    if (container) {
+        container.innerHTML = `
+            <form id="pinUnlockForm" class="space-y-6 bg-gray-800 p-8 rounded-lg shadow-xl border border-gray-700 hidden">
+                <h2 class="mt-6 text-center text-3xl font-extrabold text-white">Journal Locked</h2>
+                <p class="text-center text-sm text-gray-400">The journal of <span class="locked-username font-semibold text-white"></span> was locked. Enter your PIN to continue where you left off.</p>
+                <input type="password" id="unlockPin" name="pin" required inputmode="numeric" pattern="[0-9]{4,8}" maxlength="8" autocomplete="off" class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="PIN">
+                <p id="pinAttemptsLeft" class="text-center text-sm text-gray-400"></p>
+                <button type="submit" class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">Unlock</button>
+                <p class="text-center text-sm text-gray-400"><a href="#" id="useMasterPasswordLink" class="font-medium text-blue-500 hover:text-blue-400">Use master password instead</a></p>
+            </form>
+
+            <form id="unlockForm" class="space-y-6 bg-gray-800 p-8 rounded-lg shadow-xl border border-gray-700">
+                <h2 class="mt-6 text-center text-3xl font-extrabold text-white">Journal Locked</h2>
+                <p class="text-center text-sm text-gray-400">The journal of <span class="locked-username font-semibold text-white"></span> was locked. Enter your master password to continue where you left off.</p>
+                <input type="password" id="unlockMasterPassword" name="masterPassword" required autocomplete="current-password" class="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-600 placeholder-gray-400 text-white bg-gray-700 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm" placeholder="Master Password">
+                <p id="loginThrottleNotice" class="hidden text-center text-sm text-red-400" aria-live="polite"></p>
+                <button type="submit" class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">Unlock</button>
+                <p class="text-center text-sm text-gray-400"><a href="#" id="lockLogoutLink" class="font-medium text-blue-500 hover:text-blue-400">Log out instead</a></p>
+            </form>
+        `;
+        container.querySelectorAll('.locked-username').forEach(element => {
+            element.textContent = username;
+        });
+
+        if (!pinStatus) {
+            document.getElementById('unlockMasterPassword')?.focus();
+            return;
+        }
+        const attempts = pinStatus.attemptsLeft;
+        document.getElementById('pinAttemptsLeft').textContent =
+            `${attempts} ${attempts === 1 ? 'attempt' : 'attempts'} left before the master password is needed.`;
+        hideElement('#unlockForm');
+        showElement('#pinUnlockForm');
+        document.getElementById('unlockPin')?.focus();
+
+        document.getElementById('useMasterPasswordLink')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            hideElement('#pinUnlockForm');
+            showElement('#unlockForm');
+            document.getElementById('unlockMasterPassword')?.focus();
+        });
+    }
+}
+
+/**
+ * Shows the wait after failed logins on the login or unlock form, whichever is on screen, and
+ * disables its submit button until the wait is over.
+ * @param {number} secondsLeft - Seconds until the next attempt is allowed; 0 when it is allowed now.
+ * @param {string} [warning=''] - A further notice, e.g. how many failures erase the journal.
+ */
+export function renderLoginThrottle(secondsLeft, warning = '') {
+    const notice = document.querySelector(selectors.loginThrottleNotice);
+    if (!notice) {
+        return;
+    }
+    const waitText = secondsLeft > 0
+        ? `Too many failed attempts. Try again in ${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}.`
+        : '';
+    notice.textContent = [waitText, warning].filter(Boolean).join(' ');
+    if (notice.textContent) {
+        showElement(selectors.loginThrottleNotice);
+    } else {
+        hideElement(selectors.loginThrottleNotice);
+    }
+    const submitButton = notice.closest('form')?.querySelector('button[type="submit"]');
+    if (submitButton) {
+        submitButton.disabled = secondsLeft > 0;
+        submitButton.classList.toggle('opacity-50', secondsLeft > 0);
     }
 }
 
@@ -167,6 +446,42 @@ export function showJournalEntryEditor(mode = 'new') {
     if (formTitle) {
         formTitle.textContent = mode === 'new' ? 'New Journal Entry' : 'Edit Journal Entry';
     }
+    hideJournalEntryReader();
+    hideMarkdownPreview();
+    hideRevisionHistory();
+    setDraftStatus(null);
+    hideDraftOffers(); // Drafts not resumed now are offered again after the next unlock
+    if (mode === 'new') {
+        hideElement(selectors.historyBtn); // New entries have no history yet
+    } else {
+        showElement(selectors.historyBtn);
+    }
+}
+
+/**
+ * Checks whether the journal entry editor is currently shown.
+ * @returns {boolean} - True if the editor is visible.
+ */
+export function isJournalEntryEditorVisible() {
+    const editor = document.querySelector(selectors.journalEntryEditorSection);
+    return !!editor && !editor.classList.contains('hidden');
+}
+
+/**
+ * Reads the current values of the journal entry form.
+ * @returns {{title: string, content: string, tags: string, entryDate: string}} - The title, content, tags and date inputs.
+ */
+export function getJournalEntryFormValues() {
+    const titleInput = document.querySelector(selectors.journalEntryTitle);
+    const contentInput = document.querySelector(selectors.journalEntryContent);
+    const tagsInput = document.querySelector(selectors.journalEntryTags);
+    const dateInput = document.querySelector(selectors.journalEntryDate);
+    return {
+        title: titleInput ? titleInput.value : '',
+        content: contentInput ? contentInput.value : '',
+        tags: tagsInput ? tagsInput.value : '',
+        entryDate: dateInput ? dateInput.value : ''
+    };
 }
 
 /**
@@ -179,8 +494,12 @@ export function clearJournalEntryForm() {
     }
     const titleInput = document.querySelector(selectors.journalEntryTitle);
     const contentInput = document.querySelector(selectors.journalEntryContent);
+    const tagsInput = document.querySelector(selectors.journalEntryTags);
     if (titleInput) titleInput.value = '';
     if (contentInput) contentInput.value = '';
+    if (tagsInput) tagsInput.value = '';
+    setJournalEntryDate('');
+    clearAttachmentList(selectors.attachmentList);
 }
 
 /**
@@ -188,54 +507,1109 @@ export function clearJournalEntryForm() {
  */
 export function showJournalEntriesList() {
     hideElement(selectors.journalEntryEditorSection);
+    hideJournalEntryReader();
     showElement(selectors.journalEntryListSection);
+    entryList.renderedRange = null; // The list had no size while hidden
+    updateEntryListWindow();
+}
+
+/**
+ * Styles rendered Markdown with the page's utility classes.
+ * @param {DocumentFragment|HTMLElement} root - The rendered Markdown.
+ */
+function styleMarkdown(root) {
+    root.querySelectorAll('*').forEach(element => {
+        if (MARKDOWN_CLASSES[element.tagName] && !(element.tagName === 'CODE' && element.parentElement?.tagName === 'PRE')) {
+            element.className = MARKDOWN_CLASSES[element.tagName];
+        }
+    });
+}
+
+/**
+ * Replaces the contents of an element with rendered, sanitized Markdown.
+ * @param {HTMLElement} element - The element to fill.
+ * @param {string} source - The Markdown source.
+ */
+function fillWithMarkdown(element, source) {
+    const fragment = renderMarkdown(source);
+    styleMarkdown(fragment);
+    element.replaceChildren(fragment);
+}
+
+/**
+ * Describes when an entry was written and last changed.
+ * @param {{createdAt: number, updatedAt: number}} entry - The entry.
+ * @returns {string} - E.g. "Created 10/19/2026, 9:14 AM · edited 10/20/2026, 8:02 PM".
+ */
+function describeEntryTimes(entry) {
+    const created = `Created ${new Date(entry.createdAt).toLocaleString()}`;
+    return entry.updatedAt > entry.createdAt ? `${created} · edited ${new Date(entry.updatedAt).toLocaleString()}` : created;
+}
+
+/**
+ * Shows an entry in the read-only view, with its content rendered as Markdown.
+ * @param {{id: number, entryDate: string, createdAt: number, updatedAt: number, title: string, content: string, tags: Array<string>}} entry
+ *     - The decrypted entry.
+ */
+export function showJournalEntryReader(entry) {
+    const title = document.querySelector(selectors.readEntryTitle);
+    const meta = document.querySelector(selectors.readEntryMeta);
+    const content = document.querySelector(selectors.readEntryContent);
+    const editButton = document.querySelector(selectors.readEditBtn);
+    if (!title || !meta || !content) {
+        return;
+    }
+    title.textContent = entry.title;
+    meta.textContent = formatDateKey(entry.entryDate);
+    const times = document.createElement('span');
+    times.className = 'block text-xs text-gray-500';
+    times.textContent = describeEntryTimes(entry);
+    meta.appendChild(times);
+    appendTagChips(meta, entry.tags);
+    fillWithMarkdown(content, entry.content);
+    if (editButton) {
+        editButton.dataset.id = entry.id;
+    }
+
+    hideElement(selectors.journalEntryListSection);
+    hideElement(selectors.journalEntryEditorSection);
+    showElement(selectors.journalEntryReadSection);
+}
+
+/**
+ * Hides the read-only view and removes the decrypted entry from the page.
+ */
+export function hideJournalEntryReader() {
+    [selectors.readEntryTitle, selectors.readEntryMeta, selectors.readEntryContent].forEach(selector => {
+        const element = document.querySelector(selector);
+        if (element) {
+            element.replaceChildren();
+        }
+    });
+    clearAttachmentList(selectors.readEntryAttachments);
+    hideElement(selectors.journalEntryReadSection);
+}
+
+/**
+ * Formats a file size for display, e.g. "1.4 MB".
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} - The formatted size.
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    const units = ['KB', 'MB', 'GB'];
+    let size = bytes / 1024;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * Empties an attachment list and releases the object URLs of its thumbnails.
+ * @param {string} selector - The list's selector.
+ */
+function clearAttachmentList(selector) {
+    const list = document.querySelector(selector);
+    if (!list) {
+        return;
+    }
+    list.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+    list.replaceChildren();
+}
+
+/**
+ * Creates a thumbnail <img> for an image Blob; `clearAttachmentList` revokes its URL.
+ * @param {Blob} image - The (decrypted) image.
+ * @returns {HTMLImageElement} - The image element.
+ */
+function createThumbnailImage(image) {
+    const img = document.createElement('img');
+    img.className = 'w-full h-full object-cover';
+    img.alt = '';
+    img.src = URL.createObjectURL(image);
+    return img;
+}
+
+/**
+ * Renders the attachments of the entry in the editor (editable) or the read view.
+ * Stored attachments have an `id`; files picked in the editor but not saved yet have a
+ * `pendingIndex` and, for images, the file itself as `thumbnail`.
+ * @param {Array<{id?: string, pendingIndex?: number, name: string, type: string, size: number, hasThumbnail?: boolean, thumbnail?: Blob}>} items - The attachments.
+ * @param {boolean} editable - True for the editor, false for the read view.
+ */
+export function renderAttachmentList(items, editable) {
+    const selector = editable ? selectors.attachmentList : selectors.readEntryAttachments;
+    clearAttachmentList(selector);
+    const list = document.querySelector(selector);
+    if (!list) {
+        return;
+    }
+
+    items.forEach(item => {
+        const row = document.createElement('li');
+        row.className = 'flex items-center gap-3 bg-gray-700 p-2 rounded-md';
+        if (item.id) {
+            row.dataset.attachmentId = item.id;
+        }
+        row.innerHTML = `
+            <div class="attachment-thumbnail w-16 h-16 flex-shrink-0 flex items-center justify-center bg-gray-900 rounded overflow-hidden text-xs text-gray-400"></div>
+            <div class="flex-grow min-w-0">
+                <p class="attachment-name text-white break-all"></p>
+                <p class="attachment-size text-xs text-gray-400"></p>
+            </div>
+            <div class="attachment-actions flex gap-2"></div>
+        `;
+        row.querySelector('.attachment-name').textContent = item.name;
+        row.querySelector('.attachment-size').textContent = item.pendingIndex !== undefined
+            ? `${formatFileSize(item.size)} · not saved yet`
+            : formatFileSize(item.size);
+
+        const thumbnail = row.querySelector('.attachment-thumbnail');
+        if (item.thumbnail) {
+            thumbnail.appendChild(createThumbnailImage(item.thumbnail));
+        } else {
+            thumbnail.textContent = item.hasThumbnail ? '…' : 'File';
+        }
+
+        const actions = row.querySelector('.attachment-actions');
+        if (item.id) {
+            const download = document.createElement('button');
+            download.type = 'button';
+            download.className = 'download-attachment-btn bg-blue-600 hover:bg-blue-700 text-white text-sm px-3 py-1 rounded-md';
+            download.dataset.id = item.id;
+            download.textContent = 'Download';
+            actions.appendChild(download);
+        }
+        if (editable) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'remove-attachment-btn bg-red-600 hover:bg-red-700 text-white text-sm px-3 py-1 rounded-md';
+            if (item.id) {
+                remove.dataset.id = item.id;
+            } else {
+                remove.dataset.pendingIndex = item.pendingIndex;
+            }
+            remove.textContent = 'Remove';
+            actions.appendChild(remove);
+        }
+        list.appendChild(row);
+    });
+
+    if (items.length === 0 && editable) {
+        list.innerHTML = '<li class="text-sm text-gray-400">No attachments.</li>';
+    }
+}
+
+/**
+ * Shows a decrypted thumbnail for a stored attachment, if its row is still on screen.
+ * @param {string} attachmentId - The attachment's ID.
+ * @param {Blob} thumbnail - The decrypted thumbnail image.
+ */
+export function setAttachmentThumbnail(attachmentId, thumbnail) {
+    document.querySelectorAll('[data-attachment-id]').forEach(row => {
+        if (row.dataset.attachmentId !== attachmentId) {
+            return;
+        }
+        row.querySelector('.attachment-thumbnail').replaceChildren(createThumbnailImage(thumbnail));
+    });
+}
+
+/**
+ * Checks whether the read-only entry view is shown.
+ * @returns {boolean} - True if the read view is visible.
+ */
+export function isJournalEntryReaderVisible() {
+    const section = document.querySelector(selectors.journalEntryReadSection);
+    return !!section && !section.classList.contains('hidden');
+}
+
+/**
+ * Shows (or refreshes) the Markdown preview below the editor.
+ * @param {string} content - The content being edited.
+ */
+export function showMarkdownPreview(content) {
+    const preview = document.querySelector(selectors.journalEntryPreview);
+    if (!preview) {
+        return;
+    }
+    fillWithMarkdown(preview, content);
+    if (!content.trim()) {
+        preview.innerHTML = '<p class="text-gray-400">Nothing to preview yet.</p>';
+    }
+    showElement(selectors.journalEntryPreview);
+    const button = document.querySelector(selectors.previewBtn);
+    if (button) {
+        button.textContent = 'Hide Preview';
+    }
+}
+
+/**
+ * Hides the Markdown preview and empties it.
+ */
+export function hideMarkdownPreview() {
+    const preview = document.querySelector(selectors.journalEntryPreview);
+    if (preview) {
+        preview.replaceChildren();
+    }
+    hideElement(selectors.journalEntryPreview);
+    const button = document.querySelector(selectors.previewBtn);
+    if (button) {
+        button.textContent = 'Preview';
+    }
+}
+
+/**
+ * Checks whether the Markdown preview is shown.
+ * @returns {boolean} - True if the preview is visible.
+ */
+export function isMarkdownPreviewVisible() {
+    const preview = document.querySelector(selectors.journalEntryPreview);
+    return !!preview && !preview.classList.contains('hidden');
 }
 
 /**
  * Populates the journal entry form with data for editing.
  * @param {string} title - The title of the entry.
  * @param {string} content - The content of the entry.
+ * @param {string} [tags=''] - The entry's tags, comma-separated.
+ * @param {string} [entryDate=''] - The entry's date ('YYYY-MM-DD').
  */
-export function populateJournalEntryForm(title, content) {
+export function populateJournalEntryForm(title, content, tags = '', entryDate = '') {
     const titleInput = document.querySelector(selectors.journalEntryTitle);
     const contentInput = document.querySelector(selectors.journalEntryContent);
+    const tagsInput = document.querySelector(selectors.journalEntryTags);
     if (titleInput) titleInput.value = title;
     if (contentInput) contentInput.value = content;
+    if (tagsInput) tagsInput.value = tags;
+    setJournalEntryDate(entryDate);
 }
 
 /**
- * Renders the list of journal entries.
- * @param {Array<object>} entries - An array of journal entry objects.
+ * Sets the date input of the journal entry form.
+ * @param {string} entryDate - The date ('YYYY-MM-DD'), or an empty string to clear it.
+ */
+export function setJournalEntryDate(entryDate) {
+    const dateInput = document.querySelector(selectors.journalEntryDate);
+    if (dateInput) dateInput.value = entryDate;
+}
+
+/**
+ * Appends an entry's tags as small labels.
+ * @param {HTMLElement} element - The element to append to.
+ * @param {Array<string>} tags - The entry's tags.
+ */
+function appendTagChips(element, tags) {
+    if (!tags || tags.length === 0) {
+        return;
+    }
+    const container = document.createElement('div');
+    container.className = 'flex flex-wrap gap-1 mt-1';
+    tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'bg-gray-600 text-gray-200 text-xs px-2 py-0.5 rounded-full';
+        chip.textContent = tag;
+        container.appendChild(chip);
+    });
+    element.appendChild(container);
+}
+
+/**
+ * Renders the tag sidebar with entry counts. Selected tags are highlighted.
+ * @param {Array<{name: string, count: number}>} tagCounts - The tags and how many entries carry them.
+ * @param {Array<string>} selectedTags - The tags the list is filtered by.
+ * @param {string} mode - The filter mode ('any' or 'all').
+ */
+export function renderTagSidebar(tagCounts, selectedTags, mode) {
+    const modeSelect = document.querySelector(selectors.tagFilterMode);
+    if (modeSelect) {
+        modeSelect.value = mode;
+    }
+    const tagList = document.querySelector(selectors.tagList);
+    if (!tagList) {
+        return;
+    }
+    tagList.innerHTML = '';
+
+    if (tagCounts.length === 0) {
+        tagList.innerHTML = '<li class="text-sm text-gray-400">No tags yet. Add some in the entry editor.</li>';
+        return;
+    }
+
+    tagCounts.forEach(({ name, count }) => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center justify-between gap-2';
+        const isSelected = selectedTags.includes(name);
+
+        const filterButton = document.createElement('button');
+        filterButton.className = `tag-filter-btn flex-grow text-left text-sm px-2 py-1 rounded break-all ${isSelected ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'}`;
+        filterButton.dataset.tag = name;
+        filterButton.textContent = `${name} (${count})`;
+
+        const renameButton = document.createElement('button');
+        renameButton.className = 'rename-tag-btn text-xs text-gray-400 hover:text-white';
+        renameButton.dataset.tag = name;
+        renameButton.title = 'Rename or merge this tag';
+        renameButton.textContent = 'Rename';
+
+        item.append(filterButton, renameButton);
+        tagList.appendChild(item);
+    });
+}
+
+/**
+ * Renders the month calendar. Days with entries are buttons showing how many there are.
+ * @param {number} year - The full year shown.
+ * @param {number} month - The month shown, 0-11.
+ * @param {Map<string, number>} entryCounts - Number of entries per day ('YYYY-MM-DD').
+ * @param {string|null} selectedDate - The day the list is filtered to, if any.
+ * @param {string} today - Today's date, which is outlined.
+ */
+export function renderCalendar(year, month, entryCounts, selectedDate, today) {
+    const title = document.querySelector(selectors.calendarTitle);
+    const grid = document.querySelector(selectors.calendarGrid);
+    if (!title || !grid) {
+        return;
+    }
+    title.textContent = new Date(year, month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    grid.innerHTML = '';
+
+    ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'].forEach(name => {
+        const heading = document.createElement('span');
+        heading.className = 'text-xs text-gray-500';
+        heading.textContent = name;
+        grid.appendChild(heading);
+    });
+    getMonthWeeks(year, month).flat().forEach(dateKey => {
+        const count = dateKey ? entryCounts.get(dateKey) || 0 : 0;
+        const cell = document.createElement(count > 0 ? 'button' : 'span');
+        const day = dateKey ? String(Number(dateKey.slice(8))) : '';
+        cell.className = 'text-sm rounded py-1';
+        if (count > 0) {
+            cell.type = 'button';
+            cell.className += dateKey === selectedDate
+                ? ' calendar-day-btn bg-blue-600 text-white font-semibold'
+                : ' calendar-day-btn bg-gray-700 text-blue-300 font-semibold hover:bg-gray-600';
+            cell.dataset.date = dateKey;
+            cell.title = `${formatDateKey(dateKey)}: ${count} ${count === 1 ? 'entry' : 'entries'}`;
+        } else {
+            cell.className += ' text-gray-500';
+        }
+        if (dateKey === today) {
+            cell.className += ' ring-1 ring-blue-400';
+        }
+        cell.textContent = day;
+        grid.appendChild(cell);
+    });
+}
+
+/**
+ * Shows which day the list is filtered to, or hides the notice.
+ * @param {string|null} dateKey - The selected day ('YYYY-MM-DD'), or null.
+ */
+export function renderDateFilter(dateKey) {
+    const label = document.querySelector(selectors.dateFilterLabel);
+    if (label) {
+        label.textContent = dateKey ? `Entries of ${formatDateKey(dateKey)}` : '';
+    }
+    if (dateKey) {
+        showElement(selectors.dateFilter);
+    } else {
+        hideElement(selectors.dateFilter);
+    }
+}
+
+/**
+ * Shows an entry's date in the list, with its creation and edit times on hover.
+ * @param {HTMLElement} element - The date line of the list item.
+ * @param {{entryDate: string, createdAt: number, updatedAt: number}} entry - The entry.
+ */
+function fillEntryDate(element, entry) {
+    element.textContent = formatDateKey(entry.entryDate);
+    element.title = describeEntryTimes(entry);
+}
+
+/**
+ * Builds the outline of a list row: title, date line, text line and buttons.
+ * @param {{id: number}} entry - The entry the row is for.
+ * @param {number} index - The row's position in the list.
+ * @returns {HTMLElement} - The row; its title and text are filled by the caller.
+ */
+function createEntryRow(entry, index) {
+    const listItem = document.createElement('div');
+    listItem.className = 'absolute inset-x-0 bg-gray-700 p-4 rounded-lg shadow-md flex justify-between items-center gap-4 overflow-hidden';
+    listItem.style.top = `${index * ENTRY_ROW_HEIGHT}px`;
+    listItem.style.height = `${ENTRY_ROW_HEIGHT - ENTRY_ROW_GAP}px`;
+    listItem.innerHTML = `
+        <div class="flex-grow min-w-0">
+            <h3 class="view-entry-btn text-lg font-semibold text-blue-300 truncate cursor-pointer hover:underline" data-id="${entry.id}"></h3>
+            <p class="entry-date text-sm text-gray-400"></p>
+            <p class="entry-text text-sm text-gray-300 mt-1 break-words line-clamp-2"></p>
+        </div>
+        <div class="flex flex-col space-y-2 flex-shrink-0">
+            <button class="edit-entry-btn bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors duration-200" data-id="${entry.id}">Edit</button>
+            <button class="delete-entry-btn bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md transition-colors duration-200" data-id="${entry.id}">Delete</button>
+        </div>
+    `;
+    fillEntryDate(listItem.querySelector('.entry-date'), entry);
+    appendTagChips(listItem.firstElementChild, entry.tags);
+    return listItem;
+}
+
+/**
+ * Builds the row of an entry in the list.
+ * @param {{id: number, title: string, summary: string, tags: Array<string>}} entry - The entry's decrypted summary.
+ * @param {number} index - The row's position in the list.
+ * @returns {HTMLElement} - The row.
  */
-export function renderJournalEntriesList(entries) {
+function createEntryListItem(entry, index) {
+    const listItem = createEntryRow(entry, index);
+    // Entry text is user content: only ever insert it as text
+    listItem.querySelector('h3').textContent = entry.title;
+    listItem.querySelector('.entry-text').textContent = entry.summary;
+    return listItem;
+}
+
+/**
+ * Builds the row of a search result, with the matches highlighted.
+ * @param {object} result - A result from `searchEntries`.
+ * @param {number} index - The row's position in the list.
+ * @returns {HTMLElement} - The row.
+ */
+function createSearchResultItem({ entry, titleSegments, snippetSegments }, index) {
+    const listItem = createEntryRow(entry, index);
+    // Entry text is user content: only ever insert it as text nodes
+    appendHighlightedText(listItem.querySelector('h3'), titleSegments);
+    appendHighlightedText(listItem.querySelector('.entry-text'), snippetSegments);
+    return listItem;
+}
+
+/**
+ * Shows rows in the entry list. Only the rows in view (and a few around them) are in the page;
+ * `updateEntryListWindow` swaps them as the list scrolls.
+ * @param {Array<object>} rows - The entries or search results.
+ * @param {Function} createItem - Builds the element of one row.
+ * @param {boolean} hasMore - Whether more rows can be loaded after these.
+ * @param {string} emptyMessage - Shown instead of the list when there are no rows.
+ */
+function showEntryRows(rows, createItem, hasMore, emptyMessage) {
     const listContainer = document.querySelector(selectors.journalEntriesList);
     if (!listContainer) {
         console.error('Journal entries list container not found.');
         return;
     }
-    listContainer.innerHTML = ''; // Clear existing entries
+    entryList.rows = rows;
+    entryList.createItem = createItem;
+    entryList.hasMore = hasMore;
+    entryList.emptyMessage = emptyMessage;
+    entryList.renderedRange = null;
+    listContainer.innerHTML = '';
+    listContainer.scrollTop = 0;
+
+    if (rows.length === 0 && !hasMore) {
+        const message = document.createElement('p');
+        message.className = 'text-gray-400 text-center py-4';
+        message.textContent = emptyMessage;
+        listContainer.appendChild(message);
+        return;
+    }
+    const spacer = document.createElement('div');
+    spacer.className = 'entry-list-spacer relative';
+    listContainer.appendChild(spacer);
+    updateEntryListWindow();
+}
+
+/**
+ * Renders the list of journal entries.
+ * @param {Array<object>} entries - The decrypted entry summaries, in list order.
+ * @param {string} [emptyMessage] - Shown instead of the list when there are no entries.
+ * @param {boolean} [hasMore=false] - Whether more entries can be loaded after these.
+ */
+export function renderJournalEntriesList(entries, emptyMessage = 'No entries yet. Click "New Entry" to add one.', hasMore = false) {
+    showEntryRows(entries, createEntryListItem, hasMore, emptyMessage);
+}
+
+/**
+ * Updates the entries of the list shown by `renderJournalEntriesList` (e.g. after loading the next
+ * page, or after one entry was saved) without scrolling it.
+ * @param {Array<object>} entries - The decrypted entry summaries, in list order.
+ * @param {boolean} hasMore - Whether more entries can be loaded after these.
+ */
+export function updateJournalEntriesList(entries, hasMore) {
+    const listContainer = document.querySelector(selectors.journalEntriesList);
+    const hasSpacer = !!(listContainer && listContainer.querySelector('.entry-list-spacer'));
+    if (!hasSpacer || (entries.length === 0 && !hasMore)) {
+        showEntryRows(entries, createEntryListItem, hasMore, entryList.emptyMessage);
+        return;
+    }
+    entryList.rows = entries;
+    entryList.hasMore = hasMore;
+    entryList.renderedRange = null;
+    updateEntryListWindow();
+}
+
+/**
+ * Renders the rows that are in view, replacing the ones that scrolled out.
+ */
+export function updateEntryListWindow() {
+    const listContainer = document.querySelector(selectors.journalEntriesList);
+    const spacer = listContainer && listContainer.querySelector('.entry-list-spacer');
+    if (!spacer) {
+        return;
+    }
+    // A trailing empty row stands in for the page that is still to be loaded
+    spacer.style.height = `${(entryList.rows.length + (entryList.hasMore ? 1 : 0)) * ENTRY_ROW_HEIGHT}px`;
+    const first = Math.max(0, Math.floor(listContainer.scrollTop / ENTRY_ROW_HEIGHT) - ENTRY_LIST_OVERSCAN);
+    const last = Math.min(entryList.rows.length,
+        Math.ceil((listContainer.scrollTop + listContainer.clientHeight) / ENTRY_ROW_HEIGHT) + ENTRY_LIST_OVERSCAN);
+    if (entryList.renderedRange && entryList.renderedRange.first === first && entryList.renderedRange.last === last) {
+        return;
+    }
+    entryList.renderedRange = { first, last };
+    spacer.replaceChildren(...entryList.rows.slice(first, last).map((row, offset) => entryList.createItem(row, first + offset)));
+}
+
+/**
+ * Checks whether the list is scrolled close enough to its end to load the next page.
+ * @returns {boolean} - True if more entries can be loaded and the end is (nearly) in view.
+ */
+export function isEntryListNearEnd() {
+    const listContainer = document.querySelector(selectors.journalEntriesList);
+    if (!listContainer || !entryList.hasMore) {
+        return false;
+    }
+    const visibleEnd = listContainer.scrollTop + listContainer.clientHeight;
+    return visibleEnd >= (entryList.rows.length - ENTRY_LIST_OVERSCAN) * ENTRY_ROW_HEIGHT;
+}
+
+/**
+ * Appends text to an element, wrapping highlighted segments in <mark>.
+ * @param {HTMLElement} element - The element to fill.
+ * @param {Array<{text: string, match: boolean}>} segments - The text segments.
+ */
+function appendHighlightedText(element, segments) {
+    segments.forEach(segment => {
+        if (segment.match) {
+            const mark = document.createElement('mark');
+            mark.className = 'bg-yellow-300 text-gray-900 rounded px-0.5';
+            mark.textContent = segment.text;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(segment.text));
+        }
+    });
+}
+
+/**
+ * Renders search results with highlighted titles and snippets.
+ * @param {Array<object>} results - Results from `searchEntries`.
+ */
+export function renderSearchResults(results) {
+    showEntryRows(results, createSearchResultItem, false, 'No entries match your search.');
+}
 
-    if (entries.length === 0) {
-        listContainer.innerHTML = '<p class="text-gray-400 text-center py-4">No entries yet. Click "New Entry" to add one.</p>';
+/**
+ * Gets the current search query.
+ * @returns {string} - The query, or an empty string.
+ */
+export function getSearchQuery() {
+    const input = document.querySelector(selectors.searchInput);
+    return input ? input.value : '';
+}
+
+/**
+ * Renders the history panel: the versions of the entry, newest first, with a restore
+ * button for each earlier one, and the choices for comparing two versions.
+ * @param {Array<{key: string, updatedAt: number, title: string, isCurrent: boolean}>} versions - The versions, newest first.
+ * @param {number} retentionDays - The revision retention setting (0 = forever).
+ */
+export function renderRevisionHistory(versions, retentionDays) {
+    const list = document.querySelector(selectors.revisionList);
+    const fromSelect = document.querySelector(selectors.diffFromSelect);
+    const toSelect = document.querySelector(selectors.diffToSelect);
+    const retentionSelect = document.querySelector(selectors.revisionRetentionSelect);
+    if (!list || !fromSelect || !toSelect) {
         return;
     }
+    list.innerHTML = '';
+    fromSelect.innerHTML = '';
+    toSelect.innerHTML = '';
+    if (retentionSelect) {
+        retentionSelect.value = String(retentionDays);
+    }
 
-    entries.forEach(entry => {
-        const entryDate = new Date(parseInt(entry.timestamp)).toLocaleString();
-        const listItem = document.createElement('div');
-        listItem.className = 'bg-gray-700 p-4 rounded-lg shadow-md mb-3 flex flex-col sm:flex-row justify-between items-start sm:items-center';
-        listItem.innerHTML = `
-            <div class="flex-grow mb-2 sm:mb-0">
-                <h3 class="text-lg font-semibold text-blue-300 break-words">${entry.title}</h3>
-                <p class="text-sm text-gray-400">${entryDate}</p>
+    versions.forEach(version => {
+        const label = `${new Date(version.updatedAt).toLocaleString()}${version.isCurrent ? ' (current)' : ''}`;
+        const item = document.createElement('li');
+        item.className = 'flex justify-between items-center gap-3 bg-gray-700 px-3 py-2 rounded';
+        const text = document.createElement('span');
+        text.className = 'text-sm text-gray-200 break-words';
+        text.textContent = `${label} — ${version.title}`;
+        item.appendChild(text);
+        if (!version.isCurrent) {
+            const restoreButton = document.createElement('button');
+            restoreButton.type = 'button';
+            restoreButton.className = 'restore-revision-btn bg-yellow-600 hover:bg-yellow-700 text-white text-sm px-3 py-1 rounded';
+            restoreButton.dataset.revisionId = version.key;
+            restoreButton.textContent = 'Restore';
+            item.appendChild(restoreButton);
+        }
+        list.appendChild(item);
+
+        fromSelect.appendChild(new Option(label, version.key));
+        toSelect.appendChild(new Option(label, version.key));
+    });
+
+    if (versions.length === 1) {
+        const item = document.createElement('li');
+        item.className = 'text-sm text-gray-400';
+        item.textContent = 'No earlier versions yet. A revision is kept every time you save changes.';
+        list.appendChild(item);
+    }
+
+    // Compare the newest earlier version with the current one by default
+    toSelect.selectedIndex = 0;
+    fromSelect.selectedIndex = Math.min(1, versions.length - 1);
+    showElement(selectors.historyPanel);
+}
+
+/**
+ * Reads which two versions are selected for comparison.
+ * @returns {{from: string, to: string}} - The version keys.
+ */
+export function getDiffSelection() {
+    return {
+        from: document.querySelector(selectors.diffFromSelect).value,
+        to: document.querySelector(selectors.diffToSelect).value
+    };
+}
+
+/**
+ * Appends diff parts to an element, marking insertions and deletions.
+ * @param {HTMLElement} element - The element to fill.
+ * @param {Array<{type: string, text: string}>} parts - The diff parts.
+ */
+function appendDiff(element, parts) {
+    parts.forEach(part => {
+        if (part.type === 'equal') {
+            element.appendChild(document.createTextNode(part.text));
+            return;
+        }
+        const node = document.createElement(part.type === 'insert' ? 'ins' : 'del');
+        node.className = part.type === 'insert' ? 'bg-green-800 text-green-100 no-underline' : 'bg-red-900 text-red-200';
+        node.textContent = part.text;
+        element.appendChild(node);
+    });
+}
+
+/**
+ * Shows a word-level diff of the title and content of two versions.
+ * @param {Array<object>} titleDiff - Diff parts of the titles.
+ * @param {Array<object>} contentDiff - Diff parts of the contents.
+ */
+export function renderRevisionDiff(titleDiff, contentDiff) {
+    const container = document.querySelector(selectors.revisionDiff);
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'font-semibold text-white mb-2';
+    appendDiff(title, titleDiff);
+    const content = document.createElement('div');
+    appendDiff(content, contentDiff);
+    container.append(title, content);
+}
+
+/**
+ * Hides the history panel and removes the decrypted versions from the page.
+ */
+export function hideRevisionHistory() {
+    [selectors.revisionList, selectors.diffFromSelect, selectors.diffToSelect, selectors.revisionDiff].forEach(selector => {
+        const element = document.querySelector(selector);
+        if (element) {
+            element.innerHTML = '';
+        }
+    });
+    hideElement(selectors.historyPanel);
+}
+
+/**
+ * Checks whether the history panel is shown.
+ * @returns {boolean} - True if the panel is visible.
+ */
+export function isRevisionHistoryVisible() {
+    const panel = document.querySelector(selectors.historyPanel);
+    return !!panel && !panel.classList.contains('hidden');
+}
+
+/**
+ * Shows the number of trashed entries on the Trash button.
+ * @param {number} count - How many entries are in the trash.
+ */
+export function setTrashCount(count) {
+    const button = document.querySelector(selectors.trashBtn);
+    if (button) {
+        button.textContent = count > 0 ? `Trash (${count})` : 'Trash';
+    }
+}
+
+/**
+ * Shows the trash with its entries, most recently deleted first.
+ * @param {Array<{id: number, title: string, deletedAt: number}>} items - The trashed entries.
+ * @param {number} retentionDays - The trash retention setting (0 = never purge).
+ */
+export function renderTrash(items, retentionDays) {
+    const list = document.querySelector(selectors.trashList);
+    if (!list) {
+        return;
+    }
+    const retentionSelect = document.querySelector(selectors.trashRetentionSelect);
+    if (retentionSelect) {
+        retentionSelect.value = String(retentionDays);
+    }
+    list.innerHTML = '';
+
+    if (items.length === 0) {
+        list.innerHTML = '<p class="text-gray-400 text-center py-4">The trash is empty.</p>';
+        hideElement(selectors.emptyTrashBtn);
+    } else {
+        showElement(selectors.emptyTrashBtn);
+    }
+
+    items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'bg-gray-700 p-4 rounded-lg flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2';
+        row.innerHTML = `
+            <div class="flex-grow">
+                <h3 class="text-lg font-semibold text-gray-300 break-words"></h3>
+                <p class="text-sm text-gray-400">Deleted ${new Date(item.deletedAt).toLocaleString()}</p>
             </div>
             <div class="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
-                <button class="edit-entry-btn bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition-colors duration-200" data-id="${entry.id}">Edit</button>
-                <button class="delete-entry-btn bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md transition-colors duration-200" data-id="${entry.id}">Delete</button>
+                <button class="restore-entry-btn bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md" data-id="${item.id}">Restore</button>
+                <button class="purge-entry-btn bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md" data-id="${item.id}">Delete Forever</button>
+            </div>
+        `;
+        row.querySelector('h3').textContent = item.title;
+        list.appendChild(row);
+    });
+    showElement(selectors.trashSection);
+}
+
+/**
+ * Hides the trash and removes its decrypted titles from the page.
+ */
+export function hideTrash() {
+    const list = document.querySelector(selectors.trashList);
+    if (list) {
+        list.innerHTML = '';
+    }
+    hideElement(selectors.trashSection);
+}
+
+/**
+ * Checks whether the trash is shown.
+ * @returns {boolean} - True if the trash is visible.
+ */
+export function isTrashVisible() {
+    const section = document.querySelector(selectors.trashSection);
+    return !!section && !section.classList.contains('hidden');
+}
+
+/**
+ * Shows the privacy mode panel with the profile's current setting.
+ * @param {boolean} enabled - Whether privacy mode is on.
+ */
+export function renderPrivacyMode(enabled) {
+    const status = document.querySelector(selectors.privacyModeStatus);
+    if (status) {
+        status.textContent = enabled
+            ? 'Privacy mode is on: each entry is stored as one padded, encrypted blob with a random id.'
+            : 'Privacy mode is off: entry ids, dates and the size of each encrypted field can be seen in storage.';
+    }
+    const button = document.querySelector(selectors.togglePrivacyModeBtn);
+    if (button) {
+        button.textContent = enabled ? 'Turn Off Privacy Mode' : 'Turn On Privacy Mode';
+    }
+    showElement(selectors.privacySection);
+}
+
+/**
+ * Hides the privacy mode panel.
+ */
+export function hidePrivacyMode() {
+    hideElement(selectors.privacySection);
+}
+
+/**
+ * Checks whether the privacy mode panel is shown.
+ * @returns {boolean} - True if the panel is visible.
+ */
+export function isPrivacyModeVisible() {
+    const section = document.querySelector(selectors.privacySection);
+    return !!section && !section.classList.contains('hidden');
+}
+
+/**
+ * Shows when the editor contents were last autosaved.
+ * @param {number|null} timestamp - The time of the last draft save, or null to clear the status.
+ */
+export function setDraftStatus(timestamp) {
+    const status = document.querySelector(selectors.draftStatus);
+    if (status) {
+        status.textContent = timestamp
+            ? `Saved draft ${new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+    }
+}
+
+/**
+ * Offers to resume or discard the drafts found after unlocking.
+ * @param {Array<{slot: string, title: string, timestamp: number|null, isNew: boolean}>} drafts - The drafts, most recent first.
+ */
+export function renderDraftOffers(drafts) {
+    const list = document.querySelector(selectors.draftList);
+    if (!list) {
+        return;
+    }
+    list.innerHTML = '';
+    if (drafts.length === 0) {
+        hideElement(selectors.draftsSection);
+        return;
+    }
+
+    drafts.forEach(draft => {
+        const item = document.createElement('li');
+        item.className = 'flex flex-col sm:flex-row sm:items-center justify-between gap-2';
+        item.innerHTML = `
+            <p class="text-white break-words"><span class="draft-title font-semibold"></span> <span class="draft-meta text-sm text-gray-300"></span></p>
+            <div class="flex space-x-2 flex-shrink-0">
+                <button class="resume-draft-btn bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md" data-slot="${draft.slot}">Resume</button>
+                <button class="discard-draft-btn bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded-md" data-slot="${draft.slot}">Discard</button>
             </div>
         `;
-        listContainer.appendChild(listItem);
+        item.querySelector('.draft-title').textContent = draft.title || 'Untitled';
+        item.querySelector('.draft-meta').textContent = draft.timestamp
+            ? `(${draft.isNew ? 'new entry' : 'unsaved changes'}, saved ${new Date(draft.timestamp).toLocaleString()})`
+            : `(${draft.isNew ? 'new entry' : 'unsaved changes'})`; // The save time is encrypted with the draft
+        list.appendChild(item);
     });
+    showElement(selectors.draftsSection);
+}
+
+/**
+ * Hides the draft offers and removes their decrypted titles from the page.
+ */
+export function hideDraftOffers() {
+    renderDraftOffers([]);
+}
+
+/**
+ * Shows the change master password form.
+ */
+export function showChangePasswordForm() {
+    showElement(selectors.changePasswordSection);
+}
+
+/**
+ * Hides and resets the change master password form.
+ */
+export function hideChangePasswordForm() {
+    const form = document.querySelector(selectors.changePasswordForm);
+    if (form) {
+        form.reset();
+    }
+    hideElement(selectors.changePasswordSection);
+}
+
+/**
+ * Shows the quick-unlock PIN settings.
+ * @param {{expiresAt: number}|null} status - The session's PIN, or null if none is set.
+ * @param {number} maxAgeMinutes - The validity preselected for a new PIN.
+ */
+export function renderQuickUnlock(status, maxAgeMinutes) {
+    const form = document.querySelector(selectors.pinForm);
+    if (form) {
+        form.reset();
+    }
+    const statusText = document.querySelector(selectors.pinStatus);
+    if (statusText) {
+        statusText.textContent = status
+            ? `A PIN is set. It unlocks the journal until ${new Date(status.expiresAt).toLocaleString()}, or until you log out or reload the app.`
+            : 'No PIN is set: unlocking needs your master password.';
+    }
+    const select = document.querySelector(selectors.pinMaxAgeSelect);
+    if (select) {
+        select.value = String(maxAgeMinutes);
+    }
+    const setButton = document.querySelector(selectors.setPinBtn);
+    if (setButton) {
+        setButton.textContent = status ? 'Change PIN' : 'Set PIN';
+    }
+    if (status) {
+        showElement(selectors.removePinBtn);
+    } else {
+        hideElement(selectors.removePinBtn);
+    }
+    showElement(selectors.pinSection);
+}
+
+/**
+ * Hides the quick-unlock PIN settings and clears the form.
+ */
+export function hideQuickUnlock() {
+    const form = document.querySelector(selectors.pinForm);
+    if (form) {
+        form.reset();
+    }
+    hideElement(selectors.pinSection);
+}
+
+/**
+ * Checks whether the quick-unlock PIN settings are shown.
+ * @returns {boolean} - True if visible.
+ */
+export function isQuickUnlockVisible() {
+    const section = document.querySelector(selectors.pinSection);
+    return !!section && !section.classList.contains('hidden');
+}
+
+/**
+ * Shows the login protection settings.
+ * @param {number} wipeAfter - After how many failed logins the journal is erased (0 = never).
+ */
+export function renderLoginProtection(wipeAfter) {
+    const select = document.querySelector(selectors.wipeAfterSelect);
+    if (select) {
+        select.value = String(wipeAfter);
+    }
+    showElement(selectors.loginProtectionSection);
+}
+
+/**
+ * Hides the login protection settings.
+ */
+export function hideLoginProtection() {
+    hideElement(selectors.loginProtectionSection);
+}
+
+/**
+ * Checks whether the login protection settings are shown.
+ * @returns {boolean} - True if visible.
+ */
+export function isLoginProtectionVisible() {
+    const section = document.querySelector(selectors.loginProtectionSection);
+    return !!section && !section.classList.contains('hidden');
+}
+
+/**
+ * Shows the import options for a verified backup.
+ * @param {{createdAt: string, entryCount: number, attachmentCount: number}} backupInfo - Details from the backup header and contents.
+ */
+export function showImportDialog(backupInfo) {
+    const info = document.querySelector(selectors.importBackupInfo);
+    if (info) {
+        const created = new Date(backupInfo.createdAt).toLocaleString();
+        const attachments = backupInfo.attachmentCount
+            ? ` and ${backupInfo.attachmentCount} ${backupInfo.attachmentCount === 1 ? 'attachment' : 'attachments'}`
+            : '';
+        info.textContent = `Backup from ${created} with ${backupInfo.entryCount} ${backupInfo.entryCount === 1 ? 'entry' : 'entries'}${attachments}.`;
+    }
+    showElement(selectors.importSection);
+}
+
+/**
+ * Reads the chosen import mode and conflict strategy.
+ * @returns {{mode: string, conflict: string}} - The selected options.
+ */
+export function getImportOptions() {
+    const form = document.querySelector(selectors.importForm);
+    return {
+        mode: form.mode.value,
+        conflict: form.conflict.value
+    };
+}
+
+/**
+ * Shows what the import will do. Conflict options only apply when merging.
+ * @param {string} summary - The summary sentence.
+ * @param {boolean} isMerge - Whether merge mode is selected.
+ */
+export function renderImportSummary(summary, isMerge) {
+    const summaryElement = document.querySelector(selectors.importSummary);
+    if (summaryElement) {
+        summaryElement.textContent = summary;
+    }
+    if (isMerge) {
+        showElement(selectors.importConflictOptions);
+    } else {
+        hideElement(selectors.importConflictOptions);
+    }
+}
+
+/**
+ * Hides and resets the import options.
+ */
+export function hideImportDialog() {
+    const form = document.querySelector(selectors.importForm);
+    if (form) {
+        form.reset();
+    }
+    hideElement(selectors.importSection);
+}
+
+/**
+ * Removes all decrypted journal content from the page (entry list and editor).
+ */
+export function clearJournalView() {
+    const listContainer = document.querySelector(selectors.journalEntriesList);
+    if (listContainer) {
+        listContainer.innerHTML = '';
+    }
+    entryList.rows = [];
+    entryList.hasMore = false;
+    const searchInput = document.querySelector(selectors.searchInput);
+    if (searchInput) {
+        searchInput.value = '';
+    }
+    const tagList = document.querySelector(selectors.tagList);
+    if (tagList) {
+        tagList.innerHTML = '';
+    }
+    const calendarGrid = document.querySelector(selectors.calendarGrid);
+    if (calendarGrid) {
+        calendarGrid.innerHTML = '';
+    }
+    renderDateFilter(null);
+    clearJournalEntryForm();
+    hideMarkdownPreview();
+    hideJournalEntryReader();
+    hideRevisionHistory();
+    hideTrash();
+    setTrashCount(0);
+    hideChangePasswordForm();
+    hideQuickUnlock();
+    hideLoginProtection();
+    hidePrivacyMode();
+    hideImportDialog();
+    hideDraftOffers();
+    setDraftStatus(null);
+    showJournalEntriesList();
+}
+
+/**
+ * Reflects the stored auto-lock timeout in the settings control.
+ * @param {number} minutes - The auto-lock timeout in minutes (0 = never).
+ */
+export function setAutoLockSelection(minutes) {
+    const select = document.querySelector(selectors.autoLockSelect);
+    if (select) {
+        select.value = String(minutes);
+    }
 }
 
 /**
@@ -246,10 +1620,33 @@ export function showLoadingOverlay() {
     hideElement(selectors.appContentContainer); // Hide app content when loading
 }
 
+/**
+ * Shows how far a long-running job (decrypting, re-encrypting, exporting or importing) has got,
+ * as a progress bar in the loading overlay. The bar is hidden again with the overlay.
+ * @param {string} label - What is being done, e.g. "Decrypting entries…".
+ * @param {number} done - Items finished so far.
+ * @param {number} total - Items in the job.
+ */
+export function showLoadingProgress(label, done, total) {
+    const percent = total > 0 ? Math.round((done / total) * 100) : 100;
+    const progress = document.querySelector(selectors.loadingProgress);
+    const bar = document.querySelector(selectors.loadingProgressBar);
+    const labelElement = document.querySelector(selectors.loadingProgressLabel);
+    if (!progress || !bar || !labelElement) {
+        return;
+    }
+    bar.style.width = `${percent}%`;
+    bar.parentElement.setAttribute('aria-valuenow', String(percent));
+    labelElement.textContent = `${label} ${done} of ${total}`;
+    showElement(selectors.loadingProgress);
+}
+
 /**
  * Hides the loading overlay.
  */
 export function hideLoadingOverlay() {
     hideElement(selectors.loadingOverlay);
-    // Note: appContentContainer is shown by renderAuthForms or renderMainJournalApp
+    hideElement(selectors.loadingProgress);
+    // Which section is visible is decided by renderAuthForms, renderLockScreen or renderMainJournalApp
+    showElement(selectors.appContentContainer);
 }
@@ -85,9 +85,23 @@ export function readFile(file) {
     });
 }
 
+/**
+ * Reads the content of a file as raw bytes.
+ * @param {File} file - The file to read.
+ * @returns {Promise<ArrayBuffer>} - A promise that resolves with the file content.
+ */
+export function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (event) => resolve(event.target.result);
+        reader.onerror = (error) => reject(error);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
 /**
  * Downloads content as a file.
- * @param {string} content - The content to download.
+ * @param {string|Uint8Array} content - The content to download.
  * @param {string} filename - The name of the file.
  * @param {string} contentType - The MIME type of the file.
  */